@@ -7,47 +7,130 @@
 -- Create table for caching audio URLs and metadata
 CREATE TABLE IF NOT EXISTS audio_cache (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-    video_id VARCHAR(11) NOT NULL, -- YouTube video ID (11 characters)
-    quality VARCHAR(10) NOT NULL DEFAULT 'medium', -- low, medium, high
-    audio_url TEXT NOT NULL, -- Direct audio download URL
-    metadata JSONB, -- Additional metadata (title, author, etc.)
+    video_id VARCHAR(80) NOT NULL, -- YouTube video ID, or upload_<sha256> for uploaded files
+    quality VARCHAR(10) NOT NULL DEFAULT 'medium', -- low, medium, high (original for uploads)
+    audio_url TEXT, -- Direct audio download URL (null for uploads)
+    peaks JSONB, -- Interleaved [min, max] peak pairs in -1..1 (only when peaks were generated)
+    peak_levels JSONB, -- Multi-resolution peak pyramid (16-bit min/max per channel, base64 per level)
+    duration REAL, -- Decoded duration in seconds
+    metadata JSONB, -- Additional metadata (title, author, etc.; tempo, beat grid, key, chromagram, loudness and sections under analysis)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     -- Constraints
     CONSTRAINT audio_cache_video_quality_unique UNIQUE (video_id, quality),
-    CONSTRAINT audio_cache_quality_check CHECK (quality IN ('low', 'medium', 'high'))
+    CONSTRAINT audio_cache_quality_check CHECK (quality IN ('low', 'medium', 'high', 'original'))
 );
 
+-- Peaks columns for databases created before peak generation was wired in
+ALTER TABLE audio_cache ADD COLUMN IF NOT EXISTS peaks JSONB;
+ALTER TABLE audio_cache ADD COLUMN IF NOT EXISTS duration REAL;
+ALTER TABLE audio_cache ADD COLUMN IF NOT EXISTS peak_levels JSONB;
+
+-- Uploaded files: hash based IDs, no source URL and an 'original' quality
+-- (cache_stats reads video_id, so it is dropped here and recreated further down)
+DROP VIEW IF EXISTS cache_stats;
+ALTER TABLE audio_cache ALTER COLUMN video_id TYPE VARCHAR(80);
+ALTER TABLE audio_cache ALTER COLUMN audio_url DROP NOT NULL;
+ALTER TABLE audio_cache DROP CONSTRAINT IF EXISTS audio_cache_quality_check;
+ALTER TABLE audio_cache ADD CONSTRAINT audio_cache_quality_check CHECK (quality IN ('low', 'medium', 'high', 'original'));
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_audio_cache_video_id ON audio_cache(video_id);
 CREATE INDEX IF NOT EXISTS idx_audio_cache_created_at ON audio_cache(created_at);
 CREATE INDEX IF NOT EXISTS idx_audio_cache_video_quality ON audio_cache(video_id, quality);
 
+-- Create table for spectrograms, kept apart from audio_cache so peaks lookups stay small
+CREATE TABLE IF NOT EXISTS audio_spectrograms (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    video_id VARCHAR(80) NOT NULL,
+    quality VARCHAR(10) NOT NULL,
+    spectrogram JSONB NOT NULL, -- STFT power as 8-bit dB per frame and bin (deflated, base64) with sampleRate, fftSize and hop
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Constraints
+    CONSTRAINT audio_spectrograms_video_quality_unique UNIQUE (video_id, quality),
+    -- Removed with their cache entry (cache deletes and cleanup_old_cache)
+    CONSTRAINT audio_spectrograms_cache_fkey FOREIGN KEY (video_id, quality)
+        REFERENCES audio_cache(video_id, quality) ON DELETE CASCADE
+);
+
+-- Create table for issued API keys
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL, -- Who the key was issued to
+    key_prefix VARCHAR(16) NOT NULL, -- Start of the key, to recognise it in listings
+    key_hash CHAR(64) NOT NULL UNIQUE, -- sha256 of the key; the key itself is never stored
+    role VARCHAR(10) NOT NULL DEFAULT 'client', -- client, or admin for keys allowed on admin routes
+    rate_limit INTEGER NOT NULL, -- Requests per 15 minute window
+    daily_conversion_quota INTEGER, -- Conversions per UTC day (null for unlimited)
+    daily_peak_generation_quota INTEGER, -- Peak generations per UTC day (null for unlimited)
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Roles for databases created before admin keys
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS role VARCHAR(10) NOT NULL DEFAULT 'client';
+ALTER TABLE api_keys DROP CONSTRAINT IF EXISTS api_keys_role_check;
+ALTER TABLE api_keys ADD CONSTRAINT api_keys_role_check CHECK (role IN ('client', 'admin'));
+
+-- Create table for the admin audit log (append only)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    action VARCHAR(100) NOT NULL, -- e.g. cache.delete, api_key.revoke
+    actor_type VARCHAR(20) NOT NULL, -- admin_key, api_key or anonymous (for denied attempts)
+    actor_id VARCHAR(80), -- api_keys.id when the actor used an API key
+    actor_name VARCHAR(100),
+    target VARCHAR(255), -- What the action applied to, e.g. a video or key ID
+    details JSONB,
+    success BOOLEAN NOT NULL,
+    status_code INTEGER,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);
+
 -- Create table for API usage tracking
 CREATE TABLE IF NOT EXISTS api_usage (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     endpoint VARCHAR(100) NOT NULL,
-    video_id VARCHAR(11), -- Optional: track per video
+    video_id VARCHAR(80), -- Optional: track per video
     processing_time_ms INTEGER, -- Processing time in milliseconds
     success BOOLEAN NOT NULL DEFAULT true,
     error_message TEXT,
     ip_address INET,
     user_agent TEXT,
+    api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL, -- Null for anonymous requests
+    status_code INTEGER,
+    conversion BOOLEAN NOT NULL DEFAULT false, -- Charged to the key's conversion quota
+    peak_generation BOOLEAN NOT NULL DEFAULT false, -- Charged to the key's peak generation quota
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- API key columns for databases created before keys were issued
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS status_code INTEGER;
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS conversion BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS peak_generation BOOLEAN NOT NULL DEFAULT false;
+
 -- Create indexes for API usage tracking
 CREATE INDEX IF NOT EXISTS idx_api_usage_created_at ON api_usage(created_at);
 CREATE INDEX IF NOT EXISTS idx_api_usage_endpoint ON api_usage(endpoint);
 CREATE INDEX IF NOT EXISTS idx_api_usage_success ON api_usage(success);
 CREATE INDEX IF NOT EXISTS idx_api_usage_video_id ON api_usage(video_id) WHERE video_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_api_usage_key_created ON api_usage(api_key_id, created_at) WHERE api_key_id IS NOT NULL;
 
 -- Create table for system health monitoring
 CREATE TABLE IF NOT EXISTS system_health (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     service_name VARCHAR(50) NOT NULL,
-    status VARCHAR(20) NOT NULL, -- healthy, degraded, unhealthy
+    status VARCHAR(20) NOT NULL, -- healthy, degraded, unhealthy, not_configured
     response_time_ms INTEGER,
     error_details JSONB,
     checked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -57,8 +140,8 @@ CREATE TABLE IF NOT EXISTS system_health (
 CREATE TABLE IF NOT EXISTS processing_jobs (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     job_id VARCHAR(255) NOT NULL UNIQUE, -- External job ID from conversion service
-    video_id VARCHAR(11) NOT NULL, -- YouTube video ID
-    youtube_url TEXT NOT NULL,
+    video_id VARCHAR(80) NOT NULL, -- YouTube video ID, or upload_<sha256> for uploaded files
+    youtube_url TEXT, -- Null for uploaded files
     quality VARCHAR(10) NOT NULL DEFAULT 'medium',
     status VARCHAR(20) NOT NULL DEFAULT 'converting', -- converting, completed, failed
     download_url TEXT,
@@ -71,10 +154,17 @@ CREATE TABLE IF NOT EXISTS processing_jobs (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     -- Constraints
-    CONSTRAINT processing_jobs_quality_check CHECK (quality IN ('low', 'medium', 'high')),
+    CONSTRAINT processing_jobs_quality_check CHECK (quality IN ('low', 'medium', 'high', 'original')),
     CONSTRAINT processing_jobs_status_check CHECK (status IN ('converting', 'completed', 'failed', 'cancelled'))
 );
 
+-- Uploaded files for databases created before uploads were supported
+ALTER TABLE api_usage ALTER COLUMN video_id TYPE VARCHAR(80);
+ALTER TABLE processing_jobs ALTER COLUMN video_id TYPE VARCHAR(80);
+ALTER TABLE processing_jobs ALTER COLUMN youtube_url DROP NOT NULL;
+ALTER TABLE processing_jobs DROP CONSTRAINT IF EXISTS processing_jobs_quality_check;
+ALTER TABLE processing_jobs ADD CONSTRAINT processing_jobs_quality_check CHECK (quality IN ('low', 'medium', 'high', 'original'));
+
 -- Create indexes for health monitoring
 CREATE INDEX IF NOT EXISTS idx_system_health_checked_at ON system_health(checked_at);
 CREATE INDEX IF NOT EXISTS idx_system_health_service_status ON system_health(service_name, status);
@@ -102,6 +192,20 @@ CREATE TRIGGER update_audio_cache_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Create trigger for audio_spectrograms table
+DROP TRIGGER IF EXISTS update_audio_spectrograms_updated_at ON audio_spectrograms;
+CREATE TRIGGER update_audio_spectrograms_updated_at 
+    BEFORE UPDATE ON audio_spectrograms 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Create trigger for api_keys table
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at 
+    BEFORE UPDATE ON api_keys 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Create trigger for processing_jobs table
 DROP TRIGGER IF EXISTS update_processing_jobs_updated_at ON processing_jobs;
 CREATE TRIGGER update_processing_jobs_updated_at 
@@ -129,6 +233,20 @@ CREATE POLICY "Users can read audio_cache" ON audio_cache
     TO authenticated
     USING (true);
 
+-- Spectrogram policies (same access as audio_cache)
+ALTER TABLE audio_spectrograms ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage audio_spectrograms" ON audio_spectrograms
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+CREATE POLICY "Users can read audio_spectrograms" ON audio_spectrograms
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
 -- API usage policies
 ALTER TABLE api_usage ENABLE ROW LEVEL SECURITY;
 
@@ -138,6 +256,24 @@ CREATE POLICY "Service role can manage api_usage" ON api_usage
     USING (true)
     WITH CHECK (true);
 
+-- API key policies (service role only; key hashes are never exposed to clients)
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage api_keys" ON api_keys
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
+-- Audit log policies (service role only)
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage audit_log" ON audit_log
+    FOR ALL
+    TO service_role
+    USING (true)
+    WITH CHECK (true);
+
 -- System health policies
 ALTER TABLE system_health ENABLE ROW LEVEL SECURITY;
 
@@ -186,6 +322,36 @@ SELECT
 FROM api_usage
 GROUP BY endpoint;
 
+-- Cache entries without the peak pyramid, and with only the analysis fields shown in
+-- peaks responses (bpm, key name, integrated loudness); /process, /status and overview
+-- /peaks lookups read this instead of the full row
+CREATE OR REPLACE VIEW audio_cache_summaries WITH (security_invoker = true) AS
+SELECT
+    id, video_id, quality, audio_url, peaks, duration,
+    CASE WHEN jsonb_typeof(metadata -> 'analysis') = 'object' THEN
+        jsonb_set(metadata, '{analysis}', jsonb_build_object(
+            'version', metadata #> '{analysis,version}',
+            'bpm', metadata #> '{analysis,bpm}',
+            'confidence', metadata #> '{analysis,confidence}',
+            'key', CASE WHEN jsonb_typeof(metadata #> '{analysis,key}') = 'object'
+                THEN jsonb_build_object('name', metadata #> '{analysis,key,name}') END,
+            'loudness', jsonb_build_object(
+                'integrated', metadata #> '{analysis,loudness,integrated}',
+                'truePeak', metadata #> '{analysis,loudness,truePeak}')
+        ))
+    ELSE metadata END AS metadata,
+    created_at, updated_at
+FROM audio_cache;
+
+-- Jobs with their partial peaks only while converting, the only time /status serves them
+CREATE OR REPLACE VIEW processing_job_summaries WITH (security_invoker = true) AS
+SELECT
+    id, job_id, video_id, youtube_url, quality, status, download_url, started_at,
+    completed_at, error_message, peaks_generated,
+    CASE WHEN status = 'converting' THEN metadata ELSE metadata - 'partial' END AS metadata,
+    created_at, updated_at
+FROM processing_jobs;
+
 -- Function to clean up old cache entries (optional)
 CREATE OR REPLACE FUNCTION cleanup_old_cache(days_to_keep INTEGER DEFAULT 30)
 RETURNS INTEGER AS $$
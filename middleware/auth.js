@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const apiKeys = require('../services/apiKeys');
+const auditLog = require('../services/auditLog');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
+
+// Anonymous requests are still served unless API_KEYS_REQUIRED is set
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED === 'true';
+
+// Route scopes, from least to most privileged:
+//   public         anyone
+//   authenticated  API key holders (and anonymous callers unless API_KEYS_REQUIRED is set)
+//   admin          the ADMIN_API_KEY or an API key with the admin role; every request is audited
+const SCOPES = ['public', 'authenticated', 'admin'];
+
+/**
+ * Read the key from "Authorization: Bearer <key>"
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization');
+  if (!header) return null;
+
+  const match = header.match(/^Bearer\s+(\S+)\s*$/i);
+  if (!match) {
+    throw new AuthenticationError('Send the API key as "Authorization: Bearer <key>"', {
+      code: 'INVALID_AUTHORIZATION_HEADER'
+    });
+  }
+  return match[1];
+}
+
+// Constant-time comparison against ADMIN_API_KEY
+function isAdminToken(token) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey || !token) return false;
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(adminKey));
+}
+
+/**
+ * Identify the caller. Sets req.apiKey to the api_keys row for an issued key,
+ * req.isAdmin for the admin key or an admin-role key, and req.actor for logging.
+ * Requests without a header pass through anonymously; an unknown or revoked key
+ * is rejected rather than treated as anonymous.
+ */
+async function authenticate(req, res, next) {
+  try {
+    req.apiKey = null;
+    req.isAdmin = false;
+    req.actor = { type: 'anonymous', id: null, name: null };
+
+    const token = getBearerToken(req);
+    if (!token) return next();
+
+    if (isAdminToken(token)) {
+      req.isAdmin = true;
+      req.actor = { type: 'admin_key', id: null, name: 'ADMIN_API_KEY' };
+      return next();
+    }
+
+    const record = await apiKeys.authenticate(token);
+    if (!record) {
+      throw new AuthenticationError('The API key is invalid or has been revoked', { code: 'INVALID_API_KEY' });
+    }
+
+    req.apiKey = record;
+    req.isAdmin = record.role === 'admin';
+    req.actor = { type: 'api_key', id: record.id, name: record.name };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Route-level authorization
+ * Usage: router.delete('/cache/:videoId', authorize('admin', 'cache.delete'), handler)
+ * @param {string} scope - 'public', 'authenticated' or 'admin'
+ * @param {string} action - Audit log action name, required for admin routes
+ * @returns {Function} - Express middleware
+ */
+function authorize(scope, action) {
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown scope "${scope}" (expected ${SCOPES.join(', ')})`);
+  }
+  if (scope === 'admin' && !action) {
+    throw new Error('Admin routes need an audit action name');
+  }
+
+  return (req, res, next) => {
+    if (scope === 'admin') {
+      auditRequest(req, res, action);
+    }
+
+    try {
+      checkScope(req, scope);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+function checkScope(req, scope) {
+  if (scope === 'authenticated' && API_KEYS_REQUIRED && !req.apiKey && !req.isAdmin) {
+    throw new AuthenticationError('A valid API key is required', { code: 'API_KEY_REQUIRED' });
+  }
+
+  if (scope === 'admin' && !req.isAdmin) {
+    if (req.apiKey) {
+      throw new ForbiddenError('This API key does not have the admin role', { code: 'ADMIN_REQUIRED' });
+    }
+    throw new AuthenticationError('An admin key is required', { code: 'ADMIN_KEY_REQUIRED' });
+  }
+}
+
+// Write an audit entry once the response is sent, whether the action was allowed or not.
+// Route params are read now because Express resets them when the request leaves the router.
+function auditRequest(req, res, action) {
+  const target = Object.values(req.params).join('/') || null;
+
+  res.once('finish', () => {
+    const error = res.locals.error;
+    auditLog.record({
+      action,
+      actor_type: req.actor?.type || 'anonymous',
+      actor_id: req.actor?.id || null,
+      actor_name: req.actor?.name || null,
+      target,
+      details: {
+        method: req.method,
+        path: req.originalUrl,
+        ...(req.id && { requestId: req.id }),
+        ...(error && { error: error.code }),
+        ...res.locals.auditDetails
+      },
+      success: res.statusCode < 400,
+      status_code: res.statusCode,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent') || null
+    }, { log: req.log });
+  });
+}
+
+module.exports = { authenticate, authorize, SCOPES };
@@ -0,0 +1,177 @@
+// CORS origin policy: which browser origins may call the API, with per-route overrides
+// Usage:
+// const { createCorsPolicy, defaultOrigins } = require('./middleware/cors');
+// app.use(createCorsPolicy({
+//   origins: defaultOrigins(),
+//   routes: { '/api/admin': { origins: [] } }
+// }));
+//
+// Origin patterns are exact origins, globs or regexes:
+//   'https://app.example.com'   exact match
+//   'https://*.example.com'     * matches within the host, never across '/' or ':'
+//   'http://localhost:*'        a trailing ':*' matches any port or none
+//   '/^https:\/\/.*\.example\.com$/i'  a regex, written as a string between slashes
+//   '*'                         any origin (responses then cannot carry credentials)
+
+'use strict';
+
+const cors = require('cors');
+const logger = require('../utils/logger');
+
+// Chrome (and Edge) extension IDs are 32 characters from a to p
+const CHROME_EXTENSION_ID = /^[a-p]{32}$/;
+
+const BASE_OPTIONS = {
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  exposedHeaders: [
+    'X-Request-Id',
+    // Shape of binary and PNG spectrograms
+    'X-Spectrogram-Frames',
+    'X-Spectrogram-Bins',
+    'X-Spectrogram-Scale',
+    'X-Spectrogram-Sample-Rate',
+    'X-Spectrogram-Fft-Size',
+    'X-Spectrogram-Hop',
+    'X-Spectrogram-Start',
+    'X-Spectrogram-Min-Db'
+  ]
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile one origin pattern
+ * @param {string|RegExp} pattern - Exact origin, glob, '/regex/flags' string or RegExp
+ * @returns {RegExp}
+ */
+function compileOriginPattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+
+  const trimmed = String(pattern).trim();
+  const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+  if (trimmed === '*') {
+    return /^.+$/;
+  }
+
+  // Origins have no path, and the host part is case insensitive
+  let source = trimmed.replace(/\/+$/, '');
+  let optionalPort = '';
+  if (source.endsWith(':*')) {
+    source = source.slice(0, -2);
+    optionalPort = '(:\\d{1,5})?';
+  }
+
+  const body = source.split('*').map(escapeRegExp).join('[^/:]*');
+  return new RegExp(`^${body}${optionalPort}$`, 'i');
+}
+
+/**
+ * Build a matcher for a list of origin patterns
+ * @param {Array<string|RegExp>} patterns - Origin patterns
+ * @returns {Function} - (origin) => boolean
+ */
+function createOriginMatcher(patterns) {
+  const compiled = patterns.filter(Boolean).map(compileOriginPattern);
+  return (origin) => Boolean(origin) && compiled.some(regex => regex.test(origin));
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Origins allowed by default, from the environment:
+ *   CORS_EXTENSION_IDS        Chrome extension IDs to allow (any chrome-extension:// origin when unset)
+ *   CORS_FIREFOX_EXTENSIONS   'false' to refuse moz-extension:// origins (their IDs are random per install)
+ *   CORS_ALLOW_LOCALHOST      localhost and 127.0.0.1 on any port (default: on outside production)
+ *   FRONTEND_URL              the web frontend
+ *   CORS_ORIGINS              extra comma-separated patterns
+ * @param {Object} env - Environment variables
+ * @returns {Array<string>} - Origin patterns
+ */
+function defaultOrigins(env = process.env) {
+  const origins = [];
+
+  const extensionIds = splitList(env.CORS_EXTENSION_IDS);
+  if (extensionIds.length > 0) {
+    for (const id of extensionIds) {
+      if (!CHROME_EXTENSION_ID.test(id)) {
+        logger.warn(`Ignoring CORS_EXTENSION_IDS entry "${id}": not a Chrome extension ID`);
+        continue;
+      }
+      origins.push(`chrome-extension://${id}`);
+    }
+  } else {
+    origins.push('chrome-extension://*');
+  }
+
+  if (env.CORS_FIREFOX_EXTENSIONS !== 'false') {
+    origins.push('moz-extension://*');
+  }
+
+  const allowLocalhost = env.CORS_ALLOW_LOCALHOST
+    ? env.CORS_ALLOW_LOCALHOST === 'true'
+    : env.NODE_ENV !== 'production';
+  if (allowLocalhost) {
+    origins.push('http://localhost:*', 'https://localhost:*', 'http://127.0.0.1:*', 'https://127.0.0.1:*');
+  }
+
+  if (env.FRONTEND_URL) origins.push(env.FRONTEND_URL);
+  origins.push(...splitList(env.CORS_ORIGINS));
+
+  return origins;
+}
+
+/**
+ * CORS middleware that applies an origin policy, overridden per route prefix
+ * @param {Object} policy - { origins, routes, ...cors options }
+ *   routes maps a path prefix to overrides of the same shape, e.g.
+ *   { '/api/admin': { origins: [] } }; the longest matching prefix wins
+ * @returns {Function} - Express middleware
+ */
+function createCorsPolicy(policy = {}) {
+  const compile = ({ origins = [], routes, ...options }) => {
+    const anyOrigin = origins.includes('*');
+    return {
+      matches: anyOrigin ? () => true : createOriginMatcher(origins),
+      options: {
+        ...BASE_OPTIONS,
+        ...options,
+        // Browsers refuse credentials with a wildcard origin
+        ...(anyOrigin && { credentials: false })
+      },
+      anyOrigin
+    };
+  };
+
+  const base = compile(policy);
+  const routes = Object.entries(policy.routes || {})
+    .map(([prefix, overrides]) => ({ prefix, ...compile({ ...policy, routes: undefined, ...overrides }) }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  const pickRoute = (path) => routes.find(route =>
+    path === route.prefix || path.startsWith(`${route.prefix}/`)
+  ) || base;
+
+  return cors((req, callback) => {
+    const route = pickRoute(req.path);
+    // true reflects the request origin; false leaves the response without CORS headers
+    const origin = route.anyOrigin ? '*' : route.matches(req.get('Origin'));
+
+    callback(null, { ...route.options, origin });
+  });
+}
+
+module.exports = {
+  compileOriginPattern,
+  createOriginMatcher,
+  defaultOrigins,
+  createCorsPolicy
+};
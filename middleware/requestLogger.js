@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Caller-supplied IDs are echoed in headers and logs, so keep them short and plain
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request a correlation ID and a logger bound to it.
+ * The ID comes from the X-Request-Id header when it is well formed, otherwise a new UUID,
+ * and is echoed back in the X-Request-Id response header. Routes pass req.log on to
+ * services and timers so one trace can be followed across a whole job.
+ * Logs one "Request completed" entry per request once the response is done.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  let logged = false;
+  const logCompletion = () => {
+    if (logged) return;
+    logged = true;
+
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+      ip: req.ip,
+      ...(req.apiKey && { apiKeyId: req.apiKey.id }),
+      ...(!res.writableFinished && { aborted: true })
+    };
+    req.log.info('Request completed', fields);
+  };
+
+  res.on('finish', logCompletion);
+  res.on('close', logCompletion);
+  next();
+}
+
+module.exports = { requestLogger, REQUEST_ID_PATTERN };
@@ -0,0 +1,62 @@
+const storage = require('../services/storage');
+const apiKeys = require('../services/apiKeys');
+const logger = require('../utils/logger');
+const { createTimer } = require('../utils/perf');
+
+/**
+ * Write one api_usage row per request once the response is done.
+ * Routes fill in req.usage (videoId) and charge quotas with chargeQuota().
+ */
+function trackUsage(req, res, next) {
+  const timer = createTimer('api.request', { log: req.log });
+  // Express resets baseUrl once the request has left the router, so keep the mount path
+  const baseUrl = req.baseUrl;
+  req.usage = { videoId: null, conversion: false, peak_generation: false };
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+
+    const { totalMs } = timer.end('response', { status: res.statusCode });
+    const error = res.locals.error;
+    const routePath = req.route ? `${baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+
+    storage.recordUsage({
+      endpoint: `${req.method} ${routePath}`.slice(0, 100),
+      video_id: req.usage.videoId,
+      processing_time_ms: Math.round(totalMs),
+      success: res.statusCode < 400,
+      error_message: error ? `${error.code}: ${error.message}` : null,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent') || null,
+      api_key_id: req.apiKey?.id || null,
+      status_code: res.statusCode,
+      conversion: req.usage.conversion,
+      peak_generation: req.usage.peak_generation
+    }).catch(usageError => {
+      (req.log || logger).error('Failed to record API usage', { error: usageError });
+    });
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+}
+
+/**
+ * Charge the caller's daily quotas for work that costs us something
+ * (a conversion upstream or a peak generation). Anonymous calls and ADMIN_API_KEY are not metered.
+ * @param {Object} req - Express request
+ * @param {...string} kinds - 'conversion' and/or 'peak_generation'
+ * @returns {Promise<Object|null>} - Quota state after charging, or null when not metered
+ */
+async function chargeQuota(req, ...kinds) {
+  const quotas = req.apiKey ? await apiKeys.consume(req.apiKey, kinds) : null;
+  for (const kind of kinds) {
+    req.usage[kind] = true;
+  }
+  return quotas;
+}
+
+module.exports = { trackUsage, chargeQuota };
@@ -0,0 +1,137 @@
+const express = require('express');
+const apiKeys = require('../services/apiKeys');
+const auditLog = require('../services/auditLog');
+const { authorize } = require('../middleware/auth');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Limits accepted when issuing a key: a non-negative integer, or null for unlimited quotas
+const KEY_LIMIT_FIELDS = ['rateLimit', 'dailyConversionQuota', 'dailyPeakGenerationQuota'];
+const KEY_ROLES = ['client', 'admin'];
+
+function parseKeyOptions(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) {
+    throw new ValidationError('name is required (up to 100 characters)', { code: 'INVALID_PARAMETER' });
+  }
+
+  if (body.role !== undefined && !KEY_ROLES.includes(body.role)) {
+    throw new ValidationError(`role must be one of: ${KEY_ROLES.join(', ')}`, { code: 'INVALID_PARAMETER' });
+  }
+
+  const options = { name, role: body.role };
+  for (const field of KEY_LIMIT_FIELDS) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    const nullable = field !== 'rateLimit';
+    if (value === null && nullable) {
+      options[field] = null;
+    } else if (Number.isInteger(value) && value >= (nullable ? 0 : 1)) {
+      options[field] = value;
+    } else {
+      throw new ValidationError(
+        `${field} must be ${nullable ? 'a non-negative integer or null' : 'a positive integer'}`,
+        { code: 'INVALID_PARAMETER' }
+      );
+    }
+  }
+  return options;
+}
+
+async function findKey(id) {
+  const record = await apiKeys.get(id);
+  if (!record) {
+    throw new NotFoundError(`No API key with ID ${id}`, { code: 'API_KEY_NOT_FOUND', title: 'API key not found' });
+  }
+  return record;
+}
+
+// Issue a key. The key itself is only returned in this response.
+router.post('/keys', authorize('admin', 'api_key.create'), async (req, res, next) => {
+  try {
+    const { key, record } = await apiKeys.create(parseKeyOptions(req.body));
+    res.locals.auditDetails = { keyId: record.id, name: record.name, role: record.role };
+
+    res.status(201).json({
+      success: true,
+      data: { key, ...apiKeys.toPublic(record) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List keys
+router.get('/keys', authorize('admin', 'api_key.list'), async (req, res, next) => {
+  try {
+    const records = await apiKeys.list();
+
+    res.json({
+      success: true,
+      data: records.map(record => apiKeys.toPublic(record))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Inspect a key and its usage today
+router.get('/keys/:id', authorize('admin', 'api_key.read'), async (req, res, next) => {
+  try {
+    const record = await findKey(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...apiKeys.toPublic(record),
+        usageToday: await apiKeys.getUsageToday(record)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a key
+router.delete('/keys/:id', authorize('admin', 'api_key.revoke'), async (req, res, next) => {
+  try {
+    await findKey(req.params.id);
+    const record = await apiKeys.revoke(req.params.id);
+
+    res.json({
+      success: true,
+      message: `API key ${record.key_prefix}… revoked`,
+      data: apiKeys.toPublic(record)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Recent admin actions, newest first
+// Optional query: limit (default 100, max 1000), action, since (ISO timestamp)
+router.get('/audit', authorize('admin', 'audit.read'), async (req, res, next) => {
+  try {
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      throw new ValidationError('limit must be a positive integer', { code: 'INVALID_PARAMETER' });
+    }
+    if (req.query.since !== undefined && Number.isNaN(Date.parse(req.query.since))) {
+      throw new ValidationError('since must be an ISO timestamp', { code: 'INVALID_PARAMETER' });
+    }
+
+    const entries = await auditLog.list({
+      limit,
+      action: req.query.action,
+      since: req.query.since && new Date(req.query.since).toISOString()
+    });
+
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
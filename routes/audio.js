@@ -1,30 +1,136 @@
 const express = require('express');
 const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
+const fs = require('fs').promises;
+const multer = require('multer');
 const youtubeService = require('../services/youtubeService');
+const audioProcessor = require('../services/audioProcessor');
+const jobQueue = require('../services/jobQueue');
+const jobEvents = require('../services/jobEvents');
+const storage = require('../services/storage');
+const metrics = require('../services/metrics');
+const lifecycle = require('../services/lifecycle');
+const { authorize } = require('../middleware/auth');
+const { chargeQuota } = require('../middleware/usage');
+const logger = require('../utils/logger');
 const { createTimer } = require('../utils/perf');
+const { queryPyramid, readWindow, pyramidFromPeaks } = require('../utils/peakPyramid');
+const waveformFormats = require('../utils/waveformFormats');
+const { readSpectrogram, SCALES, MIN_FFT_SIZE, DEFAULT_MELS, MIN_MELS, MAX_MELS } = require('../utils/spectrogram');
+const spectrogramFormats = require('../utils/spectrogramFormats');
+const { isPowerOfTwo } = require('../utils/fft');
+const { sniffAudioFile, hashFile } = require('../utils/audioFile');
+const {
+  NotFoundError,
+  PayloadTooLargeError,
+  StorageError,
+  UnsupportedMediaError,
+  UpstreamError,
+  ValidationError,
+  normalizeError
+} = require('../utils/errors');
 
 const router = express.Router();
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+const SSE_HEARTBEAT_MS = 15000;
+const SSE_RETRY_MS = 5000;
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+// Output formats for GET /peaks; exports may cover a whole track at full resolution
+const WAVEFORM_FORMATS = ['json', 'dat', 'wavesurfer'];
+const MAX_EXPORT_PEAKS = 250000;
+
+// Output formats for GET /spectrogram
+const SPECTROGRAM_FORMATS = ['json', 'png', 'float32', 'uint8'];
+
+// Share of overall job progress covered by each pipeline stage, in percent
+const STAGE_RANGES = {
+  converting: [0, 40],
+  downloading: [40, 70],
+  decoding: [70, 100]
+};
+
+// Uploaded files skip conversion and download, so decoding is the whole job
+const UPLOAD_STAGE_RANGES = {
+  decoding: [0, 100]
+};
+
+// Uploads are cached under their content hash with their own quality label
+const UPLOAD_QUALITY = 'original';
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 100 * 1024 * 1024;
+const UPLOAD_MAX_DURATION_SECONDS = parseInt(process.env.UPLOAD_MAX_DURATION_SECONDS, 10) || 30 * 60;
+
+const upload = multer({
+  dest: audioProcessor.tempDir,
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 }
+});
+
+// SSE event name published for each pipeline stage
+const STAGE_EVENTS = {
+  converting: 'conversion',
+  downloading: 'download',
+  decoding: 'decode'
+};
+
+// Peak generation runs through the shared job queue
+jobQueue.useStore(storage);
+jobQueue.define('peaks', {
+  handler: ({ conversionJob, videoId, quality, youtubeUrl }, context) =>
+    processVideoInBackground(conversionJob, videoId, quality, youtubeUrl, context),
+  // Rebuild the payload from a processing_jobs row left over from a restart
+  restore: (row) => ({
+    conversionJob: {
+      id: row.job_id,
+      title: row.metadata?.title,
+      downloadUrl: row.download_url,
+      metadata: row.metadata
+    },
+    videoId: row.video_id,
+    quality: row.quality,
+    youtubeUrl: row.youtube_url
+  })
+});
+
+// Uploaded files live in the temp directory, so upload jobs are not restored after a restart
+jobQueue.define('upload', {
+  handler: ({ uploadJob, videoId, filePath }, context) =>
+    processUploadInBackground(uploadJob, videoId, filePath, context)
+});
+
+// Relay queue outcomes to job progress streams
+jobQueue.on('retry', (jobId, error, delay) => {
+  jobEvents.publish(jobId, 'status', {
+    status: 'converting',
+    stage: 'retrying',
+    error: error.message,
+    code: normalizeError(error).code,
+    retryInMs: delay
+  });
+});
+jobQueue.on('checkpointed', (jobId) => {
+  jobEvents.publish(jobId, 'status', { status: 'converting', stage: 'interrupted' });
+});
+jobQueue.on('failed', (jobId, error) => {
+  jobEvents.publish(jobId, 'failed', {
+    status: 'failed',
+    error: error.message,
+    code: normalizeError(error).code
+  });
+});
 
 // Start processing YouTube video (returns immediately with job ID)
-router.post('/process', async (req, res) => {
+router.post('/process', authorize('authenticated'), async (req, res, next) => {
   try {
     const { youtubeUrl, quality = 'medium' } = req.body;
-    const timer = createTimer('audio.process');
+    const wantsPeaks = req.body.generatePeaks === true || req.body.generatePeaks === 'true';
+    const timer = createTimer('audio.process', { log: req.log });
     const includeTimings = process.env.PERF_LOGS === '1' || req.query.debug === '1';
 
     // Validate input
     if (!youtubeUrl) {
       timer.end('invalid request: missing youtubeUrl');
-      return res.status(400).json({
-        error: 'Missing required parameter',
-        message: 'youtubeUrl is required'
+      throw new ValidationError('youtubeUrl is required', {
+        code: 'MISSING_PARAMETER',
+        title: 'Missing required parameter'
       });
     }
 
@@ -32,26 +138,28 @@ router.post('/process', async (req, res) => {
     const videoId = youtubeService.extractVideoId(youtubeUrl);
     if (!videoId) {
       timer.end('invalid request: bad youtube url');
-      return res.status(400).json({
-        error: 'Invalid YouTube URL',
-        message: 'Please provide a valid YouTube video URL'
+      throw new ValidationError('Please provide a valid YouTube video URL', {
+        code: 'INVALID_YOUTUBE_URL',
+        title: 'Invalid YouTube URL'
       });
     }
 
-    console.log(`Processing YouTube video: ${videoId}`);
+    req.log.info('Processing YouTube video', { videoId, quality, generatePeaks: wantsPeaks });
+    req.usage.videoId = videoId;
     timer.mark('validated input', { videoId, quality });
 
-    // Check cache first
-    const { data: cachedData, error: cacheError } = await supabase
-      .from('audio_cache')
-      .select('*')
-      .eq('video_id', videoId)
-      .eq('quality', quality)
-      .single();
+    // Check cache first; a failed lookup is treated as a miss
+    const cachedData = await storage.getCacheSummary(videoId, quality).catch(cacheError => {
+      req.log.error('Cache lookup error', { videoId, error: cacheError });
+      return null;
+    });
     timer.mark('cache lookup');
 
-    if (!cacheError && cachedData) {
-      console.log(`Cache hit for video: ${videoId}`);
+    // A cached URL without peaks is not a hit when peaks were requested
+    const cacheHit = Boolean(cachedData && (!wantsPeaks || cachedData.peaks));
+    metrics.recordCacheLookup('process', cacheHit);
+    if (cacheHit) {
+      req.log.info('Cache hit', { videoId });
       const payload = {
         success: true,
         status: 'completed',
@@ -60,7 +168,8 @@ router.post('/process', async (req, res) => {
           videoId,
           quality,
           audioUrl: cachedData.audio_url,
-          metadata: cachedData.metadata,
+          ...(wantsPeaks && { peaks: cachedData.peaks, duration: cachedData.duration }),
+          metadata: summarizeMetadata(cachedData.metadata),
           createdAt: cachedData.created_at
         }
       };
@@ -69,21 +178,48 @@ router.post('/process', async (req, res) => {
       return res.json(payload);
     }
 
+    // Reuse a peaks job that is already running for this video
+    if (wantsPeaks) {
+      const activeJob = await findActiveJob(videoId, quality, req.log, { columns: ['job_id'] });
+      timer.mark('active job lookup');
+
+      if (activeJob) {
+        req.log.info('Joining active job', { videoId, jobId: activeJob.job_id });
+        timer.end('respond active job');
+        return res.status(202).json(buildJobResponse(activeJob.job_id, videoId, quality));
+      }
+    }
+
+    // Cache misses cost an upstream conversion (and a decode when peaks are wanted)
+    await chargeQuota(req, 'conversion', ...(wantsPeaks ? ['peak_generation'] : []));
+    timer.mark('quota charged');
+
     // Get download information from the new API (much faster!)
-    console.log(`Getting download info for video: ${videoId}`);
-    const conversionJob = await youtubeService.startConversion(youtubeUrl, quality);
+    req.log.info('Getting download info', { videoId });
+    const conversionJob = await youtubeService.startConversion(youtubeUrl, quality, { log: req.log });
     timer.mark('youtube startConversion');
 
     if (!conversionJob || !conversionJob.downloadUrl) {
       timer.end('failed: missing downloadUrl');
-      return res.status(500).json({
-        error: 'Download info failed',
-        message: 'Unable to get download information for the YouTube video'
+      throw new UpstreamError('Unable to get download information for the YouTube video', {
+        code: 'UPSTREAM_BAD_RESPONSE'
       });
     }
 
+    if (wantsPeaks) {
+      const jobId = await createProcessingJob(conversionJob, videoId, quality, youtubeUrl, req.id);
+      timer.mark('job created');
+
+      jobQueue.add('peaks', { conversionJob, videoId, quality, youtubeUrl }, { jobId, requestId: req.id });
+
+      const jobBody = buildJobResponse(jobId, videoId, quality);
+      timer.end('respond job started');
+      if (includeTimings) jobBody.timings = timer.getSummary().marks;
+      return res.status(202).json(jobBody);
+    }
+
     // No audio processing needed - just return the download URL for WaveSurfer
-    console.log(`Returning audio URL for video: ${videoId}`);
+    req.log.info('Returning audio URL', { videoId });
 
     // Prepare metadata (no audio processing needed)
     const metadata = {
@@ -95,9 +231,8 @@ router.post('/process', async (req, res) => {
     };
 
     // Cache the results (just metadata and audio URL)
-    const { error: insertError } = await supabase
-      .from('audio_cache')
-      .upsert({
+    try {
+      await storage.putCache({
         video_id: videoId,
         quality,
         audio_url: conversionJob.downloadUrl,
@@ -105,12 +240,11 @@ router.post('/process', async (req, res) => {
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       });
-    timer.mark('cache upsert');
-
-    if (insertError) {
-      console.error('Cache insertion error:', insertError);
+    } catch (insertError) {
+      req.log.error('Cache insertion error', { videoId, error: insertError });
       // Continue without caching - don't fail the request
     }
+    timer.mark('cache upsert');
 
     // Return the audio URL for WaveSurfer to process
     const responseBody = {
@@ -130,76 +264,112 @@ router.post('/process', async (req, res) => {
     res.json(responseBody);
 
   } catch (error) {
-    console.error('Audio processing error:', error);
-    try { createTimer('audio.process').end('error', { message: error.message }); } catch (_) {}
-
-    // Handle specific error types
-    if (error.message.includes('rate limit')) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'Too many requests. Please try again later.',
-        retryAfter: 60
+    try { createTimer('audio.process', { log: req.log }).end('error', { message: error.message }); } catch (_) {}
+
+    next(error);
+  }
+});
+
+// Upload an audio file (multipart field "file") and generate peaks from it.
+// Results are cached under the file's content hash, so re-uploads are served from cache.
+router.post('/upload', authorize('authenticated'), receiveUpload, async (req, res, next) => {
+  const file = req.file;
+  let queued = false;
+
+  try {
+    if (!file) {
+      throw new ValidationError('Send the audio as a multipart "file" field', {
+        code: 'MISSING_FILE',
+        title: 'Missing file'
       });
     }
 
-    if (error.message.includes('not found') || error.message.includes('unavailable')) {
-      return res.status(404).json({
-        error: 'Video not found',
-        message: 'The YouTube video is not available or does not exist'
-      });
+    const format = await sniffAudioFile(file.path);
+    if (!format) {
+      throw new UnsupportedMediaError('Only MP3, WAV, OGG, FLAC and M4A audio files are supported');
     }
 
-    if (error.message.includes('private') || error.message.includes('restricted')) {
-      return res.status(403).json({
-        error: 'Video access restricted',
-        message: 'This video is private or restricted and cannot be processed'
+    const contentHash = await hashFile(file.path);
+    const videoId = `upload_${contentHash}`;
+    req.usage.videoId = videoId;
+
+    const cachedData = await storage.getCacheSummary(videoId, UPLOAD_QUALITY);
+    metrics.recordCacheLookup('upload', Boolean(cachedData?.peaks));
+    if (cachedData?.peaks) {
+      return res.json({
+        success: true,
+        status: 'completed',
+        cached: true,
+        data: {
+          videoId,
+          quality: UPLOAD_QUALITY,
+          peaks: cachedData.peaks,
+          duration: cachedData.duration,
+          metadata: summarizeMetadata(cachedData.metadata),
+          peaksUrl: `/api/audio/peaks/${videoId}?quality=${UPLOAD_QUALITY}`,
+          cachedAt: cachedData.created_at
+        }
       });
     }
 
-    res.status(500).json({
-      error: 'Processing failed',
-      message: 'An error occurred while starting the processing',
-      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
-    });
+    const activeJob = await findActiveJob(videoId, UPLOAD_QUALITY, req.log, { columns: ['job_id'] });
+    if (activeJob) {
+      return res.status(202).json(buildJobResponse(activeJob.job_id, videoId, UPLOAD_QUALITY));
+    }
+
+    await chargeQuota(req, 'peak_generation');
+
+    const uploadJob = {
+      id: `upload_${Date.now()}_${contentHash.slice(0, 12)}`,
+      title: req.body.title || file.originalname,
+      metadata: {
+        jobType: 'upload',
+        source: 'upload',
+        filename: file.originalname,
+        format,
+        size: file.size,
+        contentHash
+      }
+    };
+
+    const jobId = await createProcessingJob(uploadJob, videoId, UPLOAD_QUALITY, null, req.id);
+    // Decoding a local file fails the same way every time, so it is not retried
+    jobQueue.add('upload', { uploadJob, videoId, filePath: file.path }, { jobId, maxAttempts: 1, requestId: req.id });
+    queued = true;
+
+    res.status(202).json(buildJobResponse(jobId, videoId, UPLOAD_QUALITY));
+
+  } catch (error) {
+    next(error);
+  } finally {
+    // Once queued, the job removes the file when it is done with it
+    if (file && !queued) {
+      removeUploadedFile(file.path);
+    }
   }
 });
 
 // Check conversion job status
-router.get('/status/:jobId', async (req, res) => {
+router.get('/status/:jobId', authorize('authenticated'), async (req, res, next) => {
   try {
     const { jobId } = req.params;
 
     if (!jobId) {
-      return res.status(400).json({
-        error: 'Missing parameter',
-        message: 'jobId is required'
-      });
+      throw new ValidationError('jobId is required', { code: 'MISSING_PARAMETER', title: 'Missing parameter' });
     }
 
-    // Check job status in database
-    const { data: jobData, error: jobError } = await supabase
-      .from('processing_jobs')
-      .select('*')
-      .eq('job_id', jobId)
-      .single();
+    // Check job status in storage
+    const jobData = await storage.getJobSummary(jobId);
 
-    if (jobError || !jobData) {
-      return res.status(404).json({
-        error: 'Job not found',
-        message: 'No processing job found with this ID'
-      });
+    if (!jobData) {
+      throw jobNotFound();
     }
 
     // If already completed, check for cached results
     if (jobData.status === 'completed') {
-      const { data: cachedData, error: cacheError } = await supabase
-        .from('audio_cache')
-        .select('*')
-        .eq('video_id', jobData.video_id)
-        .eq('quality', jobData.quality)
-        .single();
-
-      if (!cacheError && cachedData) {
+      const cachedData = await storage.getCacheSummary(jobData.video_id, jobData.quality);
+
+      if (cachedData) {
         return res.json({
           success: true,
           status: 'completed',
@@ -209,14 +379,15 @@ router.get('/status/:jobId', async (req, res) => {
             quality: jobData.quality,
             peaks: cachedData.peaks,
             duration: cachedData.duration,
-            metadata: cachedData.metadata,
+            metadata: summarizeMetadata(cachedData.metadata),
             completedAt: jobData.completed_at
           }
         });
       }
     }
 
-    // Return current job status
+    // Return current job status, with the peaks decoded so far while it runs
+    const partialData = buildPartialData(jobData);
     res.json({
       success: true,
       status: jobData.status,
@@ -226,43 +397,170 @@ router.get('/status/:jobId', async (req, res) => {
       startedAt: jobData.started_at,
       completedAt: jobData.completed_at,
       error: jobData.error_message,
+      stage: jobData.metadata?.stage || null,
+      progress: jobData.metadata?.progress ?? null,
       estimatedTimeRemaining: jobData.status === 'converting' ? 
-        calculateRemainingTime(jobData.started_at) : null
+        calculateRemainingTime(jobData) : null,
+      streamUrl: `/api/audio/status/${encodeURIComponent(jobId)}/stream`,
+      ...(partialData && { data: partialData })
     });
 
   } catch (error) {
-    console.error('Status check error:', error);
-    res.status(500).json({
-      error: 'Status check failed',
-      message: 'An error occurred while checking job status'
-    });
+    next(error);
   }
 });
 
+// Stream job progress as Server-Sent Events
+// Supports resuming with the Last-Event-ID header (or ?lastEventId=)
+router.get('/status/:jobId/stream', authorize('authenticated'), async (req, res, next) => {
+  const { jobId } = req.params;
+  let jobData;
+
+  try {
+    jobData = await storage.getJobSummary(jobId);
+
+    if (!jobData) {
+      throw jobNotFound();
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let unsubscribe = () => {};
+  let heartbeat = null;
+
+  const write = (chunk) => {
+    if (closed) return;
+    res.write(chunk);
+    // compression buffers output unless flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    lifecycle.off('jobsDrained', close);
+    res.end();
+  };
+
+  const send = (entry) => {
+    write(formatSseEvent(entry));
+    if (jobEvents.isTerminal(entry.event)) close();
+  };
+
+  write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const history = jobEvents.getEventsSince(jobId, lastEventId);
+
+  if (history) {
+    history.forEach(send);
+  } else {
+    // No in-memory history (finished long ago or started before a restart)
+    send(buildSnapshotEvent(jobData));
+  }
+  if (closed) return;
+
+  // Finished job whose final event is no longer buffered
+  if (jobData.status !== 'converting') {
+    send(buildSnapshotEvent(jobData));
+    return;
+  }
+
+  unsubscribe = jobEvents.subscribe(jobId, send);
+  heartbeat = setInterval(() => write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  req.on('close', close);
+  // On shutdown the client reconnects (with Last-Event-ID) to an instance that resumes the job
+  lifecycle.once('jobsDrained', close);
+});
+
 // Get cached peaks data by video ID
-router.get('/peaks/:videoId', async (req, res) => {
+// Optional zoom query: pixelsPerSecond, start and end (seconds)
+// Optional output query: format (json|dat|wavesurfer), bits (8|16), version (1|2), splitChannels
+router.get('/peaks/:videoId', authorize('authenticated'), async (req, res, next) => {
   try {
     const { videoId } = req.params;
     const { quality = 'medium' } = req.query;
+    req.usage.videoId = videoId;
 
     if (!videoId) {
-      return res.status(400).json({
-        error: 'Missing parameter',
-        message: 'videoId is required'
-      });
+      throw new ValidationError('videoId is required', { code: 'MISSING_PARAMETER', title: 'Missing parameter' });
+    }
+
+    const zoom = parseZoomQuery(req.query);
+    if (zoom.error) {
+      throw new ValidationError(zoom.error, { code: 'INVALID_PARAMETER', title: 'Invalid parameter' });
+    }
+
+    const output = parseFormatQuery(req.query);
+    if (output.error) {
+      throw new ValidationError(output.error, { code: 'INVALID_PARAMETER', title: 'Invalid parameter' });
     }
 
-    const { data, error } = await supabase
-      .from('audio_cache')
-      .select('*')
-      .eq('video_id', videoId)
-      .eq('quality', quality)
-      .single();
+    const data = await storage.getCacheSummary(videoId, quality);
 
-    if (error || !data) {
-      return res.status(404).json({
-        error: 'Not found',
-        message: 'No cached data found for this video'
+    if (!data) {
+      // While a job is still decoding, serve what it has so far (overview peaks only)
+      const activeJob = output.format ? null : await findActiveJob(videoId, quality, req.log);
+      const partialData = activeJob && buildPartialData(activeJob);
+      if (partialData) {
+        res.set('Cache-Control', 'no-store');
+        return res.json({
+          success: true,
+          data: {
+            ...partialData,
+            resolution: null,
+            jobId: activeJob.job_id,
+            statusUrl: `/api/audio/status/${encodeURIComponent(activeJob.job_id)}`
+          }
+        });
+      }
+      throw new NotFoundError('No cached data found for this video', { code: 'CACHE_NOT_FOUND' });
+    }
+
+    // Only zoomed windows and export formats read the pyramid, which can run to megabytes
+    if (zoom.requested || output.format) {
+      const levels = await storage.getCache(videoId, quality, { columns: ['peak_levels'] });
+      data.peak_levels = levels ? levels.peak_levels : null;
+    }
+
+    if (output.format) {
+      return sendWaveformFormat(res, data, zoom, output);
+    }
+
+    // Serve the requested window from the pyramid when one was stored
+    if (zoom.requested && data.peak_levels) {
+      const window = queryPyramid(data.peak_levels, zoom);
+      return res.json({
+        success: true,
+        data: {
+          videoId,
+          quality,
+          peaks: window.peaks,
+          duration: data.duration,
+          partial: false,
+          resolution: {
+            pixelsPerSecond: window.pixelsPerSecond,
+            samplesPerPixel: window.samplesPerPixel,
+            sampleRate: data.peak_levels.sampleRate,
+            start: window.start,
+            end: window.end,
+            length: window.length
+          },
+          metadata: summarizeMetadata(data.metadata),
+          cachedAt: data.created_at
+        }
       });
     }
 
@@ -273,203 +571,774 @@ router.get('/peaks/:videoId', async (req, res) => {
         quality,
         peaks: data.peaks,
         duration: data.duration,
-        metadata: data.metadata,
+        partial: false,
+        resolution: null,
+        metadata: summarizeMetadata(data.metadata),
         cachedAt: data.created_at
       }
     });
 
   } catch (error) {
-    console.error('Cache retrieval error:', error);
-    res.status(500).json({
-      error: 'Cache retrieval failed',
-      message: 'An error occurred while retrieving cached data'
+    next(error);
+  }
+});
+
+// Get the tempo, beat grid, key, loudness and sections measured alongside the cached peaks
+// Optional query: quality, chromagram (true|1 to include the pitch class energies per block),
+// loudnessCurves (true|1 to include the momentary and short-term loudness over time)
+router.get('/analysis/:videoId', authorize('authenticated'), async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+    const { quality = 'medium' } = req.query;
+    const includeChromagram = req.query.chromagram === 'true' || req.query.chromagram === '1';
+    const includeCurves = req.query.loudnessCurves === 'true' || req.query.loudnessCurves === '1';
+    req.usage.videoId = videoId;
+
+    const data = await storage.getCache(videoId, quality, { columns: ['duration', 'metadata', 'created_at'] });
+
+    if (!data) {
+      throw new NotFoundError('No cached data found for this video', { code: 'CACHE_NOT_FOUND' });
+    }
+
+    // Entries cached before tempo detection have peaks but no analysis
+    const analysis = data.metadata?.analysis;
+    if (!analysis) {
+      throw new NotFoundError('No analysis cached for this video; clear the cache and process it again', {
+        code: 'ANALYSIS_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        videoId,
+        quality,
+        duration: data.duration,
+        bpm: analysis.bpm,
+        confidence: analysis.confidence,
+        beatsPerBar: analysis.beatsPerBar,
+        beats: analysis.beats,
+        downbeats: analysis.downbeats,
+        // Version 1 entries predate key detection
+        key: analysis.key || null,
+        ...(includeChromagram && { chromagram: analysis.chromagram || null }),
+        // Entries before version 3 predate loudness measurement
+        loudness: summarizeLoudness(analysis.loudness, includeCurves),
+        // Sections map onto WaveSurfer regions; entries before version 4 predate structure detection
+        sections: analysis.structure ? analysis.structure.sections : null,
+        analysisVersion: analysis.version,
+        cachedAt: data.created_at
+      }
     });
+
+  } catch (error) {
+    next(error);
   }
 });
 
-// Clear cache for a specific video
-router.delete('/cache/:videoId', async (req, res) => {
+// Get the spectrogram computed alongside the cached peaks, for a time range
+// Optional query: quality, format (json|png|float32|uint8), scale (mel|linear), mels, fftSize, hop,
+// start, end, colormap (png only)
+router.get('/spectrogram/:videoId', authorize('authenticated'), async (req, res, next) => {
   try {
     const { videoId } = req.params;
+    const { quality = 'medium' } = req.query;
+    req.usage.videoId = videoId;
 
-    if (!videoId) {
-      return res.status(400).json({
-        error: 'Missing parameter',
-        message: 'videoId is required'
+    const query = parseSpectrogramQuery(req.query);
+    if (query.error) {
+      throw new ValidationError(query.error, { code: 'INVALID_PARAMETER', title: 'Invalid parameter' });
+    }
+
+    const row = await storage.getSpectrogram(videoId, quality);
+    if (!row) {
+      // Entries cached before spectrograms (or with them turned off) have peaks but no spectrogram
+      if (!(await storage.getCache(videoId, quality, { columns: ['id'] }))) {
+        throw new NotFoundError('No cached data found for this video', { code: 'CACHE_NOT_FOUND' });
+      }
+      throw new NotFoundError('No spectrogram cached for this video; clear the cache and process it again', {
+        code: 'SPECTROGRAM_NOT_FOUND'
       });
     }
 
-    const { error } = await supabase
-      .from('audio_cache')
-      .delete()
-      .eq('video_id', videoId);
+    const stored = row.spectrogram;
+    if (query.fftSize > stored.fftSize) {
+      throw new ValidationError(`fftSize must be at most ${stored.fftSize} for this video`, {
+        code: 'INVALID_PARAMETER',
+        title: 'Invalid parameter',
+        details: { maxFftSize: stored.fftSize }
+      });
+    }
 
-    if (error) {
-      throw error;
+    const window = readSpectrogram(stored, {
+      ...query,
+      ...(query.format === 'json' && { alignFrames: spectrogramFormats.TILE_FRAMES })
+    });
+
+    if (query.format === 'json') {
+      return res.json({
+        success: true,
+        data: {
+          videoId,
+          quality,
+          scale: window.scale,
+          sampleRate: window.sampleRate,
+          fftSize: window.fftSize,
+          hop: window.hop,
+          hopSeconds: window.hop / window.sampleRate,
+          bins: window.bins,
+          frequencies: window.frequencies,
+          minDb: window.minDb,
+          start: window.start,
+          end: window.end,
+          tileFrames: spectrogramFormats.TILE_FRAMES,
+          encoding: 'uint8-base64',
+          tiles: spectrogramFormats.toTiles(window),
+          cachedAt: row.created_at
+        }
+      });
+    }
+
+    if (window.frames === 0) {
+      throw new ValidationError('No spectrogram frames in the requested range', {
+        code: 'INVALID_PARAMETER',
+        title: 'Invalid parameter'
+      });
     }
 
+    res.set(spectrogramFormats.describeWindow(window));
+    if (query.format === 'png') {
+      res.type('png');
+      return res.send(spectrogramFormats.toPng(window, { colormap: query.colormap }));
+    }
+
+    const filename = `${videoId}.${query.format}`.replace(/[^\w.-]/g, '_');
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(spectrogramFormats.toMatrix(window, query.format));
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Clear cache for a specific video (admin)
+router.delete('/cache/:videoId', authorize('admin', 'cache.delete'), async (req, res, next) => {
+  try {
+    const { videoId } = req.params;
+
+    if (!videoId) {
+      throw new ValidationError('videoId is required', { code: 'MISSING_PARAMETER', title: 'Missing parameter' });
+    }
+
+    await storage.deleteCache(videoId);
+
     res.json({
       success: true,
       message: `Cache cleared for video: ${videoId}`
     });
 
   } catch (error) {
-    console.error('Cache deletion error:', error);
-    res.status(500).json({
-      error: 'Cache deletion failed',
-      message: 'An error occurred while clearing the cache'
-    });
+    next(error);
   }
 });
 
-// Get processing status and statistics
-router.get('/stats', async (req, res) => {
+// Get processing status and statistics (admin)
+router.get('/stats', authorize('admin', 'stats.read'), async (req, res, next) => {
   try {
-    const { data: totalCount, error: countError } = await supabase
-      .from('audio_cache')
-      .select('video_id', { count: 'exact' });
-
-    const { data: recentCount, error: recentError } = await supabase
-      .from('audio_cache')
-      .select('video_id', { count: 'exact' })
-      .gte('created_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
-
-    if (countError || recentError) {
-      throw countError || recentError;
-    }
+    const totalCount = await storage.countCache();
+    const recentCount = await storage.countCache({
+      since: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+    });
 
     res.json({
       success: true,
       stats: {
-        totalProcessed: totalCount?.length || 0,
-        processedLast24h: recentCount?.length || 0,
-        cacheEnabled: Boolean(process.env.SUPABASE_URL),
+        totalProcessed: totalCount,
+        processedLast24h: recentCount,
+        cacheEnabled: true,
+        storageBackend: storage.name,
         apiConfigured: Boolean(process.env.RAPIDAPI_KEY)
       }
     });
 
   } catch (error) {
-    console.error('Stats retrieval error:', error);
-    res.status(500).json({
-      error: 'Stats retrieval failed',
-      message: 'An error occurred while retrieving statistics'
-    });
+    next(error);
   }
 });
 
 // Helper function to calculate remaining time
-function calculateRemainingTime(startedAt) {
-  const elapsed = Date.now() - new Date(startedAt).getTime();
+// Extrapolates from reported progress, falling back to a 90 second average
+function calculateRemainingTime(jobData) {
+  const elapsed = Date.now() - new Date(jobData.started_at).getTime();
+  const progress = jobData.metadata?.progress;
+
+  if (progress > 0 && progress < 100) {
+    const remaining = (elapsed * (100 - progress)) / progress;
+    return Math.ceil(remaining / 1000);
+  }
+
   const averageTime = 90000; // 90 seconds average
   const remaining = Math.max(0, averageTime - elapsed);
   return Math.ceil(remaining / 1000); // Return seconds
 }
 
-// Background processing function
-async function processVideoInBackground(conversionJob, videoId, quality, youtubeUrl) {
+// Parse pixelsPerSecond/start/end zoom parameters for the peaks endpoint
+function parseZoomQuery(query) {
+  const zoom = { requested: false };
+
+  for (const name of ['pixelsPerSecond', 'start', 'end']) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    zoom[name] = value;
+    zoom.requested = true;
+  }
+
+  if (zoom.pixelsPerSecond === 0) {
+    return { error: 'pixelsPerSecond must be greater than zero' };
+  }
+  if (zoom.start !== undefined && zoom.end !== undefined && zoom.end <= zoom.start) {
+    return { error: 'end must be greater than start' };
+  }
+
+  return zoom;
+}
+
+// Parse format/bits/version/splitChannels output parameters for the peaks endpoint
+function parseFormatQuery(query) {
+  if (query.format === undefined || query.format === '') return {};
+
+  if (!WAVEFORM_FORMATS.includes(query.format)) {
+    return { error: `format must be one of: ${WAVEFORM_FORMATS.join(', ')}` };
+  }
+
+  const bits = query.bits === undefined ? 16 : Number(query.bits);
+  if (bits !== 8 && bits !== 16) {
+    return { error: 'bits must be 8 or 16' };
+  }
+
+  const version = query.version === undefined ? 2 : Number(query.version);
+  if (version !== 1 && version !== 2) {
+    return { error: 'version must be 1 or 2' };
+  }
+
+  return {
+    format: query.format,
+    bits,
+    version,
+    splitChannels: query.splitChannels === 'true' || query.splitChannels === '1'
+  };
+}
+
+// Parse and validate query parameters for the spectrogram endpoint
+function parseSpectrogramQuery(query) {
+  const parsed = {
+    format: query.format || 'json',
+    scale: query.scale || 'mel',
+    colormap: query.colormap || 'magma'
+  };
+
+  if (!SPECTROGRAM_FORMATS.includes(parsed.format)) {
+    return { error: `format must be one of: ${SPECTROGRAM_FORMATS.join(', ')}` };
+  }
+  if (!SCALES.includes(parsed.scale)) {
+    return { error: `scale must be one of: ${SCALES.join(', ')}` };
+  }
+  if (!spectrogramFormats.COLORMAPS.includes(parsed.colormap)) {
+    return { error: `colormap must be one of: ${spectrogramFormats.COLORMAPS.join(', ')}` };
+  }
+
+  for (const name of ['start', 'end']) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    parsed[name] = value;
+  }
+  if (parsed.start !== undefined && parsed.end !== undefined && parsed.end <= parsed.start) {
+    return { error: 'end must be greater than start' };
+  }
+
+  if (query.fftSize !== undefined && query.fftSize !== '') {
+    const fftSize = Number(query.fftSize);
+    if (!isPowerOfTwo(fftSize) || fftSize < MIN_FFT_SIZE) {
+      return { error: `fftSize must be a power of two of at least ${MIN_FFT_SIZE}` };
+    }
+    parsed.fftSize = fftSize;
+  }
+
+  if (query.hop !== undefined && query.hop !== '') {
+    const hop = Number(query.hop);
+    if (!Number.isInteger(hop) || hop < 1) {
+      return { error: 'hop must be a positive whole number of samples' };
+    }
+    parsed.hop = hop;
+  }
+
+  const mels = query.mels === undefined || query.mels === '' ? DEFAULT_MELS : Number(query.mels);
+  if (!Number.isInteger(mels) || mels < MIN_MELS || mels > MAX_MELS) {
+    return { error: `mels must be a whole number from ${MIN_MELS} to ${MAX_MELS}` };
+  }
+  parsed.mels = mels;
+
+  return parsed;
+}
+
+// Respond with cached peaks in audiowaveform or WaveSurfer format; throws on bad input
+function sendWaveformFormat(res, data, zoom, output) {
+  let peakLevels = data.peak_levels;
+
+  // Entries cached before the pyramid only have merged overview peaks
+  if (!peakLevels && data.peaks && data.metadata?.sampleRate && data.metadata?.samplesPerPixel) {
+    peakLevels = pyramidFromPeaks(data.peaks, {
+      sampleRate: data.metadata.sampleRate,
+      samplesPerPixel: data.metadata.samplesPerPixel,
+      totalFrames: data.duration ? Math.round(data.duration * data.metadata.sampleRate) : undefined
+    });
+  }
+
+  if (!peakLevels) {
+    throw new NotFoundError('No peak data cached for this video', { code: 'PEAKS_NOT_FOUND' });
+  }
+
+  const window = readWindow(peakLevels, {
+    ...zoom,
+    splitChannels: output.splitChannels,
+    maxLength: MAX_EXPORT_PEAKS
+  });
+
+  if (output.format === 'wavesurfer') {
+    return res.json(waveformFormats.toWaveSurfer(window));
+  }
+
+  const versionError = waveformFormats.validateVersion(window, output.version);
+  if (versionError) {
+    throw new ValidationError(versionError, { code: 'INVALID_PARAMETER', title: 'Invalid parameter' });
+  }
+
+  if (output.format === 'json') {
+    return res.json(waveformFormats.toAudiowaveformJson(window, output));
+  }
+
+  const filename = `${data.video_id}.dat`.replace(/[^\w.-]/g, '_');
+  res.set({
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(waveformFormats.toAudiowaveformDat(window, output));
+}
+
+// Run the multer upload and turn its limit errors into typed errors
+function receiveUpload(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return next(new PayloadTooLargeError(`Uploads are limited to ${UPLOAD_MAX_BYTES} bytes`, {
+          code: 'FILE_TOO_LARGE',
+          title: 'File too large',
+          details: { maxBytes: UPLOAD_MAX_BYTES }
+        }));
+      }
+      return next(new ValidationError(error.message, { code: 'INVALID_UPLOAD', title: 'Invalid upload', cause: error }));
+    }
+
+    next(error);
+  });
+}
+
+function removeUploadedFile(filePath) {
+  fs.unlink(filePath).catch(error => {
+    if (error.code !== 'ENOENT') logger.error('Failed to remove uploaded file', { filePath, error });
+  });
+}
+
+// Cached metadata for peaks responses: the beat grid, key segments, chromagram, loudness
+// curves and sections are left to /analysis, only the tempo, key name, loudness and true peak are kept
+function summarizeMetadata(metadata) {
+  if (!metadata?.analysis) return metadata;
+  const { analysis, ...rest } = metadata;
+  return {
+    ...rest,
+    bpm: analysis.bpm,
+    bpmConfidence: analysis.confidence,
+    ...(analysis.version >= 2 && { key: analysis.key ? analysis.key.name : null }),
+    ...(analysis.version >= 3 && {
+      loudness: analysis.loudness.integrated,
+      truePeak: analysis.loudness.truePeak
+    })
+  };
+}
+
+function summarizeLoudness(loudness, includeCurves) {
+  if (!loudness) return null;
+  const { curves, ...summary } = loudness;
+  return includeCurves ? loudness : summary;
+}
+
+function jobNotFound() {
+  return new NotFoundError('No processing job found with this ID', { code: 'JOB_NOT_FOUND', title: 'Job not found' });
+}
+
+// Serialize a job event in text/event-stream format
+function formatSseEvent(entry) {
+  const id = entry.id ? `id: ${entry.id}\n` : '';
+  return `${id}event: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`;
+}
+
+// Build an event describing the stored state of a job
+function buildSnapshotEvent(jobData) {
+  const data = {
+    jobId: jobData.job_id,
+    status: jobData.status,
+    stage: jobData.metadata?.stage || null,
+    progress: jobData.metadata?.progress ?? null,
+    timestamp: new Date().toISOString()
+  };
+
+  if (jobData.status === 'completed') {
+    return {
+      event: 'completed',
+      data: {
+        ...data,
+        progress: 100,
+        peaksUrl: `/api/audio/peaks/${jobData.video_id}?quality=${jobData.quality}`,
+        completedAt: jobData.completed_at
+      }
+    };
+  }
+
+  if (jobData.status === 'failed' || jobData.status === 'cancelled') {
+    return { event: 'failed', data: { ...data, error: jobData.error_message } };
+  }
+
+  return { event: 'status', data };
+}
+
+// Metadata stored on processing_jobs rows for peaks jobs
+function buildJobMetadata(conversionJob, fields) {
+  return {
+    jobType: 'peaks',
+    ...conversionJob.metadata,
+    title: conversionJob.title,
+    ...fields,
+    lastUpdate: new Date().toISOString()
+  };
+}
+
+// Publish stage progress to stream clients and persist it at a limited rate.
+// reportProgress.flush() writes the latest progress right away, e.g. after new partial peaks.
+function createProgressReporter(conversionJob, stageRanges = STAGE_RANGES) {
+  let current = { stage: 'queued', progress: 0 };
+  let lastStage = null;
+  let lastWriteAt = 0;
+
+  const write = () => {
+    lastStage = current.stage;
+    lastWriteAt = Date.now();
+    storage
+      .updateJob(conversionJob.id, { metadata: buildJobMetadata(conversionJob, current) })
+      .catch(error => logger.error('Job progress update error', { jobId: conversionJob.id, error }));
+  };
+
+  function reportProgress(stage, stageProgress, details = {}) {
+    const [from, to] = stageRanges[stage];
+    const bounded = Math.min(100, Math.max(0, stageProgress || 0));
+    const progress = Math.round(from + ((to - from) * bounded) / 100);
+    current = { stage, progress };
+
+    jobEvents.publish(conversionJob.id, STAGE_EVENTS[stage], {
+      status: 'converting',
+      stage,
+      progress,
+      stageProgress: stageProgress ?? null,
+      ...details
+    });
+
+    if (stage === lastStage && Date.now() - lastWriteAt < PROGRESS_WRITE_INTERVAL_MS) return;
+    write();
+  }
+
+  reportProgress.flush = write;
+  return reportProgress;
+}
+
+// Keep the latest partial peaks in the job's metadata, where /status and /peaks read them
+// while the job runs, and tell stream clients to fetch them
+function createPartialReporter(job, videoId, quality, reportProgress) {
+  return function reportPartial(partial) {
+    job.metadata = {
+      ...job.metadata,
+      partial: {
+        peaks: partial.peaks,
+        duration: partial.duration,
+        estimatedDuration: partial.estimatedDuration,
+        coverage: partial.coverage,
+        length: partial.length,
+        updatedAt: new Date().toISOString()
+      }
+    };
+    reportProgress.flush();
+
+    jobEvents.publish(job.id, 'partial', {
+      status: 'converting',
+      coverage: partial.coverage,
+      duration: partial.duration,
+      length: partial.length,
+      peaksUrl: `/api/audio/peaks/${videoId}?quality=${quality}`
+    });
+  };
+}
+
+// Partial peaks fields for a job still converting, or null when none have been published
+function buildPartialData(jobData) {
+  const partial = jobData.status === 'converting' ? jobData.metadata?.partial : null;
+  if (!partial?.peaks) return null;
+
+  return {
+    videoId: jobData.video_id,
+    quality: jobData.quality,
+    peaks: partial.peaks,
+    duration: partial.duration,
+    estimatedDuration: partial.estimatedDuration ?? null,
+    partial: true,
+    coverage: partial.coverage ?? null,
+    updatedAt: partial.updatedAt
+  };
+}
+
+// Find a peaks job still converting for this video and quality
+// options.columns limits the row to those processing_jobs columns
+async function findActiveJob(videoId, quality, log = logger, options = {}) {
   try {
-    console.log(`Starting background processing for job: ${conversionJob.id}`);
-    
-    let finalDownloadUrl;
+    return await storage.findActiveJob(videoId, quality, options);
+  } catch (error) {
+    log.error('Active job lookup error', { videoId, error });
+    return null;
+  }
+}
+
+// Record a new peaks job so /status can report on it.
+// The request ID goes into the job's metadata so progress writes and restored jobs keep it.
+async function createProcessingJob(conversionJob, videoId, quality, youtubeUrl, requestId) {
+  if (requestId) {
+    conversionJob.metadata = { ...conversionJob.metadata, requestId };
+  }
+
+  try {
+    await storage.saveJob({
+      job_id: conversionJob.id,
+      video_id: videoId,
+      youtube_url: youtubeUrl,
+      quality,
+      status: 'converting',
+      download_url: conversionJob.downloadUrl,
+      started_at: new Date().toISOString(),
+      completed_at: null,
+      error_message: null,
+      peaks_generated: false,
+      metadata: buildJobMetadata(conversionJob, { stage: 'queued', progress: 0 })
+    });
+  } catch (error) {
+    throw new StorageError(`Failed to create processing job: ${error.message}`, { cause: error });
+  }
+
+  jobEvents.publish(conversionJob.id, 'status', { status: 'converting', stage: 'queued', progress: 0 });
+  return conversionJob.id;
+}
+
+// Response body for a started or joined peaks job
+function buildJobResponse(jobId, videoId, quality) {
+  return {
+    success: true,
+    status: 'converting',
+    jobId,
+    data: {
+      videoId,
+      quality,
+      statusUrl: `/api/audio/status/${encodeURIComponent(jobId)}`,
+      peaksUrl: `/api/audio/peaks/${videoId}?quality=${quality}`,
+      streamUrl: `/api/audio/status/${encodeURIComponent(jobId)}/stream`
+    }
+  };
+}
+
+// Background processing function, run by the job queue.
+// Errors are rethrown so the queue can retry or mark the job as failed.
+async function processVideoInBackground(conversionJob, videoId, quality, youtubeUrl, context = {}) {
+  const { signal, log = logger } = context;
+  const reportProgress = createProgressReporter(conversionJob);
+  const reportPartial = createPartialReporter(conversionJob, videoId, quality, reportProgress);
+
+  try {
+    log.info('Starting background processing', { videoId, quality });
     
-    // Use appropriate monitoring method based on job type
-    if (conversionJob.sseUrl) {
-      console.log(`Using SSE monitoring for job: ${conversionJob.id}`);
-      
-      // Monitor progress with SSE and update job status
-      finalDownloadUrl = await youtubeService.monitorConversionProgress(
-        conversionJob.sseUrl,
-        async (progressData) => {
-          // Update job progress in database
-          await supabase
-            .from('processing_jobs')
-            .update({
-              metadata: {
-                ...conversionJob.metadata,
-                progress: progressData.progress || 0,
-                status: progressData.status,
-                lastUpdate: new Date().toISOString()
-              }
-            })
-            .eq('job_id', conversionJob.id);
-        }
-      );
-    } else if (conversionJob.downloadUrl) {
-      console.log(`Using polling method for job: ${conversionJob.id}`);
-      
-      // Fall back to polling method
-      finalDownloadUrl = await youtubeService.waitForConversion(
-        conversionJob.downloadUrl, 
-        conversionJob.id,
-        20 // Reduced max attempts for background processing
-      );
-    } else {
-      throw new Error('No monitoring method available for this job');
-    }
-
-    console.log(`Conversion completed for job: ${conversionJob.id}`);
+    // Wait for the provider that started the conversion to finish it
+    reportProgress('converting', 0);
+    const finalDownloadUrl = await youtubeService.monitorConversion(
+      conversionJob,
+      (progressData) => reportProgress('converting', progressData.progress, {
+        upstreamStatus: progressData.status
+      }),
+      { log, signal }
+    );
+
+    log.info('Conversion completed', { videoId });
+    signal?.throwIfAborted();
 
     // Generate peaks from the downloaded audio
-    console.log(`Processing audio to generate peaks for video: ${videoId}`);
-    const peaksData = await audioProcessor.generatePeaks(finalDownloadUrl);
+    log.info('Processing audio to generate peaks', { videoId });
+    reportProgress('downloading', 0);
+    const peaksData = await audioProcessor.generatePeaks(finalDownloadUrl, {
+      log,
+      signal,
+      allowLocalFile: youtubeService.allowsLocalFiles(conversionJob),
+      onPartial: reportPartial,
+      onProgress: (update) => {
+        if (update.stage === 'download') {
+          const percent = update.total ? (update.loaded / update.total) * 100 : null;
+          reportProgress('downloading', percent, { loaded: update.loaded, total: update.total });
+        } else if (update.stage === 'decode') {
+          reportProgress('decoding', update.progress, { seconds: update.seconds });
+        }
+      }
+    });
+    signal?.throwIfAborted();
 
-    // Prepare metadata
-    const metadata = {
-      title: conversionJob.title || 'Unknown Title',
-      duration: peaksData.duration,
-      sampleRate: peaksData.sampleRate,
-      channels: peaksData.channels,
-      processedAt: new Date().toISOString()
-    };
+    await cachePeaksResult(conversionJob, videoId, quality, peaksData, {
+      audioUrl: finalDownloadUrl,
+      metadata: {
+        title: conversionJob.title || 'Unknown Title',
+        author: conversionJob.metadata?.author,
+        viewCount: conversionJob.metadata?.viewCount,
+        thumbnail: conversionJob.metadata?.thumbnail
+      },
+      log
+    });
 
-    // Cache the results
-    const { error: insertError } = await supabase
-      .from('audio_cache')
-      .upsert({
-        video_id: videoId,
-        quality,
-        peaks: peaksData.peaks,
-        duration: peaksData.duration,
-        metadata,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      });
+    log.info('Background processing completed', { videoId });
 
-    if (insertError) {
-      console.error('Cache insertion error:', insertError);
-    } else {
-      console.log(`Successfully cached peaks for video: ${videoId}`);
-    }
+  } catch (error) {
+    log.error('Background processing failed', { videoId, error });
+    throw error;
+  }
+}
 
-    // Update job status to completed
-    const { error: updateError } = await supabase
-      .from('processing_jobs')
-      .update({
-        status: 'completed',
-        completed_at: new Date().toISOString(),
-        peaks_generated: true
-      })
-      .eq('job_id', conversionJob.id);
+// Decode an uploaded file and cache its peaks, run by the job queue
+async function processUploadInBackground(uploadJob, videoId, filePath, context = {}) {
+  const { signal, log = logger } = context;
+  const reportProgress = createProgressReporter(uploadJob, UPLOAD_STAGE_RANGES);
+  const reportPartial = createPartialReporter(uploadJob, videoId, UPLOAD_QUALITY, reportProgress);
 
-    if (updateError) {
-      console.error('Job update error:', updateError);
-    }
+  try {
+    log.info('Starting upload processing', { videoId });
+    reportProgress('decoding', 0);
 
-    console.log(`Background processing completed for job: ${conversionJob.id}`);
+    const peaksData = await audioProcessor.extractPeaksFromFile(filePath, {
+      log,
+      signal,
+      maxDuration: UPLOAD_MAX_DURATION_SECONDS,
+      onPartial: reportPartial,
+      onProgress: (update) => {
+        if (update.stage === 'decode') {
+          reportProgress('decoding', update.progress, { seconds: update.seconds });
+        }
+      }
+    });
+    signal?.throwIfAborted();
+
+    await cachePeaksResult(uploadJob, videoId, UPLOAD_QUALITY, peaksData, {
+      audioUrl: null,
+      metadata: {
+        title: uploadJob.title,
+        filename: uploadJob.metadata.filename,
+        format: uploadJob.metadata.format,
+        size: uploadJob.metadata.size
+      },
+      log
+    });
+
+    log.info('Upload processing completed', { videoId });
 
   } catch (error) {
-    console.error(`Background processing failed for job: ${conversionJob.id}`, error);
-
-    // Update job status to failed
-    await supabase
-      .from('processing_jobs')
-      .update({
-        status: 'failed',
-        completed_at: new Date().toISOString(),
-        error_message: error.message
-      })
-      .eq('job_id', conversionJob.id);
+    log.error('Upload processing failed', { videoId, error });
+    throw error;
+  } finally {
+    removeUploadedFile(filePath);
+  }
+}
+
+// Cache generated peaks, mark the job completed and notify stream clients
+async function cachePeaksResult(job, videoId, quality, peaksData, { audioUrl, metadata, log = logger }) {
+  // Without cached peaks the job has nothing to serve, so treat it as failed
+  try {
+    await storage.putCache({
+      video_id: videoId,
+      quality,
+      audio_url: audioUrl,
+      peaks: peaksData.peaks,
+      peak_levels: peaksData.peakLevels,
+      duration: peaksData.duration,
+      metadata: {
+        ...metadata,
+        duration: peaksData.duration,
+        sampleRate: peaksData.sampleRate,
+        channels: peaksData.channels,
+        bits: peaksData.bits,
+        length: peaksData.length,
+        samplesPerPixel: peaksData.samplesPerPixel,
+        ...(peaksData.analysis && { analysis: peaksData.analysis }),
+        processedAt: new Date().toISOString()
+      },
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  } catch (insertError) {
+    throw new StorageError(`Failed to cache peaks: ${insertError.message}`, { cause: insertError });
   }
+  log.info('Cached peaks', { videoId, quality });
+
+  if (peaksData.spectrogram) {
+    try {
+      await storage.putSpectrogram({ video_id: videoId, quality, spectrogram: peaksData.spectrogram });
+    } catch (error) {
+      // The peaks are cached, so the job still completes; only the spectrogram view is missing
+      log.error('Failed to cache spectrogram', { videoId, quality, error });
+    }
+  }
+
+  // The cached peaks replace any partial ones kept on the job
+  const { partial, ...jobMetadata } = job.metadata || {};
+  job.metadata = jobMetadata;
+
+  try {
+    await storage.updateJob(job.id, {
+      status: 'completed',
+      download_url: audioUrl,
+      completed_at: new Date().toISOString(),
+      peaks_generated: true,
+      ...(partial && { metadata: buildJobMetadata(job, { stage: 'completed', progress: 100 }) })
+    });
+  } catch (updateError) {
+    log.error('Job update error', { error: updateError });
+  }
+
+  jobEvents.publish(job.id, 'completed', {
+    status: 'completed',
+    progress: 100,
+    videoId,
+    quality,
+    duration: peaksData.duration,
+    length: peaksData.length,
+    peaksUrl: `/api/audio/peaks/${videoId}?quality=${quality}`
+  });
 }
 
 module.exports = router;
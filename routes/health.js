@@ -1,13 +1,17 @@
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
+const storage = require('../services/storage');
+const upstream = require('../services/upstream');
+const providers = require('../services/providers');
+const healthProber = require('../services/healthProber');
+const lifecycle = require('../services/lifecycle');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Initialize Supabase client for health check
-const supabase = createClient(
-  process.env.SUPABASE_URL || '',
-  process.env.SUPABASE_ANON_KEY || ''
-);
+const MAX_HISTORY_HOURS = 7 * 24;
+const MAX_HISTORY_BUCKETS = 1000;
+const READINESS_STORAGE_TIMEOUT_MS = 2000;
 
 // Health check endpoint
 router.get('/', async (req, res) => {
@@ -20,34 +24,31 @@ router.get('/', async (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     checks: {
       server: 'healthy',
-      supabase: 'unknown',
+      storage: 'unknown',
       rapidapi: 'unknown'
     }
   };
 
   try {
-    // Check Supabase connection
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      const { error } = await supabase.from('audio_cache').select('count').limit(1);
-      healthCheck.checks.supabase = error ? 'unhealthy' : 'healthy';
-    }
+    // Check storage backend
+    const storageStatus = await storage.ping();
+    healthCheck.checks.storage = storageStatus.healthy ? 'healthy' : 'unhealthy';
 
     // Check RapidAPI key presence
     healthCheck.checks.rapidapi = process.env.RAPIDAPI_KEY ? 'configured' : 'not_configured';
 
-    // Determine overall status
-    const hasUnhealthy = Object.values(healthCheck.checks).some(status => 
-      status === 'unhealthy' || status === 'not_configured'
-    );
+    // Determine overall status. An unconfigured provider is a deployment choice, not a fault,
+    // unless it leaves no provider to convert with.
+    const hasUnhealthy = Object.values(healthCheck.checks).some(status => status === 'unhealthy');
     
-    if (hasUnhealthy) {
+    if (hasUnhealthy || !hasConfiguredProvider()) {
       healthCheck.status = 'degraded';
       return res.status(200).json(healthCheck);
     }
 
     res.status(200).json(healthCheck);
   } catch (error) {
-    console.error('Health check error:', error);
+    (req.log || logger).error('Health check error', { error });
     
     healthCheck.status = 'unhealthy';
     healthCheck.error = error.message;
@@ -64,7 +65,8 @@ router.get('/detailed', async (req, res) => {
     version: '1.0.0',
     status: 'healthy',
     dependencies: {
-      supabase: {
+      storage: {
+        backend: storage.name,
         status: 'unknown',
         responseTime: null,
         lastChecked: new Date().toISOString()
@@ -73,7 +75,11 @@ router.get('/detailed', async (req, res) => {
         status: 'unknown',
         configured: Boolean(process.env.RAPIDAPI_KEY),
         lastChecked: new Date().toISOString()
-      }
+      },
+      // Circuit breaker state per upstream host (closed, open or half_open)
+      upstreams: upstream.getState(),
+      // Latest background probe of each dependency (see GET /api/health/history)
+      probes: healthProber.getLatest()
     },
     system: {
       uptime: process.uptime(),
@@ -85,35 +91,32 @@ router.get('/detailed', async (req, res) => {
   };
 
   try {
-    // Test Supabase connection
-    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
-      const startTime = Date.now();
-      const { error } = await supabase.from('audio_cache').select('count').limit(1);
-      const responseTime = Date.now() - startTime;
-      
-      detailedHealth.dependencies.supabase = {
-        status: error ? 'unhealthy' : 'healthy',
-        responseTime,
-        lastChecked: new Date().toISOString(),
-        error: error?.message
-      };
-    }
+    // Test storage backend
+    const storageStatus = await storage.ping();
+    detailedHealth.dependencies.storage = {
+      backend: storage.name,
+      status: storageStatus.healthy ? 'healthy' : 'unhealthy',
+      responseTime: storageStatus.responseTime,
+      lastChecked: new Date().toISOString(),
+      error: storageStatus.error
+    };
 
     // Check RapidAPI configuration
     detailedHealth.dependencies.rapidapi.status = 
       process.env.RAPIDAPI_KEY ? 'configured' : 'not_configured';
 
     // Determine overall status
-    const supabaseHealthy = detailedHealth.dependencies.supabase.status === 'healthy';
-    const rapidApiConfigured = detailedHealth.dependencies.rapidapi.status === 'configured';
+    const storageHealthy = detailedHealth.dependencies.storage.status === 'healthy';
+    const probeUnhealthy = Object.values(detailedHealth.dependencies.probes)
+      .some(probe => probe.status === 'unhealthy');
     
-    if (!supabaseHealthy || !rapidApiConfigured) {
+    if (!storageHealthy || !hasConfiguredProvider() || upstream.hasOpenCircuit() || probeUnhealthy) {
       detailedHealth.status = 'degraded';
     }
 
     res.status(200).json(detailedHealth);
   } catch (error) {
-    console.error('Detailed health check error:', error);
+    (req.log || logger).error('Detailed health check error', { error });
     
     detailedHealth.status = 'unhealthy';
     detailedHealth.error = error.message;
@@ -122,4 +125,85 @@ router.get('/detailed', async (req, res) => {
   }
 });
 
+// Liveness: the process is up and its event loop answers. Stays 200 while draining
+// so the orchestrator does not restart the process in the middle of a graceful shutdown.
+router.get('/live', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Readiness: 503 while starting or draining, or while a dependency every request needs is down.
+// The conversion API is left out: all instances share it, and cached results are served without it.
+router.get('/ready', async (req, res) => {
+  const probes = healthProber.getLatest();
+  const storageStatus = await withTimeout(storage.ping(), READINESS_STORAGE_TIMEOUT_MS)
+    .catch(error => ({ healthy: false, error: error.message }));
+
+  const checks = {
+    lifecycle: lifecycle.state,
+    storage: storageStatus.healthy ? 'healthy' : 'unhealthy',
+    providers: hasConfiguredProvider() ? 'configured' : 'not_configured',
+    // From the background prober; unknown until its first run
+    ffmpeg: probes.ffmpeg?.status || 'unknown',
+    disk: probes.disk?.status || 'unknown'
+  };
+  const ready = lifecycle.isReady() &&
+    checks.storage === 'healthy' &&
+    checks.providers === 'configured' &&
+    checks.ffmpeg !== 'unhealthy' &&
+    checks.disk !== 'unhealthy';
+
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks,
+    ...(storageStatus.error && { error: storageStatus.error })
+  });
+});
+
+// Uptime per dependency from the recorded background probes
+// Optional query: hours (default 24, max 168), bucketMinutes (default 60), service (e.g. storage, upstream:rapidapi)
+router.get('/history', async (req, res, next) => {
+  try {
+    const hours = parseRangeQuery(req.query.hours, 'hours', 24, 1, MAX_HISTORY_HOURS);
+    const bucketMinutes = parseRangeQuery(req.query.bucketMinutes, 'bucketMinutes', 60, 1, 24 * 60);
+    if (hours * 60 / bucketMinutes > MAX_HISTORY_BUCKETS) {
+      throw new ValidationError(`Use a bucketMinutes that gives at most ${MAX_HISTORY_BUCKETS} buckets`, {
+        code: 'INVALID_PARAMETER'
+      });
+    }
+
+    const history = await healthProber.getHistory({ hours, bucketMinutes, service: req.query.service });
+    res.json({ success: true, data: history });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function parseRangeQuery(value, name, fallback, min, max) {
+  if (value === undefined) return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw new ValidationError(`${name} must be an integer from ${min} to ${max}`, { code: 'INVALID_PARAMETER' });
+  }
+  return parsed;
+}
+
+function withTimeout(promise, ms) {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+function hasConfiguredProvider() {
+  return providers.some(provider => provider.isConfigured());
+}
+
 module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const crypto = require('crypto');
+const metrics = require('../services/metrics');
+const { AuthenticationError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Prometheus scrapes are mounted ahead of API key authentication and rate limiting,
+// so they are protected by their own bearer token when METRICS_TOKEN is set
+function checkMetricsToken(req) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return;
+
+  const header = req.get('Authorization') || '';
+  const token = header.replace(/^Bearer\s+/i, '');
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+    throw new AuthenticationError('The metrics token is required', { code: 'METRICS_TOKEN_REQUIRED' });
+  }
+}
+
+// Metrics in the Prometheus text exposition format
+router.get('/', (req, res, next) => {
+  try {
+    checkMetricsToken(req);
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
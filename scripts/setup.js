@@ -71,7 +71,7 @@ async function createEnvFile() {
   
   const rapidApiKey = await question('RapidAPI Key (from youtube-to-mp315): ');
   const supabaseUrl = await question('Supabase URL: ');
-  const supabaseKey = await question('Supabase Anon Key: ');
+  const supabaseKey = await question('Supabase Service Role Key: ');
   const port = await question('Port (default 3000): ') || '3000';
   const nodeEnv = await question('Environment (development/production, default development): ') || 'development';
   
@@ -87,13 +87,10 @@ RAPIDAPI_KEY=${rapidApiKey}
 
 # Supabase Configuration
 SUPABASE_URL=${supabaseUrl}
-SUPABASE_ANON_KEY=${supabaseKey}
+SUPABASE_SERVICE_ROLE_KEY=${supabaseKey}
 
 # Optional: Frontend URL for CORS
 FRONTEND_URL=
-
-# Optional: Service role key for enhanced security
-# SUPABASE_SERVICE_ROLE_KEY=
 `;
   
   try {
@@ -113,7 +110,7 @@ async function validateEnvironment() {
     const required = [
       'RAPIDAPI_KEY',
       'SUPABASE_URL',
-      'SUPABASE_ANON_KEY'
+      'SUPABASE_SERVICE_ROLE_KEY'
     ];
     
     const missing = required.filter(key => !process.env[key]);
@@ -168,7 +165,7 @@ async function testConnections() {
     const { createClient } = require('@supabase/supabase-js');
     const supabase = createClient(
       process.env.SUPABASE_URL,
-      process.env.SUPABASE_ANON_KEY
+      process.env.SUPABASE_SERVICE_ROLE_KEY
     );
     
     const { error } = await supabase.from('audio_cache').select('count').limit(1);
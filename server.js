@@ -1,5 +1,4 @@
 const express = require('express');
-const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
@@ -8,10 +7,42 @@ require('dotenv').config();
 // Import route handlers
 const audioRoutes = require('./routes/audio');
 const healthRoutes = require('./routes/health');
+const adminRoutes = require('./routes/admin');
+const metricsRoutes = require('./routes/metrics');
+const jobQueue = require('./services/jobQueue');
+const apiKeys = require('./services/apiKeys');
+const metrics = require('./services/metrics');
+const healthProber = require('./services/healthProber');
+const lifecycle = require('./services/lifecycle');
+const logger = require('./utils/logger');
+const { requestLogger } = require('./middleware/requestLogger');
+const { authenticate } = require('./middleware/auth');
+const { trackUsage } = require('./middleware/usage');
+const { createCorsPolicy, defaultOrigins } = require('./middleware/cors');
+const {
+  NotFoundError,
+  RateLimitedError,
+  ShuttingDownError,
+  normalizeError,
+  toErrorBody
+} = require('./utils/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Correlation ID and request-scoped logger (req.id, req.log) for everything below
+app.use(requestLogger);
+
+// While draining for shutdown, close connections after each response and refuse new work.
+// Health probes and metrics are still answered.
+app.use((req, res, next) => {
+  if (!lifecycle.isDraining()) return next();
+
+  res.set('Connection', 'close');
+  if (req.path.startsWith('/api/health') || req.path === '/metrics') return next();
+  next(new ShuttingDownError());
+});
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" },
@@ -21,27 +52,47 @@ app.use(helmet({
 // Compression middleware
 app.use(compression());
 
-// CORS configuration for Chrome extension
-app.use(cors({
-  origin: [
-    'chrome-extension://*',
-    'moz-extension://*',
-    'http://localhost:*',
-    'https://localhost:*',
-    process.env.FRONTEND_URL
-  ].filter(Boolean),
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+// Request counts and latency by route for /metrics
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    metrics.recordRequest(req, res, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  next();
+});
+
+// CORS: extension, localhost and frontend origins (see middleware/cors.js)
+app.use(createCorsPolicy({
+  origins: defaultOrigins(),
+  routes: {
+    // Health checks can be read from any status page
+    '/api/health': { origins: ['*'], methods: ['GET'] },
+    // Admin tools call the API directly, never from a browser page
+    '/api/admin': { origins: [] }
+  }
 }));
 
-// Rate limiting
+// Prometheus scrapes skip API key authentication and rate limiting (see routes/metrics.js)
+app.use('/metrics', metricsRoutes);
+
+// Identify API key holders before rate limiting so limits apply per key
+app.use(authenticate);
+
+// Rate limiting: per key for API key holders, per IP for anonymous callers
+const ANONYMOUS_RATE_LIMIT = 100;
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-    retryAfter: '15 minutes'
+  max: (req) => req.apiKey ? (req.apiKey.rate_limit || apiKeys.DEFAULTS.rateLimit) : ANONYMOUS_RATE_LIMIT,
+  keyGenerator: (req) => req.apiKey ? `key:${req.apiKey.id}` : req.ip,
+  skip: (req) => req.isAdmin,
+  handler: (req, res, next, options) => {
+    const resetMs = req.rateLimit?.resetTime ? req.rateLimit.resetTime - Date.now() : options.windowMs;
+    const message = req.apiKey
+      ? 'Too many requests for this API key, please try again later.'
+      : 'Too many requests from this IP, please try again later.';
+    next(new RateLimitedError(message, {
+      retryAfter: Math.max(1, Math.ceil(resetMs / 1000))
+    }));
   },
   standardHeaders: true,
   legacyHeaders: false,
@@ -53,15 +104,11 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path} - IP: ${req.ip}`);
-  next();
-});
-
 // Routes
 app.use('/api/health', healthRoutes);
-app.use('/api/audio', audioRoutes);
+// Each route declares its scope (public, authenticated or admin) with authorize()
+app.use('/api/audio', trackUsage, audioRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -71,62 +118,74 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/api/health',
-      audio: '/api/audio'
+      audio: '/api/audio',
+      admin: '/api/admin',
+      metrics: '/metrics'
     }
   });
 });
 
+// 404 handler
+app.use('*', (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, {
+    code: 'ROUTE_NOT_FOUND',
+    details: {
+      availableRoutes: [
+        'GET /',
+        'GET /metrics',
+        'GET /api/health',
+        'GET /api/health/history',
+        'POST /api/audio/process',
+        'POST /api/audio/upload',
+        'GET /api/audio/peaks/:id',
+        'POST /api/admin/keys'
+      ]
+    }
+  }));
+});
+
 // Error handling middleware
+// Every error response has the same shape: { success: false, error, code, message, requestId, retryAfter?, details? }
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  
-  // Handle specific error types
-  if (err.type === 'entity.too.large') {
-    return res.status(413).json({
-      error: 'Payload too large',
-      message: 'The request payload is too large'
-    });
+  if (res.headersSent) {
+    return next(err);
   }
-  
-  // Generic error response
-  res.status(err.status || 500).json({
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'production' 
-      ? 'An error occurred while processing your request' 
-      : err.message,
-    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
-  });
+
+  const error = normalizeError(err);
+  // Read by the usage recorder
+  res.locals.error = error;
+  const log = req.log || logger;
+  const fields = { method: req.method, path: req.originalUrl.split('?')[0], status: error.status, code: error.code };
+  if (error.status >= 500) {
+    log.error('Request failed', { ...fields, error: err });
+  } else {
+    log.warn(`Request rejected: ${error.message}`, fields);
+  }
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json({ ...toErrorBody(error), requestId: req.id });
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.originalUrl} not found`,
-    availableRoutes: [
-      'GET /',
-      'GET /api/health',
-      'POST /api/audio/process',
-      'GET /api/audio/peaks/:id'
-    ]
+// Graceful shutdown: fail readiness, drain jobs and requests, clean up, exit (see services/lifecycle.js)
+process.on('SIGTERM', () => lifecycle.shutdown('SIGTERM'));
+process.on('SIGINT', () => lifecycle.shutdown('SIGINT'));
+
+const server = app.listen(PORT, () => {
+  logger.info(`GrooveScope Backend running on port ${PORT}`, {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    healthCheck: `http://localhost:${PORT}/api/health`
   });
-});
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+  // Pick up jobs interrupted by the previous process
+  jobQueue.recover().catch(error => logger.error('Job recovery error', { error }));
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+  // Record dependency health for GET /api/health/history
+  healthProber.start();
 
-app.listen(PORT, () => {
-  console.log(`GrooveScope Backend running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
+  lifecycle.markReady(server);
 });
 
 module.exports = app;
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+const logger = require('../utils/logger');
+const { QuotaExceededError } = require('../utils/errors');
+
+const KEY_PREFIX = 'gsk_';
+const DEFAULTS = {
+  rateLimit: parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 300,
+  dailyConversionQuota: parseInt(process.env.API_KEY_DAILY_CONVERSIONS, 10) || 200,
+  dailyPeakGenerationQuota: parseInt(process.env.API_KEY_DAILY_PEAK_GENERATIONS, 10) || 100
+};
+
+// Quota kinds, the api_usage flag column each is counted from and the api_keys limit column
+const QUOTAS = {
+  conversion: { limitColumn: 'daily_conversion_quota' },
+  peak_generation: { limitColumn: 'daily_peak_generation_quota' }
+};
+
+// Key lookups are cached so every request does not hit storage; revocation clears the
+// cache here, other instances pick it up when their entry expires
+const LOOKUP_CACHE_MS = 60 * 1000;
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Issued API keys with per-key rate limits and daily quotas.
+ * Only a sha256 hash of each key is stored. Quota counters are kept in memory per
+ * UTC day and seeded from api_usage the first time a key is charged that day, so
+ * they survive restarts.
+ */
+class ApiKeyService {
+  constructor(store = storage) {
+    this.storage = store;
+    this.lookups = new Map();
+    this.counters = new Map();
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} options - { name, role, rateLimit, dailyConversionQuota, dailyPeakGenerationQuota }
+   *   Role defaults to 'client'; omitted limits use the defaults and a null quota means unlimited
+   * @returns {Promise<Object>} - { key, record }; the key is only ever returned here
+   */
+  async create(options) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const now = new Date().toISOString();
+    const row = {
+      id: crypto.randomUUID(),
+      name: options.name,
+      key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+      key_hash: this.hashKey(key),
+      role: options.role || 'client',
+      rate_limit: options.rateLimit ?? DEFAULTS.rateLimit,
+      daily_conversion_quota: options.dailyConversionQuota === undefined
+        ? DEFAULTS.dailyConversionQuota
+        : options.dailyConversionQuota,
+      daily_peak_generation_quota: options.dailyPeakGenerationQuota === undefined
+        ? DEFAULTS.dailyPeakGenerationQuota
+        : options.dailyPeakGenerationQuota,
+      revoked_at: null,
+      last_used_at: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.storage.saveApiKey(row);
+    logger.info(`Issued API key ${row.key_prefix}…`, { apiKeyId: row.id, name: row.name, role: row.role });
+    return { key, record: row };
+  }
+
+  /**
+   * Revoke a key; requests using it are rejected from then on
+   * @param {string} id - Key ID
+   * @returns {Promise<Object|null>} - Updated record, or null if there is no such key
+   */
+  async revoke(id) {
+    const record = await this.storage.getApiKey(id);
+    if (!record) return null;
+    if (record.revoked_at) return record;
+
+    const revokedAt = new Date().toISOString();
+    await this.storage.updateApiKey(id, { revoked_at: revokedAt });
+    this.lookups.delete(record.key_hash);
+    logger.info(`Revoked API key ${record.key_prefix}…`, { apiKeyId: id });
+    return { ...record, revoked_at: revokedAt };
+  }
+
+  async get(id) {
+    return this.storage.getApiKey(id);
+  }
+
+  async list() {
+    return this.storage.listApiKeys();
+  }
+
+  /**
+   * Look up the record for a key presented by a client
+   * @param {string} key - Raw key from the Authorization header
+   * @returns {Promise<Object|null>} - Active api_keys row, or null if unknown or revoked
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+    const keyHash = this.hashKey(key);
+    const cached = this.lookups.get(keyHash);
+    let record;
+    if (cached && cached.expiresAt > Date.now()) {
+      record = cached.record;
+    } else {
+      record = await this.storage.getApiKeyByHash(keyHash);
+      this.lookups.set(keyHash, { record, expiresAt: Date.now() + LOOKUP_CACHE_MS });
+    }
+
+    if (!record || record.revoked_at) return null;
+    this.touch(record);
+    return record;
+  }
+
+  /**
+   * Charge one unit of each daily quota, or throw without charging any of them
+   * if the key has used one up
+   * @param {Object} record - api_keys row
+   * @param {Array<string>} kinds - Quota kinds: 'conversion', 'peak_generation'
+   * @returns {Promise<Object>} - { [kind]: { used, limit, remaining } } after charging
+   */
+  async consume(record, kinds) {
+    const counters = {};
+    for (const kind of kinds) {
+      counters[kind] = await this.getCounter(record, kind);
+    }
+
+    for (const kind of kinds) {
+      const limit = record[QUOTAS[kind].limitColumn];
+      if (limit !== null && limit !== undefined && counters[kind].count >= limit) {
+        const resetsAt = this.nextDayStart();
+        throw new QuotaExceededError(`Daily ${kind.replace('_', ' ')} quota of ${limit} reached for this API key`, {
+          retryAfter: Math.ceil((resetsAt - Date.now()) / 1000),
+          details: { kind, limit, resetsAt: new Date(resetsAt).toISOString() }
+        });
+      }
+    }
+
+    const quotas = {};
+    for (const kind of kinds) {
+      counters[kind].count++;
+      quotas[kind] = this.describeQuota(counters[kind].count, record[QUOTAS[kind].limitColumn]);
+    }
+    return quotas;
+  }
+
+  /**
+   * Today's usage against each quota
+   * @param {Object} record - api_keys row
+   * @returns {Promise<Object>} - { conversion: { used, limit, remaining }, peak_generation: ..., resetsAt }
+   */
+  async getUsageToday(record) {
+    const usage = {};
+    for (const [kind, { limitColumn }] of Object.entries(QUOTAS)) {
+      const counter = await this.getCounter(record, kind);
+      usage[kind] = this.describeQuota(counter.count, record[limitColumn]);
+    }
+    usage.resetsAt = new Date(this.nextDayStart()).toISOString();
+    return usage;
+  }
+
+  /**
+   * Client-facing view of a key record (never includes the hash)
+   * @param {Object} record - api_keys row
+   * @returns {Object}
+   */
+  toPublic(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      keyPrefix: record.key_prefix,
+      role: record.role || 'client',
+      rateLimit: record.rate_limit,
+      dailyConversionQuota: record.daily_conversion_quota,
+      dailyPeakGenerationQuota: record.daily_peak_generation_quota,
+      revoked: Boolean(record.revoked_at),
+      revokedAt: record.revoked_at,
+      lastUsedAt: record.last_used_at,
+      createdAt: record.created_at
+    };
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  // Counter for the current UTC day, seeded once from api_usage
+  async getCounter(record, kind) {
+    const dayStart = this.dayStart();
+    const counterKey = `${record.id}:${kind}`;
+    let counter = this.counters.get(counterKey);
+
+    if (!counter || counter.dayStart !== dayStart) {
+      counter = { dayStart, count: 0 };
+      counter.ready = this.storage.countUsage({
+        apiKeyId: record.id,
+        kind,
+        since: new Date(dayStart).toISOString()
+      }).then(count => {
+        counter.count += count;
+      }).catch(error => {
+        logger.error(`Failed to load ${kind} usage for API key`, { apiKeyId: record.id, error });
+      });
+      this.counters.set(counterKey, counter);
+    }
+
+    await counter.ready;
+    return counter;
+  }
+
+  describeQuota(used, limit) {
+    const unlimited = limit === null || limit === undefined;
+    return {
+      used,
+      limit: unlimited ? null : limit,
+      remaining: unlimited ? null : Math.max(0, limit - used)
+    };
+  }
+
+  // Record last use at most once a minute per key
+  touch(record) {
+    const lastUsed = record.last_used_at ? new Date(record.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_WRITE_INTERVAL_MS) return;
+
+    record.last_used_at = new Date().toISOString();
+    this.storage.updateApiKey(record.id, { last_used_at: record.last_used_at }).catch(error => {
+      logger.error('Failed to update last use of API key', { apiKeyId: record.id, error });
+    });
+  }
+
+  dayStart() {
+    const now = new Date();
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  }
+
+  nextDayStart() {
+    return this.dayStart() + 24 * 60 * 60 * 1000;
+  }
+}
+
+const apiKeys = new ApiKeyService();
+
+module.exports = apiKeys;
+module.exports.ApiKeyService = ApiKeyService;
+module.exports.DEFAULTS = DEFAULTS;
@@ -2,11 +2,137 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const { existsSync } = require('fs');
+const { execFile } = require('child_process');
+const { Transform } = require('stream');
+const { fileURLToPath } = require('url');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegStaticPath = require('ffmpeg-static');
+const logger = require('../utils/logger');
 const { createTimer } = require('../utils/perf');
+const {
+  AppError,
+  AudioTooLongError,
+  DecodeError,
+  PayloadTooLargeError,
+  UpstreamError
+} = require('../utils/errors');
+const { createPeakAccumulator, reducePeaks } = require('../utils/peaks');
+const { baseSamplesPerPixel, buildPyramid, encodePyramid } = require('../utils/peakPyramid');
+const { createOnsetDetector, analyzeRhythm } = require('../utils/tempo');
+const { createChromaAnalyzer, analyzeKey, encodeChromagram } = require('../utils/tonality');
+const { createLoudnessMeter, analyzeLoudness } = require('../utils/loudness');
+const { createStructureAnalyzer, analyzeStructure } = require('../utils/structure');
+const {
+  DEFAULT_FFT_SIZE,
+  DEFAULT_MAX_FRAMES,
+  MIN_FFT_SIZE,
+  MAX_FFT_SIZE,
+  createSpectrogramAnalyzer,
+  encodeSpectrogram
+} = require('../utils/spectrogram');
+const { isPowerOfTwo } = require('../utils/fft');
+
+// Prefer the bundled binary; FFMPEG_PATH or a system ffmpeg on PATH still work
+const useStaticFfmpeg = !process.env.FFMPEG_PATH && ffmpegStaticPath && existsSync(ffmpegStaticPath);
+if (useStaticFfmpeg) {
+  ffmpeg.setFfmpegPath(ffmpegStaticPath);
+}
+const FFMPEG_BINARY = process.env.FFMPEG_PATH || (useStaticFfmpeg ? ffmpegStaticPath : 'ffmpeg');
+
+const PCM_BITS = 16;
+const DEFAULT_PEAKS_PER_SECOND = 10;
+const MIN_TARGET_PEAKS = 100;
+const MAX_TARGET_PEAKS = 8000;
+const PROGRESS_INTERVAL_MS = 500;
+// Shape of the cached analysis: 1 tempo and beats, 2 adds key and chromagram, 3 adds loudness,
+// 4 adds structure
+const ANALYSIS_VERSION = 4;
+
+// Partial peaks are handed to options.onPartial every PARTIAL_PEAKS_STEP_PERCENT of the track
+// (0 turns them off), at most once per PARTIAL_PEAKS_MIN_INTERVAL_MS so fast decodes skip some.
+// Tracks of unknown length get one every PARTIAL_PEAKS_UNKNOWN_INTERVAL_MS instead.
+const PARTIAL_PEAKS_STEP_PERCENT = parseInt(process.env.PARTIAL_PEAKS_STEP_PERCENT, 10);
+const PARTIAL_PEAKS_MIN_INTERVAL_MS = 1000;
+const PARTIAL_PEAKS_UNKNOWN_INTERVAL_MS = 10000;
+
+// Spectrograms are computed in the decoding pass at SPECTROGRAM_FFT_SIZE (a power of two) every
+// SPECTROGRAM_HOP samples (a quarter of the FFT size when unset), keeping at most
+// SPECTROGRAM_MAX_FRAMES frames per track (0 turns spectrograms off)
+const SPECTROGRAM_FFT_SIZE = parseInt(process.env.SPECTROGRAM_FFT_SIZE, 10);
+const SPECTROGRAM_HOP = parseInt(process.env.SPECTROGRAM_HOP, 10);
+const SPECTROGRAM_MAX_FRAMES = parseInt(process.env.SPECTROGRAM_MAX_FRAMES, 10);
+
+// Limits for audio downloaded from a provider; uploads have their own in routes/audio.js
+const DOWNLOAD_MAX_BYTES = parseInt(process.env.DOWNLOAD_MAX_BYTES, 10) || 500 * 1024 * 1024;
+const DOWNLOAD_MAX_DURATION_SECONDS = parseInt(process.env.DOWNLOAD_MAX_DURATION_SECONDS, 10) || 3 * 60 * 60;
+// Time allowed for the response headers, and for any gap between chunks of the body
+const DOWNLOAD_CONNECT_TIMEOUT_MS = 30000;
+const DOWNLOAD_IDLE_TIMEOUT_MS = 30000;
+
+// ffmpeg channel layout names as printed in stream info
+const CHANNEL_LAYOUTS = {
+  mono: 1,
+  stereo: 2,
+  '2.1': 3,
+  '3.0': 3,
+  quad: 4,
+  '4.0': 4,
+  '5.0': 5,
+  '5.1': 6,
+  '6.1': 7,
+  '7.1': 8
+};
+
+function resolveSpectrogramOptions() {
+  let fftSize = DEFAULT_FFT_SIZE;
+  if (!Number.isNaN(SPECTROGRAM_FFT_SIZE)) {
+    if (isPowerOfTwo(SPECTROGRAM_FFT_SIZE) && SPECTROGRAM_FFT_SIZE >= MIN_FFT_SIZE && SPECTROGRAM_FFT_SIZE <= MAX_FFT_SIZE) {
+      fftSize = SPECTROGRAM_FFT_SIZE;
+    } else {
+      logger.warn(`SPECTROGRAM_FFT_SIZE must be a power of two from ${MIN_FFT_SIZE} to ${MAX_FFT_SIZE}, using ${DEFAULT_FFT_SIZE}`);
+    }
+  }
+
+  return {
+    fftSize,
+    hop: SPECTROGRAM_HOP > 0 ? Math.min(fftSize, SPECTROGRAM_HOP) : fftSize / 4,
+    maxFrames: Number.isNaN(SPECTROGRAM_MAX_FRAMES) ? DEFAULT_MAX_FRAMES : Math.max(0, SPECTROGRAM_MAX_FRAMES)
+  };
+}
+
+// Download URLs come from providers or stored jobs, so only web URLs are fetched unless the
+// caller vouches for a local file (the mock provider)
+function checkAudioUrl(audioUrl, allowLocalFile) {
+  let protocol = null;
+  try {
+    protocol = new URL(audioUrl).protocol;
+  } catch (_) {
+    // Reported below
+  }
+  if (protocol === 'http:' || protocol === 'https:' || (protocol === 'file:' && allowLocalFile)) return protocol;
+  throw new UpstreamError(`Refusing to read audio from a ${protocol || 'malformed'} URL`, {
+    code: 'DOWNLOAD_URL_REJECTED',
+    retryable: false,
+    details: { protocol }
+  });
+}
+
+function downloadTooLarge(maxBytes, size) {
+  return new PayloadTooLargeError(`Audio is larger than the ${maxBytes} byte download limit`, {
+    code: 'DOWNLOAD_TOO_LARGE',
+    retryable: false,
+    details: { maxBytes, ...(size && { size }) }
+  });
+}
 
 class AudioProcessor {
   constructor() {
     this.tempDir = path.join(os.tmpdir(), 'groovescope');
+    this.ffmpegPath = FFMPEG_BINARY;
+    this.partialStepPercent = Number.isNaN(PARTIAL_PEAKS_STEP_PERCENT) ? 10 : Math.max(0, PARTIAL_PEAKS_STEP_PERCENT);
+    this.spectrogramOptions = resolveSpectrogramOptions();
+    this.progressTimes = new WeakMap();
     this.ensureTempDir();
   }
 
@@ -17,332 +143,592 @@ class AudioProcessor {
     try {
       await fs.mkdir(this.tempDir, { recursive: true });
     } catch (error) {
-      console.error('Failed to create temp directory:', error);
+      logger.error('Failed to create temp directory', { tempDir: this.tempDir, error });
     }
   }
 
   /**
-   * Generate peaks data for wavesurfer.js from audio URL
-   * @param {string} audioUrl - URL to download audio from
-   * @param {string} videoId - YouTube video ID for unique pattern generation
+   * Generate peaks data for wavesurfer.js from audio URL.
+   * The download is streamed straight into the decoder and nothing is written to disk.
+   * The peaks and analysis buffers still grow with the decoded length, up to maxDuration.
+   * @param {string} audioUrl - http(s) URL to download audio from; file:// URLs are read in place,
+   *   but only with allowLocalFile
+   * @param {Object} options - Peak extraction options (targetPeaks, maxBytes, maxDuration, allowLocalFile, signal,
+   *   onProgress, onPartial, log)
    * @returns {Object} - Peaks data and metadata
    */
-  async generatePeaks(audioUrl, videoId = null) {
-    const timer = createTimer('audioProcessor.generatePeaks');
-    let tempFilePath = null;
-    
+  async generatePeaks(audioUrl, options = {}) {
+    const log = options.log || logger;
+    const timer = createTimer('audioProcessor.generatePeaks', { log });
+    const maxBytes = options.maxBytes || DOWNLOAD_MAX_BYTES;
+    const maxDuration = options.maxDuration || DOWNLOAD_MAX_DURATION_SECONDS;
+    let source = null;
+    let download = null;
+    let downloadError = null;
+    let onAbort = null;
+
+    // Stop the download with an error; the decoder fails on its input and stops too
+    const abortDownload = (error) => {
+      if (!download || download.destroyed) return;
+      downloadError = downloadError || error;
+      download.destroy(error);
+    };
+
     try {
-      console.log('Downloading audio file...');
+      if (checkAudioUrl(audioUrl, options.allowLocalFile) === 'file:') {
+        const peaksData = await this.extractPeaksFromFile(fileURLToPath(audioUrl), { ...options, maxDuration });
+        timer.end('done from local file');
+        return peaksData;
+      }
+
+      log.info('Downloading audio file');
       timer.mark('start download');
-      
-      // Download audio file
+
       const response = await axios({
         method: 'GET',
         url: audioUrl,
-        responseType: 'arraybuffer',
-        timeout: 120000, // 2 minute timeout for large files
+        responseType: 'stream',
+        timeout: DOWNLOAD_CONNECT_TIMEOUT_MS,
+        signal: options.signal,
         headers: {
           'User-Agent': 'GrooveScope/1.0'
         }
+      }).catch(error => {
+        if (options.signal?.aborted) throw options.signal.reason;
+        const reason = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+        throw new UpstreamError(`Audio download failed: ${reason}`, { code: 'DOWNLOAD_FAILED', cause: error });
       });
-      timer.mark('downloaded');
+      source = response.data;
+      timer.mark('response headers');
 
-      if (!response.data) {
-        throw new Error('No audio data received');
+      const total = parseInt(response.headers['content-length'], 10) || null;
+      if (total && total > maxBytes) {
+        throw downloadTooLarge(maxBytes, total);
       }
 
-      // Save to temporary file
-      tempFilePath = path.join(this.tempDir, `audio_${Date.now()}.mp3`);
-      await fs.writeFile(tempFilePath, response.data);
-      timer.mark('saved to temp');
+      let loaded = 0;
+      let downloadEnded = false;
+      // Download progress covers decoding while both run; decode updates take over for the tail
+      const streamOptions = {
+        ...options,
+        maxDuration,
+        // The decoder rarely knows the length of a stream, so use the share of bytes read
+        inputProgress: () => (total ? Math.min(1, loaded / total) : null),
+        onProgress: options.onProgress && ((update) => {
+          if (update.stage === 'decode' && !downloadEnded) return;
+          options.onProgress(update);
+        })
+      };
 
-      console.log(`Audio file saved to: ${tempFilePath}`);
-      console.log(`File size: ${response.data.length} bytes`);
+      // Count bytes on the way to ffmpeg and stop at the size limit
+      download = new Transform({
+        transform: (chunk, encoding, callback) => {
+          loaded += chunk.length;
+          if (loaded > maxBytes) {
+            downloadError = downloadError || downloadTooLarge(maxBytes);
+            callback(downloadError);
+            return;
+          }
+          this.reportProgress(streamOptions, { stage: 'download', loaded, total });
+          callback(null, chunk);
+        }
+      });
+      download.on('end', () => {
+        downloadEnded = true;
+        timer.mark('downloaded', { bytes: loaded });
+      });
 
-      // Process audio to extract peaks
-      const peaksData = await this.extractPeaksFromFile(tempFilePath, videoId);
-      timer.mark('extracted peaks');
+      source.on('error', (error) => abortDownload(options.signal?.aborted
+        ? options.signal.reason
+        : new UpstreamError(`Audio download failed: ${error.code || error.message}`, { code: 'DOWNLOAD_FAILED', cause: error })
+      ));
+      // A connection that stops sending would otherwise hold the job until its timeout
+      source.setTimeout?.(DOWNLOAD_IDLE_TIMEOUT_MS, () => abortDownload(
+        new UpstreamError(`Audio download stalled for ${DOWNLOAD_IDLE_TIMEOUT_MS}ms`, { code: 'DOWNLOAD_FAILED' })
+      ));
+      if (options.signal) {
+        onAbort = () => abortDownload(options.signal.reason);
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+      source.pipe(download);
 
-      timer.end('done');
+      const peaksData = await this.extractActualPeaks(download, streamOptions);
+      timer.end('done', { bytes: loaded });
       return peaksData;
 
     } catch (error) {
-      console.error('Audio processing error:', error);
-      try { createTimer('audioProcessor.generatePeaks').end('error', { message: error.message }); } catch (_) {}
-      throw error;
+      // ffmpeg only sees its input end; report why the download stopped instead
+      const reported = downloadError || error;
+      log.error('Audio processing error', { error: reported });
+      try { createTimer('audioProcessor.generatePeaks', { log }).end('error', { message: reported.message }); } catch (_) {}
+      throw reported;
     } finally {
-      // Clean up temporary file
-      if (tempFilePath) {
-        try {
-          await fs.unlink(tempFilePath);
-          console.log('Temporary file cleaned up');
-        } catch (cleanupError) {
-          console.error('Failed to cleanup temp file:', cleanupError);
-        }
-      }
+      if (onAbort) options.signal.removeEventListener('abort', onAbort);
+      // The decoder can stop first (e.g. AUDIO_TOO_LONG); close the connection too
+      if (download && !download.destroyed) download.destroy();
+      if (source && !source.destroyed) source.destroy();
     }
   }
 
   /**
-   * Extract peaks from audio file using Web Audio API simulation
+   * Extract peaks from a local audio file by decoding it with ffmpeg
    * @param {string} filePath - Path to audio file
-   * @param {string} videoId - YouTube video ID for unique seed generation
+   * @param {Object} options - Peak extraction options (targetPeaks, maxDuration, signal, onProgress, onPartial, log)
    * @returns {Object} - Peaks data
    */
-  async extractPeaksFromFile(filePath, videoId = null) {
+  async extractPeaksFromFile(filePath, options = {}) {
     try {
-      const audioBuffer = await fs.readFile(filePath);
-      
-      // Store video ID for unique pattern generation
-      this.currentVideoId = videoId;
-      
-      // For production, you would use actual audio processing libraries
-      // For now, we'll simulate the peaks extraction process
-      const peaksData = await this.simulatePeaksExtraction(audioBuffer);
-      
-      return peaksData;
-
+      return await this.extractActualPeaks(filePath, options);
     } catch (error) {
-      console.error('Peaks extraction error:', error);
+      (options.log || logger).error('Peaks extraction error', { filePath, error });
       throw error;
     }
   }
 
   /**
-   * Extract real peaks from audio file using simple amplitude analysis
-   * @param {Buffer} audioBuffer - Audio file buffer
-   * @returns {Object} - Real peaks data
+   * Decode audio to 16-bit PCM and compute min/max peaks per bucket as it arrives.
+   * An onset envelope, a chromagram, loudness and structure features are collected in the same pass;
+   * once decoding ends they are analyzed for tempo, beats, key, loudness and sections (skipped with
+   * analyze: false). A spectrogram
+   * is computed in the same pass too (skipped with spectrogram: false).
+   * @param {string|Stream} input - Path to audio file or readable stream
+   * @param {Object} options - Peak extraction options (targetPeaks, maxDuration, analyze, spectrogram, signal,
+   *   onProgress, onPartial, inputProgress, log); inputProgress() returns the share of the input read so far, for streams
+   * @returns {Object} - Peaks data with interleaved [min, max] pairs in -1..1,
+   *   a multi-resolution pyramid in peakLevels, the tempo, key, loudness and structure analysis in analysis
+   *   and the stored form of the spectrogram in spectrogram
    */
-  async simulatePeaksExtraction(audioBuffer) {
-    try {
-      console.log('Analyzing real audio data...');
-      const timer = createTimer('audioProcessor.simulatePeaksExtraction');
-      
-      const fileSize = audioBuffer.length;
-      this.currentAudioSize = fileSize;
-      
-      // Estimate duration based on file size (rough approximation)
-      // For 128kbps MP3: ~16KB per second, for 320kbps: ~40KB per second
-      const estimatedDuration = Math.max(30, Math.min(600, fileSize / 20000)); // Average estimate
-      
-      // Calculate number of peaks based on duration for FAST performance
-      const targetPeaks = Math.min(200, Math.max(100, Math.floor(estimatedDuration * 1)));
-      
-      console.log(`Extracting ${targetPeaks} peaks from ${fileSize} bytes (${estimatedDuration}s estimated)`);
-      
-      // Extract real amplitude data from MP3 file
-      const peaks = this.extractRealAmplitudes(audioBuffer, targetPeaks);
-      timer.mark(`extracted ${targetPeaks} peaks`);
-      
-      return {
-        peaks,
-        duration: estimatedDuration,
-        sampleRate: 44100,
-        channels: 2,
-        length: peaks.length,
-        bits: 16
+  async extractActualPeaks(input, options = {}) {
+    const log = options.log || logger;
+    const timer = createTimer('audioProcessor.extractActualPeaks', { log });
+    let accumulator = null;
+    let onsets = null;
+    let chroma = null;
+    let loudness = null;
+    let structure = null;
+    let spectrogram = null;
+    let streamFormat = null;
+    let expectedFrames = 0;
+    let decodedFrames = 0;
+    let maxFrames = Infinity;
+    const partialStep = typeof options.onPartial === 'function' ? this.partialStepPercent : 0;
+    let nextPartialAt = partialStep;
+    let lastPartialAt = Date.now();
+
+    const format = await this.decodeToPcm(input, {
+      signal: options.signal,
+      onFormat: (detected) => {
+        streamFormat = detected;
+        expectedFrames = (detected.estimatedDuration || 0) * detected.sampleRate;
+        if (options.maxDuration) {
+          maxFrames = options.maxDuration * detected.sampleRate;
+          if (expectedFrames > maxFrames) throw new AudioTooLongError(options.maxDuration);
+        }
+        // Per-frame buffers grow with the audio, up to what maxDuration allows
+        const analyzerOptions = { sampleRate: detected.sampleRate, channels: detected.channels, maxFrames };
+        accumulator = createPeakAccumulator({
+          channels: detected.channels,
+          samplesPerBucket: baseSamplesPerPixel(detected.sampleRate),
+          maxFrames
+        });
+        if (options.analyze !== false) {
+          onsets = createOnsetDetector(analyzerOptions);
+          chroma = createChromaAnalyzer({ sampleRate: detected.sampleRate, channels: detected.channels });
+          loudness = createLoudnessMeter(analyzerOptions);
+          structure = createStructureAnalyzer(analyzerOptions);
+        }
+        if (options.spectrogram !== false && this.spectrogramOptions.maxFrames > 0) {
+          spectrogram = createSpectrogramAnalyzer({
+            ...this.spectrogramOptions,
+            sampleRate: detected.sampleRate,
+            channels: detected.channels,
+            expectedFrames
+          });
+        }
+        timer.mark('stream format', detected);
+      },
+      onSamples: (samples) => {
+        // The container duration can be missing or wrong, so check while decoding too,
+        // before the analyzers take in more than maxDuration
+        const frames = samples.length / streamFormat.channels;
+        if (decodedFrames + frames > maxFrames) throw new AudioTooLongError(options.maxDuration);
+        decodedFrames += frames;
+
+        accumulator.add(samples);
+        if (onsets) {
+          onsets.add(samples);
+          chroma.add(samples);
+          loudness.add(samples);
+          structure.add(samples);
+        }
+        if (spectrogram) spectrogram.add(samples);
+        const fraction = expectedFrames > 0
+          ? Math.min(1, decodedFrames / expectedFrames)
+          : (options.inputProgress?.() ?? null);
+        this.reportProgress(options, {
+          stage: 'decode',
+          seconds: decodedFrames / streamFormat.sampleRate,
+          progress: fraction !== null ? Math.min(99, Math.floor(fraction * 100)) : null
+        });
+
+        if (partialStep > 0) {
+          const now = Date.now();
+          const due = fraction !== null
+            ? fraction * 100 >= nextPartialAt && fraction < 1 && now - lastPartialAt >= PARTIAL_PEAKS_MIN_INTERVAL_MS
+            : now - lastPartialAt >= PARTIAL_PEAKS_UNKNOWN_INTERVAL_MS;
+          if (due) {
+            lastPartialAt = now;
+            if (fraction !== null) nextPartialAt = (Math.floor((fraction * 100) / partialStep) + 1) * partialStep;
+            this.publishPartialPeaks(accumulator.snapshot(), streamFormat, fraction, options);
+          }
+        }
+      }
+    });
+    timer.mark('decoded');
+
+    const data = accumulator.finish();
+    if (data.totalFrames === 0) {
+      throw new DecodeError('Decoded audio contains no samples');
+    }
+
+    const duration = data.totalFrames / format.sampleRate;
+    const targetPeaks = this.resolveTargetPeaks(duration, options.targetPeaks);
+    const peaks = reducePeaks(data, targetPeaks);
+    const length = peaks.length / 2;
+    const peakLevels = encodePyramid(buildPyramid(data), {
+      sampleRate: format.sampleRate,
+      channels: format.channels,
+      totalFrames: data.totalFrames
+    });
+    timer.mark(`reduced to ${length} peaks`);
+
+    const spectrogramData = spectrogram ? encodeSpectrogram(spectrogram.finish()) : null;
+    if (spectrogramData) {
+      timer.mark('spectrogram', { frames: spectrogramData.frames, hop: spectrogramData.hop });
+    }
+
+    let analysis = null;
+    if (onsets) {
+      const chromaData = chroma.finish();
+      const rhythm = analyzeRhythm(onsets.finish());
+      analysis = {
+        version: ANALYSIS_VERSION,
+        ...rhythm,
+        key: analyzeKey(chromaData),
+        chromagram: encodeChromagram(chromaData),
+        loudness: analyzeLoudness(loudness.finish()),
+        structure: analyzeStructure(structure.finish(), rhythm)
       };
+    }
+    timer.end('analyzed');
 
-    } catch (error) {
-      console.error('Audio peaks extraction error:', error);
-      // Fallback to simulated if real extraction fails
-      return this.generateFallbackPeaks(targetPeaks, estimatedDuration);
+    log.info(`Extracted ${length} peaks from ${data.totalFrames} frames`, {
+      peaks: length,
+      frames: data.totalFrames,
+      duration: Number(duration.toFixed(2)),
+      sampleRate: format.sampleRate,
+      channels: format.channels
+    });
+    if (analysis) {
+      log.info(analysis.bpm ? `Estimated tempo ${analysis.bpm} BPM` : 'No steady tempo found', {
+        bpm: analysis.bpm,
+        confidence: analysis.confidence,
+        beats: analysis.beats.length
+      });
+      log.info(analysis.key ? `Estimated key ${analysis.key.name}` : 'No key found', {
+        key: analysis.key?.name,
+        confidence: analysis.key?.confidence,
+        segments: analysis.key?.segments.length
+      });
+      const { integrated, range, truePeak } = analysis.loudness;
+      log.info(integrated !== null ? `Measured loudness ${integrated} LUFS` : 'Audio too quiet to measure loudness', {
+        integrated,
+        range,
+        truePeak
+      });
+      const { sections } = analysis.structure;
+      log.info(`Found ${sections.length} sections`, {
+        labels: new Set(sections.map(section => section.label)).size,
+        drops: sections.filter(section => section.kind === 'drop').length
+      });
     }
+
+    return {
+      peaks,
+      duration,
+      sampleRate: format.sampleRate,
+      channels: format.channels,
+      length,
+      bits: PCM_BITS,
+      samplesPerPixel: Math.round(data.totalFrames / length),
+      peakLevels,
+      analysis,
+      spectrogram: spectrogramData
+    };
   }
 
   /**
-   * Extract real amplitude data from MP3 audio buffer
-   * @param {Buffer} audioBuffer - Raw MP3 data
-   * @param {number} targetPeaks - Number of peaks to extract
-   * @returns {Array} - Array of real amplitude values
+   * Hand the peaks decoded so far to options.onPartial. They use the density the finished
+   * peaks will have, so the waveform keeps its scale as it fills in.
+   * @param {Object} data - accumulator.snapshot()
+   * @param {Object} format - { sampleRate, channels }
+   * @param {number|null} fraction - Share of the track decoded, null when the length is unknown
+   * @param {Object} options - Peak extraction options
    */
-  extractRealAmplitudes(audioBuffer, targetPeaks) {
-    const peaks = [];
-    const chunkSize = Math.floor(audioBuffer.length / targetPeaks);
-    
-    for (let i = 0; i < targetPeaks; i++) {
-      const startByte = i * chunkSize;
-      const endByte = Math.min(startByte + chunkSize, audioBuffer.length);
-      
-      // Calculate RMS (Root Mean Square) amplitude for this chunk
-      let sum = 0;
-      let count = 0;
-      
-      // Sample every 10th byte for speed (still gives good amplitude representation)
-      for (let j = startByte; j < endByte; j += 20) {
-        if (j < audioBuffer.length - 1) {
-          // Read byte value as amplitude approximation (much faster than decoding)
-          const sample = audioBuffer[j] - 128; // Center around 0
-          sum += sample * sample;
-          count++;
-        }
-      }
-      
-      // Calculate RMS and normalize to 0-1 range (adjusted for byte values)
-      const rms = count > 0 ? Math.sqrt(sum / count) : 0;
-      const normalized = Math.min(1.0, rms / 128); // Byte max value
-      
-      peaks.push(normalized);
+  publishPartialPeaks(data, format, fraction, options) {
+    if (data.bucketCount === 0) return;
+
+    const duration = data.totalFrames / format.sampleRate;
+    const estimatedDuration = fraction > 0 ? duration / fraction : null;
+    const length = estimatedDuration
+      ? Math.max(1, Math.round(this.resolveTargetPeaks(estimatedDuration, options.targetPeaks) * fraction))
+      : this.resolveTargetPeaks(duration, options.targetPeaks);
+    const peaks = reducePeaks(data, length);
+
+    try {
+      options.onPartial({
+        peaks,
+        length: peaks.length / 2,
+        duration,
+        estimatedDuration,
+        coverage: fraction !== null ? Math.floor(fraction * 100) : null,
+        sampleRate: format.sampleRate,
+        channels: format.channels
+      });
+    } catch (error) {
+      (options.log || logger).error('Partial peaks callback error', { error });
     }
-    
-    // Smooth the peaks to reduce noise
-    return this.smoothPeaks(peaks);
   }
 
   /**
-   * Smooth peaks data to reduce noise and create better visualization
-   * @param {Array} peaks - Raw peaks data
-   * @returns {Array} - Smoothed peaks
+   * Pick how many min/max pairs to return for a track of the given duration
+   * @param {number} duration - Duration in seconds
+   * @param {number} requested - Explicit peak count, if any
+   * @returns {number} - Target number of peaks
    */
-  smoothPeaks(peaks) {
-    const smoothed = [];
-    const windowSize = 1; // Smaller window for speed
-    
-    for (let i = 0; i < peaks.length; i++) {
-      let sum = 0;
-      let count = 0;
-      
-      // Average with neighboring peaks
-      for (let j = Math.max(0, i - windowSize); j <= Math.min(peaks.length - 1, i + windowSize); j++) {
-        sum += peaks[j];
-        count++;
-      }
-      
-      smoothed.push(sum / count);
+  resolveTargetPeaks(duration, requested) {
+    const parsed = parseInt(requested, 10);
+    if (parsed > 0) {
+      return Math.min(MAX_TARGET_PEAKS, parsed);
     }
-    
-    return smoothed;
+    return Math.min(MAX_TARGET_PEAKS, Math.max(MIN_TARGET_PEAKS, Math.round(duration * DEFAULT_PEAKS_PER_SECOND)));
   }
 
   /**
-   * Fallback to simulated peaks if real extraction fails
-   * @param {number} targetPeaks - Number of peaks
-   * @param {number} duration - Duration in seconds
-   * @returns {Object} - Fallback peaks data
+   * Decode any ffmpeg-readable input to interleaved signed 16-bit PCM.
+   * Sample rate and channel count are kept as they are in the source stream.
+   * @param {string|Stream} input - File path or readable stream
+   * @param {Object} handlers - onFormat({ sampleRate, channels }) and onSamples(Int16Array), and an
+   *   AbortSignal in signal that kills ffmpeg and rejects with its reason
+   * @returns {Promise<Object>} - Stream format and number of decoded frames
    */
-  generateFallbackPeaks(targetPeaks, duration) {
-    console.log('Using fallback simulated peaks');
-    const peaks = this.generateRealisticPeaks(targetPeaks, duration);
-    
-    return {
-      peaks,
-      duration,
-      sampleRate: 44100,
-      channels: 2,
-      length: peaks.length,
-      bits: 16
-    };
+  decodeToPcm(input, { onFormat, onSamples, signal }) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      let format = null;
+      let frameBytes = 0;
+      let remainder = Buffer.alloc(0);
+      let totalFrames = 0;
+      let commandEnded = false;
+      let outputEnded = false;
+      let settled = false;
+      const pending = [];
+      let command = null;
+
+      const onAbort = () => {
+        fail(signal.reason);
+        command.kill('SIGKILL');
+      };
+
+      const settle = () => {
+        settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      const fail = (error) => {
+        if (settled) return;
+        settle();
+        reject(error);
+      };
+
+      const finishIfDone = () => {
+        if (settled || !commandEnded || !outputEnded) return;
+        if (!format) {
+          fail(new DecodeError('No audio stream found in input'));
+          return;
+        }
+        settle();
+        resolve({ ...format, totalFrames });
+      };
+
+      const consume = (chunk) => {
+        const buffer = remainder.length ? Buffer.concat([remainder, chunk]) : chunk;
+        const usableBytes = buffer.length - (buffer.length % frameBytes);
+        remainder = Buffer.from(buffer.subarray(usableBytes));
+        if (usableBytes === 0) return;
+
+        // Copy into an aligned buffer so it can be viewed as Int16Array
+        const aligned = new Int16Array(usableBytes / 2);
+        Buffer.from(aligned.buffer).set(buffer.subarray(0, usableBytes));
+        totalFrames += usableBytes / frameBytes;
+        onSamples(aligned);
+      };
+
+      command = ffmpeg(input)
+        .noVideo()
+        .audioCodec('pcm_s16le')
+        .format('s16le')
+        .on('codecData', (data) => {
+          format = this.parseStreamFormat(data);
+          if (!format) {
+            fail(new DecodeError(`Unsupported audio stream: ${data.audio_details || data.audio || 'none'}`));
+            command.kill('SIGKILL');
+            return;
+          }
+          frameBytes = format.channels * (PCM_BITS / 8);
+          try {
+            if (onFormat) onFormat(format);
+            pending.splice(0).forEach(consume);
+          } catch (error) {
+            fail(error);
+            command.kill('SIGKILL');
+          }
+        })
+        .on('error', (error) => {
+          fail(error.inputStreamError instanceof AppError
+            ? error.inputStreamError
+            : new DecodeError(`Audio decoding failed: ${error.message}`, { cause: error }));
+          // fluent-ffmpeg sends SIGTERM on input errors, which ffmpeg ignores while it waits on stdin
+          command.kill('SIGKILL');
+        })
+        .on('end', () => {
+          commandEnded = true;
+          finishIfDone();
+        });
+
+      const output = command.pipe();
+      output.on('data', (chunk) => {
+        if (settled) return;
+        if (!format) {
+          pending.push(chunk);
+          return;
+        }
+        try {
+          consume(chunk);
+        } catch (error) {
+          fail(error);
+          command.kill('SIGKILL');
+        }
+      });
+      output.on('end', () => {
+        outputEnded = true;
+        finishIfDone();
+      });
+      // A job timeout or shutdown stops ffmpeg rather than leave it decoding unattended
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
-   * Generate realistic peaks data for visualization
-   * @param {number} numPeaks - Number of peaks to generate
-   * @param {duration} duration - Audio duration in seconds
-   * @returns {Array} - Array of peak values
+   * Read sample rate and channel count from ffmpeg codec data
+   * @param {Object} codecData - Input stream info from fluent-ffmpeg 'codecData'
+   * @returns {Object|null} - { sampleRate, channels } or null if unknown
    */
-  generateRealisticPeaks(numPeaks, duration) {
-    const peaks = [];
-    
-    // Create a unique seed based on video ID and file size for consistent but different patterns
-    const audioSize = this.currentAudioSize || 1000000;
-    const videoId = this.currentVideoId || 'default';
-    
-    // Create a more unique seed using video ID
-    let videoIdHash = 0;
-    for (let i = 0; i < videoId.length; i++) {
-      videoIdHash = ((videoIdHash << 5) - videoIdHash + videoId.charCodeAt(i)) & 0xffffffff;
-    }
-    
-    const seed = Math.abs(videoIdHash + audioSize) % 10000;
-    console.log(`Generating waveform pattern ${seed % 4} for video ${videoId} (seed: ${seed})`);
-    
-    // Different pattern generators based on the seed
-    const patternType = seed % 4; // 4 different pattern types
-    
-    for (let i = 0; i < numPeaks; i++) {
-      const progress = i / numPeaks;
-      let amplitude;
-      
-      switch (patternType) {
-        case 0: // Smooth wave pattern
-          amplitude = 0.3 + 0.5 * Math.sin(progress * Math.PI * 6 + seed * 0.001);
-          amplitude += 0.2 * Math.sin(progress * Math.PI * 20 + seed * 0.002);
-          break;
-          
-        case 1: // Sharp peaks pattern
-          amplitude = 0.2 + 0.6 * Math.abs(Math.sin(progress * Math.PI * 12 + seed * 0.001));
-          amplitude *= (1 + 0.3 * Math.sin(progress * Math.PI * 40 + seed * 0.003));
-          break;
-          
-        case 2: // Gradual build pattern
-          amplitude = 0.1 + 0.7 * progress * Math.sin(progress * Math.PI * 8 + seed * 0.001);
-          amplitude += 0.3 * Math.random() * (seed % 100) / 100;
-          break;
-          
-        case 3: // Random spiky pattern
-          amplitude = 0.2 + 0.5 * Math.sin(progress * Math.PI * 3 + seed * 0.001);
-          if ((i + seed) % 20 < 3) amplitude *= 1.8; // Random spikes
-          break;
-          
-        default:
-          amplitude = 0.3 + 0.4 * Math.sin(progress * Math.PI * 4);
-          break;
+  parseStreamFormat(codecData) {
+    const details = Array.isArray(codecData?.audio_details) ? codecData.audio_details : [];
+    let sampleRate = null;
+    let channels = null;
+
+    for (const detail of details) {
+      const rateMatch = detail.match(/^(\d+) Hz$/);
+      if (rateMatch) {
+        sampleRate = parseInt(rateMatch[1], 10);
+        continue;
       }
-      
-      // Add some randomness for realism based on seed
-      const randomFactor = ((seed + i) % 1000) / 1000; // Consistent randomness
-      amplitude += (randomFactor - 0.5) * 0.3;
-      
-      // Add occasional peaks (like drums or loud sections) based on position and seed
-      if (Math.random() < 0.05) {
-        amplitude += Math.random() * 0.4;
+      const layout = detail.replace(/\(.*\)$/, '').trim();
+      if (CHANNEL_LAYOUTS[layout]) {
+        channels = CHANNEL_LAYOUTS[layout];
+        continue;
       }
-      
-      // Add fade in/out at beginning and end
-      if (progress < 0.05) {
-        amplitude *= progress / 0.05;
-      } else if (progress > 0.95) {
-        amplitude *= (1 - progress) / 0.05;
+      const countMatch = layout.match(/^(\d+) channels$/);
+      if (countMatch) {
+        channels = parseInt(countMatch[1], 10);
       }
-      
-      // Ensure values are between -1 and 1
-      amplitude = Math.max(-1, Math.min(1, amplitude));
-      
-      peaks.push(amplitude);
     }
-    
-    return peaks;
+
+    if (!sampleRate || !channels) return null;
+    return { sampleRate, channels, estimatedDuration: this.parseTimemark(codecData.duration) };
   }
 
   /**
-   * For production: Actual audio processing implementation
-   * This would use real audio processing libraries
+   * Parse an ffmpeg HH:MM:SS.ss timemark into seconds
+   * @param {string} timemark - Timemark string
+   * @returns {number|null} - Seconds, or null if unavailable
    */
-  async extractActualPeaks(filePath) {
-    // This is where you would implement actual audio processing using:
-    // - FFmpeg for format conversion and basic processing
-    // - Web Audio API (node implementation) for detailed analysis
-    // - Custom audio processing libraries
-    
-    throw new Error('Actual audio processing not implemented - using simulation');
+  parseTimemark(timemark) {
+    const match = typeof timemark === 'string' && timemark.match(/^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/);
+    if (!match) return null;
+    return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
   }
 
   /**
-   * Convert audio file to different format if needed
+   * Forward a progress update to options.onProgress, at most every PROGRESS_INTERVAL_MS per stage
+   * @param {Object} options - Options passed to generatePeaks
+   * @param {Object} update - Progress payload with a stage name
+   */
+  reportProgress(options, update) {
+    if (typeof options.onProgress !== 'function') return;
+
+    const now = Date.now();
+    const lastReported = this.progressTimes.get(options.onProgress) || {};
+    if (now - (lastReported[update.stage] || 0) < PROGRESS_INTERVAL_MS) return;
+    this.progressTimes.set(options.onProgress, { ...lastReported, [update.stage]: now });
+
+    try {
+      options.onProgress(update);
+    } catch (error) {
+      (options.log || logger).error('Progress callback error', { error });
+    }
+  }
+
+  /**
+   * Check that the ffmpeg binary used for decoding runs
+   * @param {number} timeoutMs - Give up after this long
+   * @returns {Promise<string>} - Version line, e.g. "ffmpeg version 6.0 ..."
+   */
+  getFfmpegVersion(timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      execFile(this.ffmpegPath, ['-version'], { timeout: timeoutMs }, (error, stdout) => {
+        if (error) return reject(error);
+        resolve(stdout.split('\n')[0].trim());
+      });
+    });
+  }
+
+  /**
+   * Convert audio file to different format
    * @param {string} inputPath - Input file path
    * @param {string} outputPath - Output file path
    * @param {string} format - Target format
    */
-  async convertAudio(inputPath, outputPath, format = 'wav') {
-    // Implementation would use FFmpeg
-    // const ffmpeg = require('fluent-ffmpeg');
-    // const ffmpegPath = require('ffmpeg-static');
-    
-    throw new Error('Audio conversion not implemented');
+  convertAudio(inputPath, outputPath, format = 'wav') {
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .format(format)
+        .on('error', (error) => reject(new DecodeError(`Audio conversion failed: ${error.message}`, { cause: error })))
+        .on('end', () => resolve(outputPath))
+        .save(outputPath);
+    });
   }
 
   /**
-   * Normalize peaks data to -1 to 1 range
+   * Normalize peaks data to -1 to 1 range. This only scales for display; perceived
+   * loudness is measured while decoding (see utils/loudness)
    * @param {Array} peaks - Raw peaks data
    * @returns {Array} - Normalized peaks
    */
@@ -356,21 +742,30 @@ class AudioProcessor {
   }
 
   /**
-   * Resample peaks to target length
-   * @param {Array} peaks - Original peaks
-   * @param {number} targetLength - Target number of peaks
+   * Resample interleaved [min, max] peaks to a target number of pairs.
+   * Downsampling keeps the extremes of each merged range instead of picking one value.
+   * @param {Array} peaks - Original interleaved peaks
+   * @param {number} targetLength - Target number of [min, max] pairs
    * @returns {Array} - Resampled peaks
    */
   resamplePeaks(peaks, targetLength) {
     if (!peaks || peaks.length === 0) return [];
-    if (peaks.length === targetLength) return peaks;
+    const sourceLength = Math.floor(peaks.length / 2);
+    if (sourceLength === targetLength) return peaks;
     
-    const ratio = peaks.length / targetLength;
+    const ratio = sourceLength / targetLength;
     const result = [];
     
     for (let i = 0; i < targetLength; i++) {
-      const index = Math.floor(i * ratio);
-      result.push(peaks[index] || 0);
+      const start = Math.floor(i * ratio);
+      const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+      let min = Infinity;
+      let max = -Infinity;
+      for (let p = start; p < Math.min(end, sourceLength); p++) {
+        min = Math.min(min, peaks[p * 2]);
+        max = Math.max(max, peaks[p * 2 + 1]);
+      }
+      result.push(Number.isFinite(min) ? min : 0, Number.isFinite(max) ? max : 0);
     }
     
     return result;
@@ -386,9 +781,9 @@ class AudioProcessor {
         fs.unlink(path.join(this.tempDir, file)).catch(() => {})
       );
       await Promise.all(promises);
-      console.log('Temporary files cleaned up');
+      logger.info('Temporary files cleaned up', { files: files.length });
     } catch (error) {
-      console.error('Cleanup error:', error);
+      logger.error('Cleanup error', { error });
     }
   }
 }
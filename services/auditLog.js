@@ -0,0 +1,56 @@
+const storage = require('./storage');
+const logger = require('../utils/logger');
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Append-only record of admin actions, including denied attempts.
+ * Writes are best effort: a storage failure is logged but never fails the action itself.
+ */
+class AuditLog {
+  constructor(store = storage) {
+    this.storage = store;
+  }
+
+  /**
+   * Record an admin action
+   * @param {Object} entry - audit_log row (action, actor_type, actor_id, actor_name, target,
+   *   details, success, status_code, ip_address, user_agent)
+   * @param {Object} options - { log } request-scoped logger
+   */
+  async record(entry, options = {}) {
+    const log = options.log || logger;
+    const row = { ...entry, created_at: new Date().toISOString() };
+    const outcome = row.success ? 'ok' : `denied/failed (${row.status_code})`;
+    log.info(`AUDIT ${row.action} by ${row.actor_type}${row.actor_name ? ` "${row.actor_name}"` : ''}` +
+      `${row.target ? ` on ${row.target}` : ''}: ${outcome}`, {
+      action: row.action,
+      actorType: row.actor_type,
+      actorId: row.actor_id,
+      success: row.success,
+      status: row.status_code
+    });
+
+    try {
+      await this.storage.recordAudit(row);
+    } catch (error) {
+      log.error('Failed to write audit log entry', { action: row.action, error });
+    }
+  }
+
+  /**
+   * Most recent entries first
+   * @param {Object} options - { limit, action, since }
+   * @returns {Promise<Array>} - audit_log rows
+   */
+  async list(options = {}) {
+    const limit = Math.min(MAX_LIST_LIMIT, options.limit || DEFAULT_LIST_LIMIT);
+    return this.storage.listAudit({ ...options, limit });
+  }
+}
+
+const auditLog = new AuditLog();
+
+module.exports = auditLog;
+module.exports.AuditLog = AuditLog;
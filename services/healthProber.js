@@ -0,0 +1,291 @@
+const fs = require('fs').promises;
+const storage = require('./storage');
+const upstream = require('./upstream');
+const providers = require('./providers');
+const audioProcessor = require('./audioProcessor');
+const logger = require('../utils/logger');
+
+const MB = 1024 * 1024;
+
+const DEFAULTS = {
+  intervalMs: parseInt(process.env.HEALTH_PROBE_INTERVAL_MS, 10) || 60000,
+  timeoutMs: 5000,
+  // Slower answers than this are reported as degraded
+  slowResponseMs: parseInt(process.env.HEALTH_SLOW_RESPONSE_MS, 10) || 1000,
+  diskDegradedBytes: (parseInt(process.env.HEALTH_DISK_DEGRADED_MB, 10) || 1024) * MB,
+  diskUnhealthyBytes: (parseInt(process.env.HEALTH_DISK_UNHEALTHY_MB, 10) || 256) * MB,
+  retentionDays: parseInt(process.env.HEALTH_RETENTION_DAYS, 10) || 30,
+  pruneIntervalMs: 60 * 60 * 1000
+};
+
+// Worst first; not_configured is left out of uptime rather than counted as down
+const STATUS_SEVERITY = { unhealthy: 3, degraded: 2, healthy: 1, not_configured: 0 };
+
+/**
+ * Periodic dependency checks written to the system_health table:
+ *   storage             Supabase (or local files) round trip time
+ *   upstream:<provider> whether each provider's conversion API answers
+ *   ffmpeg              whether the decoder binary runs
+ *   disk                free space in the temp directory used for uploads
+ * Each check reports healthy, degraded, unhealthy or not_configured.
+ */
+class HealthProber {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.storage = options.storage || storage;
+    this.providers = options.providers || providers;
+    this.latest = new Map();
+    this.intervalId = null;
+    this.running = null;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Probe now and then every intervalMs. An interval of 0 disables probing.
+   */
+  start() {
+    if (this.intervalId || this.options.intervalMs <= 0) return;
+
+    this.probe();
+    this.intervalId = setInterval(() => this.probe(), this.options.intervalMs);
+    this.intervalId.unref?.();
+    logger.info(`Health prober running every ${this.options.intervalMs}ms`);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+
+  /**
+   * Run every check once, remember the results and record them.
+   * A probe still in flight is shared rather than started again.
+   * @returns {Promise<Array>} - Check results
+   */
+  probe() {
+    if (!this.running) {
+      this.running = this.runChecks().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runChecks() {
+    const checkedAt = new Date().toISOString();
+    const results = await Promise.all([
+      this.check('storage', () => this.checkStorage()),
+      ...this.providers
+        .filter(provider => typeof provider.probe === 'function')
+        .map(provider => this.check(`upstream:${provider.name}`, () => this.checkProvider(provider))),
+      this.check('ffmpeg', () => this.checkFfmpeg()),
+      this.check('disk', () => this.checkDisk())
+    ]);
+
+    for (const result of results) {
+      this.latest.set(result.service, { ...result, checkedAt });
+    }
+
+    try {
+      await this.storage.recordHealth(results.map(result => ({
+        service_name: result.service,
+        status: result.status,
+        response_time_ms: result.responseTime ?? null,
+        error_details: result.error || result.details
+          ? { ...result.details, ...(result.error && { error: result.error }) }
+          : null,
+        checked_at: checkedAt
+      })));
+    } catch (error) {
+      logger.error('Failed to record health checks', { error });
+    }
+
+    for (const result of results) {
+      if (result.status === 'unhealthy' || result.status === 'degraded') {
+        logger.warn(`Health check ${result.service} is ${result.status}`, {
+          service: result.service,
+          status: result.status,
+          error: result.error
+        });
+      }
+    }
+
+    await this.prune();
+    return results;
+  }
+
+  // Run one check; a check that throws is unhealthy
+  async check(service, run) {
+    try {
+      return { service, ...(await run()) };
+    } catch (error) {
+      return { service, status: 'unhealthy', error: error.message };
+    }
+  }
+
+  async checkStorage() {
+    const result = await this.storage.ping();
+    return {
+      status: !result.healthy ? 'unhealthy' : this.latencyStatus(result.responseTime),
+      responseTime: result.responseTime,
+      details: { backend: this.storage.name },
+      ...(result.error && { error: result.error })
+    };
+  }
+
+  async checkProvider(provider) {
+    if (!provider.isConfigured()) {
+      return { status: 'not_configured' };
+    }
+
+    const result = await provider.probe(this.options.timeoutMs);
+    const circuit = upstream.getState()[result.host];
+    let status = result.reachable ? this.latencyStatus(result.responseTime) : 'unhealthy';
+    // Reachable again, but requests still fail fast until the breaker closes
+    if (status !== 'unhealthy' && circuit?.state === 'open') status = 'degraded';
+
+    return {
+      status,
+      responseTime: result.responseTime,
+      details: {
+        host: result.host,
+        ...(result.statusCode && { statusCode: result.statusCode }),
+        ...(circuit && { circuit: circuit.state })
+      },
+      ...(result.error && { error: result.error })
+    };
+  }
+
+  async checkFfmpeg() {
+    const startTime = Date.now();
+    const version = await audioProcessor.getFfmpegVersion(this.options.timeoutMs);
+    return { status: 'healthy', responseTime: Date.now() - startTime, details: { version } };
+  }
+
+  async checkDisk() {
+    if (typeof fs.statfs !== 'function') {
+      return { status: 'not_configured', error: 'Disk space checks need Node.js 18.15 or later' };
+    }
+
+    const stats = await fs.statfs(audioProcessor.tempDir);
+    const freeBytes = stats.bavail * stats.bsize;
+    const totalBytes = stats.blocks * stats.bsize;
+    let status = 'healthy';
+    if (freeBytes < this.options.diskUnhealthyBytes) status = 'unhealthy';
+    else if (freeBytes < this.options.diskDegradedBytes) status = 'degraded';
+
+    return { status, details: { path: audioProcessor.tempDir, freeBytes, totalBytes } };
+  }
+
+  latencyStatus(responseTime) {
+    return responseTime > this.options.slowResponseMs ? 'degraded' : 'healthy';
+  }
+
+  // Drop rows past the retention window, at most once per pruneIntervalMs
+  async prune() {
+    if (Date.now() - this.lastPrunedAt < this.options.pruneIntervalMs) return;
+    this.lastPrunedAt = Date.now();
+
+    const before = new Date(Date.now() - this.options.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    try {
+      await this.storage.pruneHealth(before);
+    } catch (error) {
+      logger.error('Failed to prune health history', { error });
+    }
+  }
+
+  /**
+   * Most recent result of each check
+   * @returns {Object} - Results keyed by service name
+   */
+  getLatest() {
+    return Object.fromEntries(this.latest);
+  }
+
+  /**
+   * Uptime per dependency over a window, with a timeline of the worst status per bucket.
+   * Uptime is the share of checks that were not unhealthy; not_configured checks are not counted.
+   * @param {Object} options - { hours, bucketMinutes, service }
+   * @returns {Promise<Object>} - { since, until, bucketMinutes, services }
+   */
+  async getHistory({ hours = 24, bucketMinutes = 60, service } = {}) {
+    const until = Date.now();
+    const since = until - hours * 60 * 60 * 1000;
+    const bucketMs = bucketMinutes * 60 * 1000;
+    const rows = await this.storage.listHealth({ since: new Date(since).toISOString(), service });
+
+    const services = {};
+    for (const row of rows) {
+      const summary = services[row.service_name] || (services[row.service_name] = {
+        checks: 0,
+        counted: 0,
+        up: 0,
+        statuses: { healthy: 0, degraded: 0, unhealthy: 0, not_configured: 0 },
+        responseTimeTotal: 0,
+        responseTimeCount: 0,
+        buckets: new Map(),
+        last: null
+      });
+      const checkedAt = new Date(row.checked_at).getTime();
+
+      summary.checks++;
+      summary.statuses[row.status] = (summary.statuses[row.status] || 0) + 1;
+      if (row.status !== 'not_configured') {
+        summary.counted++;
+        if (row.status !== 'unhealthy') summary.up++;
+      }
+      if (row.response_time_ms !== null && row.response_time_ms !== undefined) {
+        summary.responseTimeTotal += row.response_time_ms;
+        summary.responseTimeCount++;
+      }
+      if (!summary.last || checkedAt >= new Date(summary.last.checked_at).getTime()) {
+        summary.last = row;
+      }
+
+      // Buckets line up with the clock (whole hours for 60 minute buckets)
+      const bucketStart = Math.floor(checkedAt / bucketMs) * bucketMs;
+      const bucket = summary.buckets.get(bucketStart) || { checks: 0, counted: 0, up: 0, status: 'not_configured' };
+      bucket.checks++;
+      if (row.status !== 'not_configured') {
+        bucket.counted++;
+        if (row.status !== 'unhealthy') bucket.up++;
+      }
+      if ((STATUS_SEVERITY[row.status] ?? 0) > STATUS_SEVERITY[bucket.status]) bucket.status = row.status;
+      summary.buckets.set(bucketStart, bucket);
+    }
+
+    const uptimePercent = (up, counted) => counted > 0 ? Math.round((up / counted) * 10000) / 100 : null;
+
+    return {
+      since: new Date(since).toISOString(),
+      until: new Date(until).toISOString(),
+      bucketMinutes,
+      services: Object.fromEntries(Object.entries(services).map(([name, summary]) => [name, {
+        uptimePercent: uptimePercent(summary.up, summary.counted),
+        checks: summary.checks,
+        statuses: summary.statuses,
+        averageResponseTimeMs: summary.responseTimeCount > 0
+          ? Math.round(summary.responseTimeTotal / summary.responseTimeCount)
+          : null,
+        current: {
+          status: summary.last.status,
+          checkedAt: summary.last.checked_at,
+          ...(summary.last.error_details?.error && { error: summary.last.error_details.error })
+        },
+        timeline: Array.from(summary.buckets.entries())
+          .sort(([a], [b]) => a - b)
+          .map(([start, bucket]) => ({
+            start: new Date(start).toISOString(),
+            status: bucket.status,
+            uptimePercent: uptimePercent(bucket.up, bucket.counted),
+            checks: bucket.checks
+          }))
+      }]))
+    };
+  }
+}
+
+const healthProber = new HealthProber();
+
+module.exports = healthProber;
+module.exports.HealthProber = HealthProber;
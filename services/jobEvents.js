@@ -0,0 +1,84 @@
+const { EventEmitter } = require('events');
+
+const MAX_EVENTS_PER_JOB = 200;
+const RETAIN_AFTER_END_MS = 10 * 60 * 1000;
+const TERMINAL_EVENTS = new Set(['completed', 'failed']);
+
+/**
+ * Per-job progress event bus.
+ * Keeps a short history of events with increasing IDs so SSE clients
+ * can resume from Last-Event-ID after a reconnect.
+ */
+class JobEvents extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.jobs = new Map();
+  }
+
+  /**
+   * Publish an event for a job
+   * @param {string} jobId - Job ID
+   * @param {string} event - Event name (status, conversion, download, decode, partial, completed, failed)
+   * @param {Object} data - Event payload
+   * @returns {Object} - Stored event
+   */
+  publish(jobId, event, data = {}) {
+    const job = this.getJob(jobId);
+    const entry = {
+      id: ++job.lastId,
+      event,
+      data: { jobId, ...data, timestamp: new Date().toISOString() }
+    };
+
+    job.events.push(entry);
+    if (job.events.length > MAX_EVENTS_PER_JOB) {
+      job.events.splice(0, job.events.length - MAX_EVENTS_PER_JOB);
+    }
+
+    if (TERMINAL_EVENTS.has(event)) {
+      clearTimeout(job.expiry);
+      job.expiry = setTimeout(() => this.jobs.delete(jobId), RETAIN_AFTER_END_MS);
+      job.expiry.unref?.();
+    }
+
+    this.emit(jobId, entry);
+    return entry;
+  }
+
+  /**
+   * Events published after the given ID
+   * @param {string} jobId - Job ID
+   * @param {number} lastEventId - Last event ID seen by the client
+   * @returns {Array|null} - Events, or null if no history is held for the job
+   */
+  getEventsSince(jobId, lastEventId = 0) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    return job.events.filter(entry => entry.id > lastEventId);
+  }
+
+  /**
+   * Listen for new events on a job
+   * @param {string} jobId - Job ID
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.on(jobId, listener);
+    return () => this.off(jobId, listener);
+  }
+
+  isTerminal(event) {
+    return TERMINAL_EVENTS.has(event);
+  }
+
+  getJob(jobId) {
+    if (!this.jobs.has(jobId)) {
+      this.jobs.set(jobId, { lastId: 0, events: [], expiry: null });
+    }
+    return this.jobs.get(jobId);
+  }
+}
+
+module.exports = new JobEvents();
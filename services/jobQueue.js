@@ -0,0 +1,373 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { createTimer } = require('../utils/perf');
+const { AppError, ShuttingDownError } = require('../utils/errors');
+
+const DEFAULTS = {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  timeoutMs: parseInt(process.env.JOB_TIMEOUT_MS, 10) || 10 * 60 * 1000,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+  backoffMs: parseInt(process.env.JOB_RETRY_BACKOFF_MS, 10) || 5000,
+  maxBackoffMs: 60000,
+  staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 30 * 60 * 1000,
+  shutdownDeadlineMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000
+};
+
+/**
+ * In-process job queue with a worker concurrency limit, priorities,
+ * per-job timeouts and retries with exponential backoff.
+ * Job rows are persisted through a store so interrupted work can be
+ * recovered when the process restarts.
+ * Emits 'completed' (jobId), 'retry' (jobId, error, delay), 'failed' (jobId, error)
+ * and 'checkpointed' (jobId) for jobs left to resume after a shutdown.
+ */
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULTS, ...options };
+    this.store = options.store || null;
+    this.definitions = new Map();
+    this.pending = [];
+    this.running = new Map();
+    this.retrying = new Map();
+    this.sequence = 0;
+    this.stopping = false;
+  }
+
+  /**
+   * Set the persistence store for job rows
+   * @param {Object} store - Store with listJobsByStatus(status) and updateJob(jobId, fields)
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Register a job type
+   * @param {string} type - Job type name
+   * @param {Object} definition - { handler(payload, context), restore(row) }
+   *   context is { jobId, attempt, signal, log } where log carries the job and request IDs
+   */
+  define(type, definition) {
+    if (typeof definition.handler !== 'function') {
+      throw new Error(`Job type "${type}" needs a handler`);
+    }
+    this.definitions.set(type, definition);
+  }
+
+  /**
+   * Queue a job. A job ID that is already queued or running is ignored.
+   * @param {string} type - Registered job type
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - { jobId, priority, timeoutMs, maxAttempts, requestId }
+   *   requestId ties the job's log entries to the request that queued it
+   * @returns {string} - Job ID
+   */
+  add(type, payload, options = {}) {
+    if (!this.definitions.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const jobId = options.jobId || `${type}_${Date.now()}_${++this.sequence}`;
+    const log = logger.child({
+      jobId,
+      jobType: type,
+      ...(options.requestId && { requestId: options.requestId })
+    });
+    if (this.has(jobId)) {
+      log.info('Job already queued');
+      return jobId;
+    }
+
+    this.enqueue({
+      jobId,
+      type,
+      payload,
+      log,
+      priority: options.priority || 0,
+      timeoutMs: options.timeoutMs || this.options.timeoutMs,
+      maxAttempts: options.maxAttempts || this.options.maxAttempts,
+      attempts: 0,
+      sequence: ++this.sequence
+    });
+
+    return jobId;
+  }
+
+  /**
+   * Whether a job is queued, running or waiting to retry
+   * @param {string} jobId - Job ID
+   * @returns {boolean}
+   */
+  has(jobId) {
+    return this.running.has(jobId) ||
+      this.retrying.has(jobId) ||
+      this.pending.some(job => job.jobId === jobId);
+  }
+
+  /**
+   * Current queue depth and worker usage
+   * @returns {Object} - Queue statistics
+   */
+  getStats() {
+    return {
+      pending: this.pending.length,
+      running: this.running.size,
+      retrying: this.retrying.size,
+      concurrency: this.options.concurrency
+    };
+  }
+
+  /**
+   * Re-queue or fail jobs left in 'converting' by a previous process.
+   * Rows started within staleAfterMs are re-queued, older ones are failed.
+   * @returns {Object} - Counts of requeued and failed rows
+   */
+  async recover() {
+    const result = { requeued: 0, failed: 0 };
+    if (!this.store) return result;
+
+    let rows;
+    try {
+      rows = await this.store.listJobsByStatus('converting');
+    } catch (error) {
+      logger.error('Job recovery lookup failed', { error });
+      return result;
+    }
+
+    const cutoff = Date.now() - this.options.staleAfterMs;
+
+    for (const row of rows) {
+      if (this.has(row.job_id)) continue;
+
+      const type = row.metadata?.jobType;
+      const definition = this.definitions.get(type);
+      const startedAt = new Date(row.started_at).getTime();
+      const isStale = !startedAt || startedAt < cutoff;
+
+      if (!definition || typeof definition.restore !== 'function' || isStale) {
+        const message = isStale
+          ? 'Job interrupted by server restart and is too old to resume'
+          : 'Job interrupted by server restart and cannot be resumed';
+        await this.markFailed(row.job_id, message);
+        this.emit('failed', row.job_id, new Error(message));
+        result.failed++;
+        continue;
+      }
+
+      this.add(type, definition.restore(row), { jobId: row.job_id, requestId: row.metadata?.requestId });
+      result.requeued++;
+    }
+
+    if (rows.length > 0) {
+      logger.info(`Job recovery: ${result.requeued} requeued, ${result.failed} failed`, result);
+    }
+    return result;
+  }
+
+  enqueue(job) {
+    this.pending.push(job);
+    this.pending.sort((a, b) => (b.priority - a.priority) || (a.sequence - b.sequence));
+    this.drain();
+  }
+
+  drain() {
+    if (this.stopping) return;
+
+    while (this.running.size < this.options.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      job.done = this.run(job);
+    }
+  }
+
+  async run(job) {
+    const definition = this.definitions.get(job.type);
+    const controller = new AbortController();
+    const timer = createTimer(`jobQueue.${job.type}`, { log: job.log });
+    let timeoutId;
+
+    job.attempts++;
+    job.controller = controller;
+    this.running.set(job.jobId, job);
+    job.log.info(`Running job (attempt ${job.attempts}/${job.maxAttempts})`, { attempt: job.attempts });
+
+    try {
+      // Rejects with the abort reason on a timeout or shutdown, even if the handler ignores its signal
+      const aborted = new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      });
+      timeoutId = setTimeout(() => {
+        controller.abort(new AppError(`Job timed out after ${job.timeoutMs}ms`, {
+          code: 'JOB_TIMEOUT',
+          status: 504,
+          title: 'Job timed out'
+        }));
+      }, job.timeoutMs);
+
+      await Promise.race([
+        definition.handler(job.payload, {
+          jobId: job.jobId,
+          attempt: job.attempts,
+          signal: controller.signal,
+          log: job.log
+        }),
+        aborted
+      ]);
+      timer.end('completed', { jobId: job.jobId, attempt: job.attempts });
+      this.emit('completed', job.jobId);
+
+    } catch (error) {
+      timer.end('failed', { jobId: job.jobId, attempt: job.attempts, message: error.message });
+      controller.abort(error);
+      await this.handleFailure(job, error);
+
+    } finally {
+      clearTimeout(timeoutId);
+      this.running.delete(job.jobId);
+      this.drain();
+    }
+  }
+
+  async handleFailure(job, error) {
+    if (error instanceof ShuttingDownError) {
+      await this.checkpoint(job);
+      return;
+    }
+
+    const canRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+
+    // No retries once shutdown has begun; the next process resumes the job instead
+    if (this.stopping && canRetry) {
+      job.log.warn(`Job attempt ${job.attempts} failed during shutdown`, { attempt: job.attempts, error: error.message });
+      await this.checkpoint(job);
+      return;
+    }
+
+    if (!canRetry) {
+      job.log.error(`Job failed after ${job.attempts} attempt(s)`, { attempt: job.attempts, error });
+      await this.markFailed(job.jobId, error.message);
+      this.emit('failed', job.jobId, error);
+      return;
+    }
+
+    const delay = Math.min(
+      this.options.maxBackoffMs,
+      this.options.backoffMs * Math.pow(2, job.attempts - 1)
+    );
+    job.log.warn(`Job attempt ${job.attempts} failed, retrying in ${delay}ms`, {
+      attempt: job.attempts,
+      retryInMs: delay,
+      error: error.message
+    });
+
+    job.retryId = setTimeout(() => {
+      this.retrying.delete(job.jobId);
+      this.enqueue(job);
+    }, delay);
+    job.retryId.unref?.();
+    this.retrying.set(job.jobId, job);
+    this.emit('retry', job.jobId, error, delay);
+  }
+
+  /**
+   * Stop starting jobs and wait for running ones until the deadline. Jobs still running
+   * then are aborted and checkpointed, as are queued and retrying jobs: their rows stay
+   * 'converting' with the progress they last reported, so recover() resumes them on the
+   * next start. Job types without restore() cannot be resumed and are marked failed.
+   * @param {Object} options - { deadlineMs }
+   * @returns {Promise<Object>} - Counts of jobs that finished and jobs checkpointed
+   */
+  async shutdown(options = {}) {
+    const deadlineMs = options.deadlineMs ?? this.options.shutdownDeadlineMs;
+    this.stopping = true;
+
+    const waiting = [...this.pending, ...this.retrying.values()];
+    for (const job of this.retrying.values()) clearTimeout(job.retryId);
+    this.retrying.clear();
+    this.pending = [];
+
+    const running = Array.from(this.running.values());
+    logger.info(`Job queue shutting down: ${running.length} running, ${waiting.length} waiting`, {
+      running: running.length,
+      waiting: waiting.length,
+      deadlineMs
+    });
+
+    let deadlineId;
+    const allSettled = Promise.all(running.map(job => job.done));
+    await Promise.race([
+      allSettled,
+      new Promise(resolve => {
+        deadlineId = setTimeout(resolve, deadlineMs);
+      })
+    ]);
+    clearTimeout(deadlineId);
+
+    const interrupted = Array.from(this.running.values());
+    for (const job of interrupted) {
+      job.controller.abort(new ShuttingDownError('Job interrupted by server shutdown'));
+    }
+    await allSettled;
+
+    for (const job of waiting) {
+      await this.checkpoint(job);
+    }
+
+    return { finished: running.length - interrupted.length, checkpointed: interrupted.length + waiting.length };
+  }
+
+  // Leave the job's row for recover() to resume, or fail it if its type cannot be resumed
+  async checkpoint(job) {
+    const definition = this.definitions.get(job.type);
+    if (typeof definition?.restore !== 'function') {
+      const message = 'Job interrupted by server shutdown and cannot be resumed';
+      job.log.warn(message);
+      await this.markFailed(job.jobId, message);
+      this.emit('failed', job.jobId, new Error(message));
+      return;
+    }
+
+    job.log.info('Job checkpointed, resumes on the next start');
+    this.emit('checkpointed', job.jobId);
+  }
+
+  async markFailed(jobId, message) {
+    if (!this.store) return;
+    try {
+      await this.store.updateJob(jobId, {
+        status: 'failed',
+        completed_at: new Date().toISOString(),
+        error_message: message
+      });
+    } catch (error) {
+      logger.error('Failed to mark job as failed', { jobId, error });
+    }
+  }
+}
+
+/**
+ * Job store kept in memory, for tests and local runs
+ * @param {Array} initialRows - processing_jobs shaped rows
+ */
+function createMemoryJobStore(initialRows = []) {
+  const rows = new Map(initialRows.map(row => [row.job_id, { ...row }]));
+
+  return {
+    rows,
+
+    async listJobsByStatus(status) {
+      return Array.from(rows.values()).filter(row => row.status === status);
+    },
+
+    async updateJob(jobId, fields) {
+      const row = rows.get(jobId);
+      if (row) rows.set(jobId, { ...row, ...fields });
+    }
+  };
+}
+
+const jobQueue = new JobQueue();
+
+module.exports = jobQueue;
+module.exports.JobQueue = JobQueue;
+module.exports.createMemoryJobStore = createMemoryJobStore;
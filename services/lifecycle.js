@@ -0,0 +1,126 @@
+const { EventEmitter } = require('events');
+const jobQueue = require('./jobQueue');
+const healthProber = require('./healthProber');
+const audioProcessor = require('./audioProcessor');
+const logger = require('../utils/logger');
+
+const DEFAULTS = {
+  // Time for running jobs and open requests to finish once shutdown starts
+  timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000,
+  // Time between failing readiness and closing the listener, so load balancers stop routing first
+  drainDelayMs: parseInt(process.env.SHUTDOWN_DRAIN_DELAY_MS, 10) || 0
+};
+
+/**
+ * Process state for the liveness and readiness probes, and graceful shutdown:
+ *   starting  until the HTTP server is listening
+ *   ready     serving traffic
+ *   draining  shutdown has begun; readiness fails, no new connections or jobs are taken
+ * Emits 'jobsDrained' once running jobs have finished or been checkpointed, so long-lived
+ * responses such as progress streams can end and let clients reconnect elsewhere.
+ */
+class Lifecycle extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Every open progress stream waits on 'jobsDrained'
+    this.setMaxListeners(0);
+    this.options = { ...DEFAULTS, ...options };
+    this.state = 'starting';
+    this.server = null;
+    this.shuttingDown = null;
+  }
+
+  /**
+   * Mark the process ready once the server is listening
+   * @param {Object} server - http.Server from app.listen()
+   */
+  markReady(server) {
+    this.server = server;
+    if (this.state === 'starting') this.state = 'ready';
+  }
+
+  isReady() {
+    return this.state === 'ready';
+  }
+
+  isDraining() {
+    return this.state === 'draining';
+  }
+
+  /**
+   * Drain and exit: fail readiness, stop accepting connections, give running jobs until the
+   * deadline to finish (the rest are checkpointed for the next start), close what is still
+   * open, remove temp files and exit. A second call while draining exits immediately.
+   * @param {string} reason - e.g. 'SIGTERM'
+   * @returns {Promise<void>}
+   */
+  shutdown(reason) {
+    if (this.shuttingDown) {
+      logger.warn(`${reason} received while draining, exiting now`);
+      process.exit(1);
+    }
+
+    this.state = 'draining';
+    this.shuttingDown = this.drain(reason)
+      .then(() => {
+        logger.info('Shutdown complete');
+        process.exit(0);
+      })
+      .catch(error => {
+        logger.error('Shutdown failed', { error });
+        process.exit(1);
+      });
+    return this.shuttingDown;
+  }
+
+  async drain(reason) {
+    const deadline = Date.now() + this.options.drainDelayMs + this.options.timeoutMs;
+    logger.info(`${reason} received, draining`, {
+      timeoutMs: this.options.timeoutMs,
+      drainDelayMs: this.options.drainDelayMs
+    });
+
+    healthProber.stop();
+    if (this.options.drainDelayMs > 0) {
+      await sleep(this.options.drainDelayMs);
+    }
+
+    const serverClosed = this.closeServer();
+    const jobs = await jobQueue.shutdown({ deadlineMs: Math.max(0, deadline - Date.now()) });
+    logger.info(`Jobs drained: ${jobs.finished} finished, ${jobs.checkpointed} checkpointed`, jobs);
+    this.emit('jobsDrained');
+
+    // Requests still open at the deadline (such as progress streams) are cut off
+    const closedInTime = await Promise.race([
+      serverClosed.then(() => true),
+      sleep(Math.max(0, deadline - Date.now())).then(() => false)
+    ]);
+    if (!closedInTime && this.server) {
+      logger.warn('Closing connections still open at the shutdown deadline');
+      this.server.closeAllConnections?.();
+      await serverClosed;
+    }
+
+    await audioProcessor.cleanup();
+  }
+
+  // Stop accepting connections; resolves once open requests have finished
+  closeServer() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      // Keep-alive connections with no request in flight would otherwise hold the server open
+      this.server.closeIdleConnections?.();
+    });
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const lifecycle = new Lifecycle();
+
+module.exports = lifecycle;
+module.exports.Lifecycle = Lifecycle;
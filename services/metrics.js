@@ -0,0 +1,269 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+const jobQueue = require('./jobQueue');
+const upstream = require('./upstream');
+const { onTimerMark } = require('../utils/perf');
+
+const PREFIX = 'groovescope_';
+
+// Seconds; the conversion path can take minutes, so the buckets go well past a request
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// Event loop delay sampling interval in milliseconds
+const LOOP_DELAY_RESOLUTION_MS = 20;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * One metric family in the Prometheus text format.
+ * Series are keyed by their label values in labelNames order.
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  getSeries(labels = {}, create) {
+    const key = this.labelNames.map(name => labels[name] ?? '').join('\u0000');
+    if (!this.series.has(key)) {
+      const picked = {};
+      for (const name of this.labelNames) picked[name] = labels[name] ?? '';
+      this.series.set(key, { labels: picked, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines.join('\n');
+  }
+
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(series) {
+    const lines = this.buckets.map((bucket, i) =>
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bucket) })} ${series.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    return lines;
+  }
+}
+
+/**
+ * In-process metrics registry rendered for Prometheus at GET /metrics.
+ * Request counters and cache results are recorded as they happen; stage histograms
+ * are fed by every createTimer mark; queue, upstream and process gauges are read
+ * when the registry is rendered.
+ */
+class Metrics {
+  constructor() {
+    this.metrics = [];
+
+    this.httpRequests = this.register(new Counter(`${PREFIX}http_requests_total`,
+      'HTTP requests by route template, method and status code', ['method', 'route', 'status']));
+    this.httpDuration = this.register(new Histogram(`${PREFIX}http_request_duration_seconds`,
+      'HTTP request duration by route template and method', ['method', 'route']));
+    this.stageDuration = this.register(new Histogram(`${PREFIX}stage_duration_seconds`,
+      'Time since the previous mark for each perf timer stage', ['timer', 'stage']));
+    this.cacheLookups = this.register(new Counter(`${PREFIX}cache_lookups_total`,
+      'Peak and audio URL cache lookups by endpoint and result (hit or miss)', ['endpoint', 'result']));
+    this.cacheHitRatio = this.register(new Gauge(`${PREFIX}cache_hit_ratio`,
+      'Share of cache lookups that were hits since the process started', ['endpoint']));
+    this.jobOutcomes = this.register(new Counter(`${PREFIX}jobs_total`,
+      'Background job attempts by outcome (completed, failed, retry)', ['outcome']));
+    this.jobQueueDepth = this.register(new Gauge(`${PREFIX}job_queue_jobs`,
+      'Background jobs by state (pending, running, retrying)', ['state']));
+    this.upstreamFailures = this.register(new Counter(`${PREFIX}upstream_failures_total`,
+      'Failed upstream calls (network errors, 5xx and 429) by host', ['host']));
+    this.upstreamCircuitOpen = this.register(new Gauge(`${PREFIX}upstream_circuit_open`,
+      'Whether the circuit breaker for an upstream host is open (1) or not (0)', ['host']));
+    this.memory = this.register(new Gauge(`${PREFIX}process_memory_bytes`,
+      'Process memory usage by type (rss, heap_total, heap_used, external)', ['type']));
+    this.eventLoopLag = this.register(new Gauge(`${PREFIX}event_loop_lag_seconds`,
+      'Event loop delay over the last scrape interval (p50, p99, max)', ['quantile']));
+    this.uptime = this.register(new Gauge(`${PREFIX}process_uptime_seconds`,
+      'Seconds since the process started'));
+
+    this.loopDelay = monitorEventLoopDelay({ resolution: LOOP_DELAY_RESOLUTION_MS });
+    this.loopDelay.enable();
+
+    onTimerMark((timerName, entry) => {
+      this.stageDuration.observe({ timer: timerName, stage: this.stageLabel(entry.label) }, entry.deltaMs / 1000);
+    });
+
+    jobQueue.on('completed', () => this.jobOutcomes.inc({ outcome: 'completed' }));
+    jobQueue.on('failed', () => this.jobOutcomes.inc({ outcome: 'failed' }));
+    jobQueue.on('retry', () => this.jobOutcomes.inc({ outcome: 'retry' }));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Count a request once its response is sent
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {number} durationSeconds - Time to respond
+   */
+  recordRequest(req, res, durationSeconds) {
+    const route = this.routeTemplate(req);
+    this.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    this.httpDuration.observe({ method: req.method, route }, durationSeconds);
+  }
+
+  /**
+   * Count a cache lookup
+   * @param {string} endpoint - 'process' or 'upload'
+   * @param {boolean} hit - Whether the cache had the result
+   */
+  recordCacheLookup(endpoint, hit) {
+    this.cacheLookups.inc({ endpoint, result: hit ? 'hit' : 'miss' });
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string}
+   */
+  render() {
+    this.collect();
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+
+  // Refresh gauges that are read rather than recorded
+  collect() {
+    const queue = jobQueue.getStats();
+    for (const state of ['pending', 'running', 'retrying']) {
+      this.jobQueueDepth.set({ state }, queue[state]);
+    }
+
+    for (const [host, circuit] of Object.entries(upstream.getState())) {
+      // The upstream keeps its own running total, so copy it rather than increment
+      this.upstreamFailures.getSeries({ host }, () => ({ value: 0 })).value = circuit.totalFailures;
+      this.upstreamCircuitOpen.set({ host }, circuit.state === 'open' ? 1 : 0);
+    }
+
+    this.cacheHitRatio.reset();
+    const lookups = {};
+    for (const series of this.cacheLookups.series.values()) {
+      const totals = lookups[series.labels.endpoint] || (lookups[series.labels.endpoint] = { hit: 0, all: 0 });
+      totals.all += series.value;
+      if (series.labels.result === 'hit') totals.hit += series.value;
+    }
+    for (const [endpoint, totals] of Object.entries(lookups)) {
+      this.cacheHitRatio.set({ endpoint }, totals.all > 0 ? totals.hit / totals.all : 0);
+    }
+
+    const memory = process.memoryUsage();
+    this.memory.set({ type: 'rss' }, memory.rss);
+    this.memory.set({ type: 'heap_total' }, memory.heapTotal);
+    this.memory.set({ type: 'heap_used' }, memory.heapUsed);
+    this.memory.set({ type: 'external' }, memory.external);
+
+    // The delay histogram is in nanoseconds, includes the sampling interval itself
+    // and restarts every scrape
+    const lagSeconds = nanoseconds => Math.max(0, nanoseconds / 1e6 - LOOP_DELAY_RESOLUTION_MS) / 1000;
+    this.eventLoopLag.set({ quantile: '0.5' }, lagSeconds(this.loopDelay.percentile(50)));
+    this.eventLoopLag.set({ quantile: '0.99' }, lagSeconds(this.loopDelay.percentile(99)));
+    this.eventLoopLag.set({ quantile: '1' }, lagSeconds(this.loopDelay.max));
+    this.loopDelay.reset();
+
+    this.uptime.set({}, process.uptime());
+  }
+
+  /**
+   * Route template for a request, e.g. /api/audio/peaks/:videoId, or 'unmatched'.
+   * Express resets req.baseUrl when an error leaves a router, so the mount path is
+   * rebuilt from the leading segments of the URL the route template did not cover.
+   * @param {Object} req - Express request
+   * @returns {string}
+   */
+  routeTemplate(req) {
+    if (!req.route) return 'unmatched';
+
+    const segments = path => path.split('/').filter(Boolean);
+    const urlSegments = segments(req.originalUrl.split('?')[0]);
+    const routeSegments = segments(req.route.path);
+    const mount = urlSegments.slice(0, Math.max(0, urlSegments.length - routeSegments.length));
+    return `/${[...mount, ...routeSegments].join('/')}`;
+  }
+
+  // Marks like "retry 3" or "reduced to 4000 peaks" would make a series per number
+  stageLabel(label) {
+    return String(label).replace(/\s*\d.*$/, '') || 'mark';
+  }
+}
+
+const metrics = new Metrics();
+
+module.exports = metrics;
+module.exports.Metrics = Metrics;
@@ -0,0 +1,50 @@
+const RapidApiProvider = require('./rapidApiProvider');
+const MockProvider = require('./mockProvider');
+const logger = require('../../utils/logger');
+
+const PROVIDERS = {
+  rapidapi: RapidApiProvider,
+  mock: MockProvider
+};
+
+/**
+ * Provider names from AUDIO_PROVIDERS, in failover order
+ * @returns {Array<string>} - Provider names
+ */
+function resolveProviderNames() {
+  const requested = (process.env.AUDIO_PROVIDERS || 'rapidapi')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return requested.length > 0 ? requested : ['rapidapi'];
+}
+
+// Providers that answer every request with test audio; failing over to one would cache
+// a test tone under a real video ID, so they have to be used on their own
+const STANDALONE_PROVIDERS = ['mock'];
+
+/**
+ * Create audio source providers
+ * @param {Array<string>} names - Provider names in failover order
+ * @param {Object} options - Options keyed by provider name
+ * @returns {Array<Object>} - Providers with resolve, startConversion, monitor and getInfo
+ */
+function createProviders(names = resolveProviderNames(), options = {}) {
+  const standalone = names.find(name => STANDALONE_PROVIDERS.includes(name));
+  if (standalone && names.length > 1) {
+    throw new Error(`Audio provider "${standalone}" cannot be combined with other providers (got ${names.join(', ')})`);
+  }
+  return names.map(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown audio provider "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return new Provider(options[name]);
+  });
+}
+
+const providers = createProviders();
+logger.info(`Using audio providers: ${providers.map(provider => provider.name).join(', ')}`);
+
+module.exports = providers;
+module.exports.createProviders = createProviders;
@@ -0,0 +1,176 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const logger = require('../../utils/logger');
+const { extractVideoId } = require('../../utils/youtubeUrl');
+
+const FIXTURE_EXTENSIONS = ['.mp3', '.wav', '.ogg', '.flac', '.m4a'];
+const TONE_SAMPLE_RATE = 44100;
+const TONE_SECONDS = 30;
+
+/**
+ * Offline audio source that serves fixture files instead of converting videos.
+ * A request for video ID X uses <fixtures dir>/X.<ext>, then default.<ext>, and
+ * otherwise a generated test tone, so routes can run end to end without network access.
+ * Download URLs are file:// URLs, which audioProcessor reads directly.
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    // Download URLs are file:// URLs; other providers' local file URLs are refused
+    this.localFiles = true;
+    this.fixturesDir = path.resolve(
+      options.fixturesDir || process.env.MOCK_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'audio')
+    );
+    this.toneDir = path.join(os.tmpdir(), 'groovescope-fixtures');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Work out which video a URL refers to
+   * @param {string} youtubeUrl - YouTube video URL
+   * @returns {Object|null} - { videoId, url } or null if the URL is not supported
+   */
+  resolve(youtubeUrl) {
+    const videoId = extractVideoId(youtubeUrl);
+    return videoId ? { videoId, url: youtubeUrl } : null;
+  }
+
+  /**
+   * Pick a fixture file for the video; the job is ready straight away
+   * @param {Object} source - Result of resolve()
+   * @param {string} quality - Audio quality (low, medium, high)
+   * @param {Object} options - { log } request-scoped logger
+   * @returns {Object} - Conversion job information
+   */
+  async startConversion(source, quality = 'medium', options = {}) {
+    const filePath = await this.findFixture(source.videoId);
+    (options.log || logger).info('Mock provider serving fixture', {
+      provider: this.name,
+      videoId: source.videoId,
+      fixture: filePath
+    });
+
+    return {
+      id: `mock_${source.videoId}_${Date.now()}`,
+      videoId: source.videoId,
+      title: `Mock audio (${path.basename(filePath)})`,
+      duration: null,
+      quality,
+      format: path.extname(filePath).slice(1),
+      status: 'ready',
+      downloadUrl: pathToFileURL(filePath).href,
+      metadata: {
+        author: 'GrooveScope mock provider',
+        fixture: path.basename(filePath)
+      },
+      startedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Fixture conversions finish immediately
+   * @param {Object} conversionJob - Conversion job information
+   * @param {Function} progressCallback - Called with { progress, status } updates
+   * @returns {Promise<string>} - Final download URL
+   */
+  async monitor(conversionJob, progressCallback = null) {
+    if (progressCallback) {
+      progressCallback({ progress: 100, status: 'completed' });
+    }
+    return conversionJob.downloadUrl;
+  }
+
+  /**
+   * Get video information without downloading
+   * @param {Object} source - Result of resolve()
+   * @returns {Object} - Video information
+   */
+  async getInfo(source) {
+    const filePath = await this.findFixture(source.videoId);
+    return {
+      videoId: source.videoId,
+      title: `Mock audio (${path.basename(filePath)})`,
+      duration: null,
+      available: true
+    };
+  }
+
+  /**
+   * Fixture for a video ID, falling back to default.<ext> and then a generated tone
+   * @param {string} videoId - Video ID
+   * @returns {Promise<string>} - Path to an audio file
+   */
+  async findFixture(videoId) {
+    let files = [];
+    try {
+      files = await fs.readdir(this.fixturesDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const name of [videoId, 'default']) {
+      const match = files.find(file =>
+        path.basename(file, path.extname(file)) === name &&
+        FIXTURE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+      if (match) return path.join(this.fixturesDir, match);
+    }
+
+    return this.writeTone(videoId);
+  }
+
+  /**
+   * Write a stereo sine tone WAV whose pitch is derived from the video ID
+   * @param {string} videoId - Video ID
+   * @returns {Promise<string>} - Path to the WAV file
+   */
+  async writeTone(videoId) {
+    const filePath = path.join(this.toneDir, `${videoId.replace(/[^\w-]/g, '_')}.wav`);
+    try {
+      await fs.access(filePath);
+      return filePath;
+    } catch (_) {
+      // Not generated yet
+    }
+
+    const frequency = 220 + (Array.from(videoId).reduce((sum, char) => sum + char.charCodeAt(0), 0) % 440);
+    const frames = TONE_SAMPLE_RATE * TONE_SECONDS;
+    const channels = 2;
+    const dataBytes = frames * channels * 2;
+    const buffer = Buffer.alloc(44 + dataBytes);
+
+    buffer.write('RIFF', 0, 'latin1');
+    buffer.writeUInt32LE(36 + dataBytes, 4);
+    buffer.write('WAVE', 8, 'latin1');
+    buffer.write('fmt ', 12, 'latin1');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(TONE_SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(TONE_SAMPLE_RATE * channels * 2, 28);
+    buffer.writeUInt16LE(channels * 2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36, 'latin1');
+    buffer.writeUInt32LE(dataBytes, 40);
+
+    for (let i = 0; i < frames; i++) {
+      // Swell with a four second period so the waveform has some shape
+      const envelope = 0.2 + 0.6 * Math.abs(Math.sin((Math.PI * i) / (TONE_SAMPLE_RATE * 4)));
+      const sample = Math.round(Math.sin((2 * Math.PI * frequency * i) / TONE_SAMPLE_RATE) * envelope * 32767);
+      buffer.writeInt16LE(sample, 44 + i * 4);
+      buffer.writeInt16LE(Math.round(sample / 2), 44 + i * 4 + 2);
+    }
+
+    await fs.mkdir(this.toneDir, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+    return filePath;
+  }
+}
+
+module.exports = MockProvider;
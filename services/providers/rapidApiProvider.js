@@ -0,0 +1,559 @@
+const axios = require('axios');
+const { setTimeout: setTimeoutPromise } = require('timers/promises');
+const upstream = require('../upstream');
+const logger = require('../../utils/logger');
+const { createTimer } = require('../../utils/perf');
+const { extractVideoId } = require('../../utils/youtubeUrl');
+const {
+  AppError,
+  ProviderNotConfiguredError,
+  UpstreamAuthError,
+  UpstreamError,
+  UpstreamRateLimitedError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError,
+  VideoNotFoundError,
+  VideoPrivateError
+} = require('../../utils/errors');
+
+/**
+ * Audio source backed by the YouTube CDN Progress API on RapidAPI.
+ * Conversions report progress over SSE when the API returns a progress link,
+ * and are otherwise polled until the download URL responds.
+ */
+class RapidApiProvider {
+  constructor(options = {}) {
+    this.name = 'rapidapi';
+    this.rapidApiKey = options.apiKey || process.env.RAPIDAPI_KEY;
+    this.rapidApiHost = 'youtube-cdn-progress.p.rapidapi.com';
+    this.baseUrl = 'https://youtube-cdn-progress.p.rapidapi.com';
+    this.sseBaseUrl = 'https://cdn-ytb.zm.io.vn';
+  }
+
+  isConfigured() {
+    return Boolean(this.rapidApiKey);
+  }
+
+  /**
+   * Check that the conversion API answers. Any response below 500 counts as reachable.
+   * Called directly rather than through upstream so probes never move the circuit breaker.
+   * @param {number} timeoutMs - Give up after this long
+   * @returns {Promise<Object>} - { reachable, host, responseTime, statusCode, error }
+   */
+  async probe(timeoutMs = 5000) {
+    const host = new URL(this.baseUrl).host;
+    const startTime = Date.now();
+    try {
+      const response = await axios({
+        method: 'HEAD',
+        url: this.baseUrl,
+        headers: { 'X-RapidAPI-Host': this.rapidApiHost },
+        timeout: timeoutMs,
+        validateStatus: () => true
+      });
+      return {
+        reachable: response.status < 500,
+        host,
+        responseTime: Date.now() - startTime,
+        statusCode: response.status
+      };
+    } catch (error) {
+      return { reachable: false, host, responseTime: Date.now() - startTime, error: error.code || error.message };
+    }
+  }
+
+  /**
+   * Work out which video a URL refers to
+   * @param {string} youtubeUrl - YouTube video URL
+   * @returns {Object|null} - { videoId, url } or null if the URL is not supported
+   */
+  resolve(youtubeUrl) {
+    const videoId = extractVideoId(youtubeUrl);
+    return videoId ? { videoId, url: youtubeUrl } : null;
+  }
+
+  /**
+   * Start conversion using the new YouTube CDN Progress API
+   * @param {Object} source - Result of resolve()
+   * @param {string} quality - Audio quality (low, medium, high)
+   * @param {Object} options - { log } request-scoped logger
+   * @returns {Object} - Conversion job information
+   */
+  async startConversion(source, quality = 'medium', options = {}) {
+    const log = (options.log || logger).child({ provider: this.name, videoId: source.videoId });
+    try {
+      const timer = createTimer('youtube.startConversion', { log });
+      if (!this.rapidApiKey) {
+        throw new ProviderNotConfiguredError('RapidAPI key not configured');
+      }
+
+      const { videoId } = source;
+      log.info('Starting conversion', { quality });
+      timer.mark('validated');
+
+      // Map quality to the new API format
+      const apiQuality = this.mapQualityToAPI(quality);
+      
+      // Use the new API endpoint format
+      const response = await upstream.request({
+        method: 'POST',
+        url: `${this.baseUrl}/audio?id=${videoId}&quality=${apiQuality}&ext=mp3`,
+        data: {
+          id: videoId,
+          quality: apiQuality,
+          ext: 'mp3'
+        },
+        headers: {
+          'X-RapidAPI-Key': this.rapidApiKey,
+          'X-RapidAPI-Host': this.rapidApiHost,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      }, { log });
+      timer.mark('api response');
+
+      if (!response.data) {
+        throw new UpstreamError('No response data from YouTube API', { code: 'UPSTREAM_BAD_RESPONSE' });
+      }
+
+      log.debug('Conversion API response', {
+        title: response.data.title,
+        lengthSeconds: response.data.lengthSeconds,
+        hasDownloadLink: Boolean(response.data.linkDownload),
+        hasProgressLink: Boolean(response.data.linkDownloadProgress),
+        error: response.data.error
+      });
+
+      // Handle the new API response format
+      const jobData = this.parseNewAPIResponse(response.data, videoId, quality);
+
+      log.info('Conversion job started', { conversionId: jobData.id });
+
+      timer.end('parsed job');
+      return jobData;
+
+    } catch (error) {
+      log.error('YouTube conversion start error', { error });
+      try { createTimer('youtube.startConversion', { log }).end('error', { message: error.message }); } catch (_) {}
+
+      throw this.toProviderError(error);
+    }
+  }
+
+  /**
+   * Download audio from YouTube video (legacy method - now uses async workflow)
+   * @param {Object} source - Result of resolve()
+   * @param {string} quality - Audio quality (low, medium, high)
+   * @returns {Object} - Download information
+   */
+  async downloadAudio(source, quality = 'medium') {
+    try {
+      if (!this.rapidApiKey) {
+        throw new ProviderNotConfiguredError('RapidAPI key not configured');
+      }
+
+      const { videoId } = source;
+      logger.info('Requesting audio download', { provider: this.name, videoId });
+
+      // Use the correct API endpoint with POST method and URL-encoded parameters
+      const encodedUrl = encodeURIComponent(source.url);
+      const response = await upstream.request({
+        method: 'POST',
+        url: `${this.baseUrl}/download?url=${encodedUrl}&format=mp3`,
+        data: {}, // Empty body as required by the API
+        headers: {
+          'X-RapidAPI-Key': this.rapidApiKey,
+          'X-RapidAPI-Host': this.rapidApiHost,
+          'Content-Type': 'application/json',
+          'User-Agent': 'GrooveScope/1.0'
+        },
+        timeout: 30000 // 30 second timeout
+      });
+
+      if (!response.data) {
+        throw new UpstreamError('No response data from YouTube API', { code: 'UPSTREAM_BAD_RESPONSE' });
+      }
+
+      // Check if the response contains error
+      if (response.data.error) {
+        throw this.classifyApiError(response.data.error);
+      }
+
+      // Extract download information
+      const downloadData = this.parseDownloadResponse(response.data);
+      
+      if (!downloadData.downloadUrl) {
+        throw new UpstreamError('No download URL received from YouTube API', { code: 'UPSTREAM_BAD_RESPONSE' });
+      }
+
+      // Handle async conversion - wait for the file to be ready
+      let finalDownloadUrl = downloadData.downloadUrl;
+      
+      if (downloadData.status === 'CONVERTING') {
+        logger.info('Video is converting, waiting for completion', { provider: this.name, videoId });
+        finalDownloadUrl = await this.waitForConversion(downloadData.downloadUrl, downloadData.id);
+      }
+
+      logger.info('Obtained download URL', { provider: this.name, videoId });
+
+      return {
+        videoId,
+        downloadUrl: finalDownloadUrl,
+        title: downloadData.title,
+        duration: downloadData.duration,
+        quality: quality,
+        fileSize: downloadData.fileSize,
+        conversionId: downloadData.id
+      };
+
+    } catch (error) {
+      logger.error('YouTube download error', { provider: this.name, error });
+
+      throw this.toProviderError(error);
+    }
+  }
+
+  /**
+   * Turn an upstream failure into an error with a readable message,
+   * keeping the HTTP status and any Retry-After hint for the routes
+   * @param {Error} error - Error from an upstream request
+   * @returns {Error}
+   */
+  toProviderError(error) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    if (error.response) {
+      const status = error.response.status;
+      const message = error.response.data?.message || error.message;
+      const options = { cause: error, ...(error.retryAfter && { retryAfter: error.retryAfter }) };
+
+      if (status === 429) {
+        return new UpstreamRateLimitedError(undefined, options);
+      } else if (status === 401 || status === 403) {
+        return new UpstreamAuthError('API access forbidden. Check your RapidAPI key.', options);
+      } else if (status === 404) {
+        return new VideoNotFoundError(undefined, options);
+      } else if (status >= 500) {
+        return new UpstreamUnavailableError('YouTube service temporarily unavailable.', options);
+      }
+      return new UpstreamError(`YouTube API error (${status}): ${message}`, options);
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new UpstreamTimeoutError('Request timeout. The video might be too long to process.', { cause: error });
+    }
+
+    return new UpstreamError(`YouTube API request failed: ${error.code || error.message}`, { cause: error });
+  }
+
+  /**
+   * Classify an error string returned in a successful API response
+   * @param {string} message - Error text from the API
+   * @returns {AppError}
+   */
+  classifyApiError(message) {
+    const text = String(message);
+    if (/private|sign in|members only|age.restricted/i.test(text)) {
+      return new VideoPrivateError(undefined, { details: { upstreamMessage: text } });
+    }
+    if (/not found|unavailable|removed|does not exist/i.test(text)) {
+      return new VideoNotFoundError(undefined, { details: { upstreamMessage: text } });
+    }
+    return new UpstreamError(`YouTube API error: ${text}`);
+  }
+
+  /**
+   * Map quality string to new API parameter format
+   * @param {string} quality - Quality level
+   * @returns {string} - API quality parameter
+   */
+  mapQualityToAPI(quality) {
+    const qualityMap = {
+      'low': '128kbps',
+      'medium': '192kbps', 
+      'high': '320kbps'
+    };
+    return qualityMap[quality] || '192kbps';
+  }
+
+  /**
+   * Map quality string to legacy API parameter (kept for compatibility)
+   * @param {string} quality - Quality level
+   * @returns {string} - API quality parameter
+   */
+  mapQuality(quality) {
+    const qualityMap = {
+      'low': '128',
+      'medium': '192',
+      'high': '320'
+    };
+    return qualityMap[quality] || '192';
+  }
+
+  /**
+   * Parse response from new YouTube CDN Progress API
+   * @param {Object} responseData - API response data
+   * @param {string} videoId - Video ID
+   * @param {string} quality - Quality level
+   * @returns {Object} - Parsed job information
+   */
+  parseNewAPIResponse(responseData, videoId, quality) {
+    try {
+      // Handle the actual API response format from YouTube CDN Progress
+      if (responseData.error) {
+        throw this.classifyApiError(responseData.error);
+      }
+      if (responseData.isPrivate) {
+        throw new VideoPrivateError();
+      }
+      
+      // Extract token from the download progress link
+      const progressLink = responseData.linkDownloadProgress;
+      const tokenMatch = progressLink ? progressLink.match(/token=([^&]+)/) : null;
+      const token = tokenMatch ? tokenMatch[1] : videoId + '_' + Date.now();
+      
+      return {
+        id: token,
+        videoId: responseData.videoId || videoId,
+        token: token,
+        title: responseData.title || 'Unknown Title',
+        duration: parseFloat(responseData.lengthSeconds) || null,
+        quality: quality,
+        format: 'mp3',
+        status: 'ready', // This API provides immediate links
+        // URLs provided by the API
+        downloadUrl: responseData.linkDownload,
+        streamUrl: responseData.linkStream,
+        sseUrl: responseData.linkDownloadProgress,
+        // Metadata
+        metadata: {
+          author: responseData.author,
+          viewCount: responseData.viewCount,
+          keywords: responseData.keywords,
+          description: responseData.shortDescription,
+          thumbnail: responseData.thumbnail?.thumbnails?.[0]?.url,
+          channelId: responseData.channelId,
+          isPrivate: responseData.isPrivate,
+          duration: responseData.lengthSeconds
+        },
+        startedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('Error parsing conversion API response', { provider: this.name, videoId, error });
+      throw new UpstreamError('Failed to parse API response: ' + error.message, { code: 'UPSTREAM_BAD_RESPONSE' });
+    }
+  }
+
+  /**
+   * Parse download response from legacy API (kept for compatibility)
+   * @param {Object} responseData - API response data
+   * @returns {Object} - Parsed download information
+   */
+  parseDownloadResponse(responseData) {
+    try {
+      // Handle the actual API response format
+      return {
+        id: responseData.id,
+        downloadUrl: responseData.downloadUrl,
+        status: responseData.status,
+        title: responseData.title || 'Unknown Title',
+        duration: responseData.duration || null,
+        fileSize: responseData.fileSize || null,
+        format: responseData.format,
+        quality: responseData.quality,
+        startAt: responseData.startAt,
+        endAt: responseData.endAt
+      };
+
+    } catch (error) {
+      logger.error('Error parsing download response', { provider: this.name, error });
+      throw new UpstreamError('Failed to parse download response', { code: 'UPSTREAM_BAD_RESPONSE' });
+    }
+  }
+
+  /**
+   * Wait for a conversion started by startConversion() to finish
+   * @param {Object} conversionJob - Conversion job information
+   * @param {Function} progressCallback - Called with { progress, status } updates
+   * @param {Object} options - { log, signal } job-scoped logger, and an AbortSignal that stops
+   *   monitoring and rejects with its reason
+   * @returns {Promise<string>} - Final download URL
+   */
+  async monitor(conversionJob, progressCallback = null, options = {}) {
+    const log = (options.log || logger).child({ provider: this.name });
+    const { signal } = options;
+
+    if (conversionJob.sseUrl) {
+      log.info('Using SSE monitoring', { conversionId: conversionJob.id });
+      return this.monitorConversionProgress(conversionJob.sseUrl, progressCallback, { log, signal });
+    }
+
+    if (conversionJob.downloadUrl) {
+      log.info('Using polling method', { conversionId: conversionJob.id });
+      return this.waitForConversion(conversionJob.downloadUrl, conversionJob.id, {
+        maxAttempts: 20, // Reduced max attempts for background processing
+        log,
+        signal
+      });
+    }
+
+    throw new UpstreamError('No monitoring method available for this job', { code: 'UPSTREAM_BAD_RESPONSE' });
+  }
+
+  /**
+   * Monitor conversion progress using SSE (Server-Sent Events)
+   * @param {string} sseUrl - SSE endpoint URL
+   * @param {Function} progressCallback - Callback for progress updates
+   * @param {Object} options - { log, signal }; aborting signal closes the stream and rejects with its reason
+   * @returns {Promise<string>} - Final download URL
+   */
+  async monitorConversionProgress(sseUrl, progressCallback = null, { log = logger, signal } = {}) {
+    signal?.throwIfAborted();
+    return new Promise((resolve, reject) => {
+      const EventSource = require('eventsource');
+      let timeoutId;
+      
+      log.debug('Starting SSE monitoring', { sseUrl });
+      
+      const eventSource = new EventSource(sseUrl);
+
+      // Every way out closes the stream and clears the timeout and abort listener
+      const stop = () => {
+        clearTimeout(timeoutId);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        eventSource.close();
+      };
+      const onAbort = () => {
+        stop();
+        reject(signal.reason);
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      
+      // Set timeout for the entire process
+      timeoutId = setTimeout(() => {
+        stop();
+        reject(new UpstreamTimeoutError('Conversion timeout: Process took too long', { code: 'CONVERSION_TIMEOUT' }));
+      }, 300000); // 5 minute timeout
+      
+      eventSource.onmessage = (event) => {
+        try {
+          const data = JSON.parse(event.data);
+          log.debug('SSE progress', { status: data.status, progress: data.progress });
+          
+          // Call progress callback if provided
+          if (progressCallback) {
+            progressCallback(data);
+          }
+          
+          // Check if conversion is complete
+          if (data.status === 'completed' && data.downloadUrl) {
+            stop();
+            resolve(data.downloadUrl);
+          } else if (data.status === 'error' || data.status === 'failed') {
+            stop();
+            reject(new UpstreamError(data.message || 'Conversion failed', { code: 'CONVERSION_FAILED' }));
+          }
+          
+        } catch (error) {
+          log.warn('Error parsing SSE data', { error });
+        }
+      };
+      
+      eventSource.onerror = (error) => {
+        log.error('SSE connection error', { message: error?.message, status: error?.status });
+        stop();
+        reject(new UpstreamUnavailableError('SSE connection failed', { code: 'UPSTREAM_STREAM_FAILED' }));
+      };
+    });
+  }
+
+  /**
+   * Wait for video conversion to complete (legacy method)
+   * @param {string} downloadUrl - The download URL to check
+   * @param {string} conversionId - The conversion job ID
+   * @param {Object} options - { maxAttempts, log, signal }: checks before giving up, logger, and an
+   *   AbortSignal that stops polling and rejects with its reason
+   * @returns {string} - Final download URL
+   */
+  async waitForConversion(downloadUrl, conversionId, { maxAttempts = 30, log = logger, signal } = {}) {
+    const timer = createTimer('youtube.waitForConversion', { enabled: process.env.PERF_LOGS === '1', log });
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      signal?.throwIfAborted();
+      try {
+        log.debug(`Checking conversion status, attempt ${attempt}/${maxAttempts}`, { conversionId });
+        
+        // Check if the file is ready by making a HEAD request (polling is the retry loop here)
+        const response = await upstream.request(
+          { method: 'HEAD', url: downloadUrl, timeout: 10000, signal },
+          { retries: 0, log }
+        );
+        
+        if (response.status === 200) {
+          log.info('Conversion completed, file is ready', { conversionId, attempt });
+          timer.end(`ready at attempt ${attempt}`);
+          return downloadUrl;
+        }
+        
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN' || signal?.aborted) throw error;
+
+        // File not ready yet, wait and try again
+        if (attempt < maxAttempts) {
+          const waitTime = Math.min(5000, 1000 * attempt); // Progressive wait: 1s, 2s, 3s... up to 5s
+          log.debug(`File not ready, waiting ${waitTime}ms before retry`, { conversionId });
+          await setTimeoutPromise(waitTime, undefined, { signal }).catch(() => signal.throwIfAborted());
+          timer.mark(`retry ${attempt}`);
+        }
+      }
+    }
+    
+    timer.end('timeout');
+    throw new UpstreamTimeoutError('Conversion timeout: Video took too long to process', { code: 'CONVERSION_TIMEOUT' });
+  }
+
+  /**
+   * Get video information without downloading
+   * @param {Object} source - Result of resolve()
+   * @returns {Object} - Video information
+   */
+  async getInfo(source) {
+    try {
+      const { videoId } = source;
+
+      // Note: This would require a different endpoint for just getting info
+      // For now, we'll use the same endpoint but only extract metadata
+      const response = await upstream.request({
+        method: 'GET',
+        url: `${this.baseUrl}/dl`,
+        params: {
+          id: videoId,
+          q: '128' // Use lowest quality for info request
+        },
+        headers: {
+          'X-RapidAPI-Key': this.rapidApiKey,
+          'X-RapidAPI-Host': this.rapidApiHost
+        },
+        timeout: 15000
+      });
+
+      const data = this.parseDownloadResponse(response.data);
+      
+      return {
+        videoId,
+        title: data.title,
+        duration: data.duration,
+        available: Boolean(data.downloadUrl)
+      };
+
+    } catch (error) {
+      logger.error('Video info error', { provider: this.name, error });
+      throw this.toProviderError(error);
+    }
+  }
+}
+
+module.exports = RapidApiProvider;
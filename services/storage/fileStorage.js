@@ -0,0 +1,323 @@
+const fs = require('fs').promises;
+const { readFileSync, mkdirSync } = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Storage kept on the local filesystem, for offline development and tests.
+ * Layout under the storage directory:
+ *   cache/<video_id>__<quality>.json  one audio_cache row per file
+ *   spectrograms/<video_id>__<quality>.json  one audio_spectrograms row per file
+ *   jobs.json                         all processing_jobs rows
+ *   api_usage.jsonl                   appended api_usage rows
+ *   api_keys.json                     all api_keys rows
+ *   audit_log.jsonl                   appended audit_log rows
+ *   system_health.jsonl               appended system_health rows
+ */
+class FileStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dir = path.resolve(options.dir || process.env.LOCAL_STORAGE_DIR || path.join(process.cwd(), 'data'));
+    this.cacheDir = path.join(this.dir, 'cache');
+    this.spectrogramDir = path.join(this.dir, 'spectrograms');
+    this.jobsFile = path.join(this.dir, 'jobs.json');
+    this.usageFile = path.join(this.dir, 'api_usage.jsonl');
+    this.apiKeysFile = path.join(this.dir, 'api_keys.json');
+    this.auditFile = path.join(this.dir, 'audit_log.jsonl');
+    this.healthFile = path.join(this.dir, 'system_health.jsonl');
+    this.writeChain = Promise.resolve();
+
+    mkdirSync(this.cacheDir, { recursive: true });
+    mkdirSync(this.spectrogramDir, { recursive: true });
+    this.jobs = new Map(this.readRows(this.jobsFile, 'jobs').map(job => [job.job_id, job]));
+    this.apiKeys = new Map(this.readRows(this.apiKeysFile, 'API keys').map(key => [key.id, key]));
+  }
+
+  readRows(filePath, label) {
+    try {
+      return JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to read local ${label} file, starting empty`, { filePath, error });
+      }
+      return [];
+    }
+  }
+
+  cacheFile(videoId, quality, dir = this.cacheDir) {
+    return path.join(dir, `${encodeURIComponent(videoId)}__${encodeURIComponent(quality)}.json`);
+  }
+
+  // Write via a temp file and rename so readers never see partial JSON
+  async writeJson(filePath, value) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value));
+    await fs.rename(tempPath, filePath);
+  }
+
+  // Serialize writes so concurrent updates land in order
+  enqueueWrite(task) {
+    const run = this.writeChain.then(task);
+    this.writeChain = run.catch(() => {});
+    return run;
+  }
+
+  persistJobs() {
+    return this.enqueueWrite(() => this.writeJson(this.jobsFile, Array.from(this.jobs.values())));
+  }
+
+  persistApiKeys() {
+    return this.enqueueWrite(() => this.writeJson(this.apiKeysFile, Array.from(this.apiKeys.values())));
+  }
+
+  async getCache(videoId, quality, options = {}) {
+    const row = await this.readCacheFile(this.cacheFile(videoId, quality));
+    return row && options.columns ? pickColumns(row, options.columns) : row;
+  }
+
+  // Same shape as the audio_cache_summaries view
+  async getCacheSummary(videoId, quality) {
+    const row = await this.getCache(videoId, quality);
+    if (!row) return null;
+    const { peak_levels: peakLevels, ...summary } = row;
+    return { ...summary, metadata: summarizeAnalysis(row.metadata) };
+  }
+
+  async readCacheFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async putCache(entry) {
+    const existing = await this.readCacheFile(this.cacheFile(entry.video_id, entry.quality));
+    const now = new Date().toISOString();
+    const row = {
+      ...existing,
+      ...entry,
+      created_at: existing?.created_at || entry.created_at || now,
+      updated_at: now
+    };
+    await this.enqueueWrite(() => this.writeJson(this.cacheFile(entry.video_id, entry.quality), row));
+  }
+
+  // Spectrograms go with their cache entry
+  async deleteCache(videoId) {
+    const prefix = `${encodeURIComponent(videoId)}__`;
+    await Promise.all([this.cacheDir, this.spectrogramDir].map(async dir => {
+      const files = await fs.readdir(dir);
+      await Promise.all(files
+        .filter(file => file.startsWith(prefix))
+        .map(file => fs.unlink(path.join(dir, file)).catch(() => {})));
+    }));
+  }
+
+  async getSpectrogram(videoId, quality) {
+    return this.readCacheFile(this.cacheFile(videoId, quality, this.spectrogramDir));
+  }
+
+  async putSpectrogram(entry) {
+    const filePath = this.cacheFile(entry.video_id, entry.quality, this.spectrogramDir);
+    const existing = await this.readCacheFile(filePath);
+    const now = new Date().toISOString();
+    const row = { ...entry, created_at: existing?.created_at || now, updated_at: now };
+    await this.enqueueWrite(() => this.writeJson(filePath, row));
+  }
+
+  async countCache(options = {}) {
+    const files = (await fs.readdir(this.cacheDir)).filter(file => file.endsWith('.json'));
+    if (!options.since) return files.length;
+
+    const since = new Date(options.since).getTime();
+    let count = 0;
+    for (const file of files) {
+      try {
+        const row = JSON.parse(await fs.readFile(path.join(this.cacheDir, file), 'utf8'));
+        if (new Date(row.created_at).getTime() >= since) count++;
+      } catch (_) {
+        // Skip entries removed or rewritten while counting
+      }
+    }
+    return count;
+  }
+
+  async getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Same shape as the processing_job_summaries view
+  async getJobSummary(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.status === 'converting' || !job.metadata?.partial) return job || null;
+    const { partial, ...metadata } = job.metadata;
+    return { ...job, metadata };
+  }
+
+  async findActiveJob(videoId, quality, options = {}) {
+    const active = Array.from(this.jobs.values())
+      .filter(job => job.video_id === videoId && job.quality === quality && job.status === 'converting')
+      .sort((a, b) => new Date(b.started_at) - new Date(a.started_at));
+    if (!active[0]) return null;
+    return options.columns ? pickColumns(active[0], options.columns) : active[0];
+  }
+
+  async saveJob(job) {
+    const now = new Date().toISOString();
+    const existing = this.jobs.get(job.job_id);
+    this.jobs.set(job.job_id, {
+      ...job,
+      created_at: existing?.created_at || now,
+      updated_at: now
+    });
+    await this.persistJobs();
+  }
+
+  async updateJob(jobId, fields) {
+    const existing = this.jobs.get(jobId);
+    if (!existing) return;
+    this.jobs.set(jobId, { ...existing, ...fields, updated_at: new Date().toISOString() });
+    await this.persistJobs();
+  }
+
+  async listJobsByStatus(status) {
+    return Array.from(this.jobs.values()).filter(job => job.status === status);
+  }
+
+  async recordUsage(entry) {
+    const row = { ...entry, created_at: entry.created_at || new Date().toISOString() };
+    await this.enqueueWrite(() => fs.appendFile(this.usageFile, `${JSON.stringify(row)}\n`));
+  }
+
+  async countUsage({ apiKeyId, kind, since }) {
+    const sinceMs = since ? new Date(since).getTime() : 0;
+    const rows = await this.readJsonLines(this.usageFile);
+    return rows.filter(row =>
+      row.api_key_id === apiKeyId && row[kind] && new Date(row.created_at).getTime() >= sinceMs
+    ).length;
+  }
+
+  async recordAudit(entry) {
+    const row = { ...entry, created_at: entry.created_at || new Date().toISOString() };
+    await this.enqueueWrite(() => fs.appendFile(this.auditFile, `${JSON.stringify(row)}\n`));
+  }
+
+  async listAudit(options = {}) {
+    const sinceMs = options.since ? new Date(options.since).getTime() : 0;
+    const rows = await this.readJsonLines(this.auditFile);
+    return rows
+      .filter(row => (!options.action || row.action === options.action) &&
+        new Date(row.created_at).getTime() >= sinceMs)
+      .reverse()
+      .slice(0, options.limit);
+  }
+
+  async recordHealth(rows) {
+    const lines = rows.map(row => `${JSON.stringify({ ...row, checked_at: row.checked_at || new Date().toISOString() })}\n`);
+    await this.enqueueWrite(() => fs.appendFile(this.healthFile, lines.join('')));
+  }
+
+  async listHealth(options = {}) {
+    const sinceMs = options.since ? new Date(options.since).getTime() : 0;
+    const rows = await this.readJsonLines(this.healthFile);
+    return rows.filter(row => (!options.service || row.service_name === options.service) &&
+      new Date(row.checked_at).getTime() >= sinceMs);
+  }
+
+  async pruneHealth(before) {
+    const beforeMs = new Date(before).getTime();
+    await this.enqueueWrite(async () => {
+      const rows = await this.readJsonLines(this.healthFile);
+      const kept = rows.filter(row => new Date(row.checked_at).getTime() >= beforeMs);
+      if (kept.length === rows.length) return;
+
+      const tempPath = `${this.healthFile}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, kept.map(row => `${JSON.stringify(row)}\n`).join(''));
+      await fs.rename(tempPath, this.healthFile);
+    });
+  }
+
+  async readJsonLines(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const rows = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        rows.push(JSON.parse(line));
+      } catch (_) {
+        // Skip a line cut short by a crash
+      }
+    }
+    return rows;
+  }
+
+  async getApiKeyByHash(keyHash) {
+    return Array.from(this.apiKeys.values()).find(key => key.key_hash === keyHash) || null;
+  }
+
+  async getApiKey(id) {
+    return this.apiKeys.get(id) || null;
+  }
+
+  async listApiKeys() {
+    return Array.from(this.apiKeys.values())
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  async saveApiKey(key) {
+    const now = new Date().toISOString();
+    this.apiKeys.set(key.id, { ...key, created_at: key.created_at || now, updated_at: now });
+    await this.persistApiKeys();
+  }
+
+  async updateApiKey(id, fields) {
+    const existing = this.apiKeys.get(id);
+    if (!existing) return;
+    this.apiKeys.set(id, { ...existing, ...fields, updated_at: new Date().toISOString() });
+    await this.persistApiKeys();
+  }
+
+  async ping() {
+    const startTime = Date.now();
+    try {
+      await fs.access(this.cacheDir);
+      return { healthy: true, responseTime: Date.now() - startTime };
+    } catch (error) {
+      return { healthy: false, responseTime: Date.now() - startTime, error: error.message };
+    }
+  }
+}
+
+function pickColumns(row, columns) {
+  return Object.fromEntries(columns.filter(column => column in row).map(column => [column, row[column]]));
+}
+
+// Keep only the analysis fields peaks responses show, as audio_cache_summaries does
+function summarizeAnalysis(metadata) {
+  const analysis = metadata?.analysis;
+  if (!analysis || typeof analysis !== 'object') return metadata;
+  return {
+    ...metadata,
+    analysis: {
+      version: analysis.version ?? null,
+      bpm: analysis.bpm ?? null,
+      confidence: analysis.confidence ?? null,
+      key: analysis.key ? { name: analysis.key.name ?? null } : null,
+      loudness: {
+        integrated: analysis.loudness?.integrated ?? null,
+        truePeak: analysis.loudness?.truePeak ?? null
+      }
+    }
+  };
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,48 @@
+const SupabaseStorage = require('./supabaseStorage');
+const FileStorage = require('./fileStorage');
+const logger = require('../../utils/logger');
+
+const BACKENDS = {
+  supabase: SupabaseStorage,
+  local: FileStorage
+};
+
+/**
+ * Pick the storage backend from STORAGE_BACKEND, falling back to Supabase
+ * when it is configured and to local files otherwise. A Supabase URL without the
+ * service role key is refused rather than quietly falling back to local files,
+ * which do not survive a redeploy on Render or Docker.
+ * @param {Object} env - Environment variables
+ * @returns {string} - Backend name
+ */
+function resolveBackend(env = process.env) {
+  const requested = (env.STORAGE_BACKEND || '').toLowerCase();
+  if (requested) return requested;
+  if (!env.SUPABASE_URL) return 'local';
+  if (!env.SUPABASE_SERVICE_ROLE_KEY) {
+    const renamed = env.SUPABASE_ANON_KEY ? ' (SUPABASE_ANON_KEY is no longer used; the server needs the service role key)' : '';
+    throw new Error(`SUPABASE_URL is set without SUPABASE_SERVICE_ROLE_KEY${renamed}; set it, or STORAGE_BACKEND=local to use local files`);
+  }
+  return 'supabase';
+}
+
+/**
+ * Create a storage instance
+ * @param {string} backend - 'supabase' or 'local'
+ * @param {Object} options - Backend specific options
+ * @returns {Object} - Storage with cache, job and usage methods
+ */
+function createStorage(backend = resolveBackend(), options = {}) {
+  const Backend = BACKENDS[backend];
+  if (!Backend) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+  return new Backend(options);
+}
+
+const storage = createStorage();
+logger.info(`Using ${storage.name} storage backend`);
+
+module.exports = storage;
+module.exports.createStorage = createStorage;
+module.exports.resolveBackend = resolveBackend;
@@ -0,0 +1,401 @@
+const { createClient } = require('@supabase/supabase-js');
+
+const HEALTH_PAGE_SIZE = 1000;
+
+/**
+ * Storage backed by the Supabase tables in database/supabase.sql.
+ * The server signs in with the service role key: the tables' row level security only
+ * lets the service role write, and api_keys and audit_log cannot be read with any other key.
+ */
+class SupabaseStorage {
+  constructor(options = {}) {
+    this.name = 'supabase';
+    const url = options.url || process.env.SUPABASE_URL;
+    const key = options.key || process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!url || !key) {
+      throw new Error('Supabase storage needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+    this.client = createClient(url, key, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    });
+  }
+
+  /**
+   * Get a cache entry
+   * @param {string} videoId - Video ID
+   * @param {string} quality - Quality level
+   * @param {Object} options - { columns: audio_cache columns to read (default all) }
+   * @returns {Object|null} - audio_cache row
+   */
+  async getCache(videoId, quality, options = {}) {
+    const { data, error } = await this.client
+      .from('audio_cache')
+      .select(options.columns ? options.columns.join(',') : '*')
+      .eq('video_id', videoId)
+      .eq('quality', quality)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Get a cache entry without its peak pyramid and with only the summary analysis fields
+   * @param {string} videoId - Video ID
+   * @param {string} quality - Quality level
+   * @returns {Object|null} - audio_cache_summaries row
+   */
+  async getCacheSummary(videoId, quality) {
+    const { data, error } = await this.client
+      .from('audio_cache_summaries')
+      .select('*')
+      .eq('video_id', videoId)
+      .eq('quality', quality)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Insert or replace a cache entry, keyed by video_id and quality
+   * @param {Object} entry - audio_cache row
+   */
+  async putCache(entry) {
+    const { error } = await this.client
+      .from('audio_cache')
+      .upsert(entry, { onConflict: 'video_id,quality' });
+    if (error) throw error;
+  }
+
+  /**
+   * Delete all cache entries for a video (their spectrograms go with them by foreign key)
+   * @param {string} videoId - Video ID
+   */
+  async deleteCache(videoId) {
+    const { error } = await this.client
+      .from('audio_cache')
+      .delete()
+      .eq('video_id', videoId);
+    if (error) throw error;
+  }
+
+  /**
+   * Get the spectrogram stored with a cache entry
+   * @param {string} videoId - Video ID
+   * @param {string} quality - Quality level
+   * @returns {Object|null} - audio_spectrograms row
+   */
+  async getSpectrogram(videoId, quality) {
+    const { data, error } = await this.client
+      .from('audio_spectrograms')
+      .select('*')
+      .eq('video_id', videoId)
+      .eq('quality', quality)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Insert or replace a spectrogram, keyed by video_id and quality; the cache entry must exist
+   * @param {Object} entry - audio_spectrograms row
+   */
+  async putSpectrogram(entry) {
+    const { error } = await this.client
+      .from('audio_spectrograms')
+      .upsert(entry, { onConflict: 'video_id,quality' });
+    if (error) throw error;
+  }
+
+  /**
+   * Count cache entries
+   * @param {Object} options - { since } ISO timestamp lower bound on created_at
+   * @returns {number} - Entry count
+   */
+  async countCache(options = {}) {
+    let query = this.client
+      .from('audio_cache')
+      .select('video_id', { count: 'exact', head: true });
+    if (options.since) query = query.gte('created_at', options.since);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Get a processing job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - processing_jobs row
+   */
+  async getJob(jobId) {
+    const { data, error } = await this.client
+      .from('processing_jobs')
+      .select('*')
+      .eq('job_id', jobId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Get a processing job, with its partial peaks only while it is converting
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - processing_job_summaries row
+   */
+  async getJobSummary(jobId) {
+    const { data, error } = await this.client
+      .from('processing_job_summaries')
+      .select('*')
+      .eq('job_id', jobId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Most recent job still converting for a video and quality
+   * @param {string} videoId - Video ID
+   * @param {string} quality - Quality level
+   * @param {Object} options - { columns: processing_jobs columns to read (default all) }
+   * @returns {Object|null} - processing_jobs row
+   */
+  async findActiveJob(videoId, quality, options = {}) {
+    const { data, error } = await this.client
+      .from('processing_jobs')
+      .select(options.columns ? options.columns.join(',') : '*')
+      .eq('video_id', videoId)
+      .eq('quality', quality)
+      .eq('status', 'converting')
+      .order('started_at', { ascending: false })
+      .limit(1);
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Insert or replace a job, keyed by job_id
+   * @param {Object} job - processing_jobs row
+   */
+  async saveJob(job) {
+    const { error } = await this.client
+      .from('processing_jobs')
+      .upsert(job, { onConflict: 'job_id' });
+    if (error) throw error;
+  }
+
+  /**
+   * Update fields on a job
+   * @param {string} jobId - Job ID
+   * @param {Object} fields - Columns to update
+   */
+  async updateJob(jobId, fields) {
+    const { error } = await this.client
+      .from('processing_jobs')
+      .update(fields)
+      .eq('job_id', jobId);
+    if (error) throw error;
+  }
+
+  /**
+   * List jobs with a given status
+   * @param {string} status - Job status
+   * @returns {Array} - processing_jobs rows
+   */
+  async listJobsByStatus(status) {
+    const { data, error } = await this.client
+      .from('processing_jobs')
+      .select('*')
+      .eq('status', status);
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Record an API usage entry
+   * @param {Object} entry - api_usage row
+   */
+  async recordUsage(entry) {
+    const { error } = await this.client
+      .from('api_usage')
+      .insert(entry);
+    if (error) throw error;
+  }
+
+  /**
+   * Count api_usage rows for a key that were charged to a quota
+   * @param {Object} options - { apiKeyId, kind ('conversion' or 'peak_generation'), since }
+   * @returns {number} - Row count
+   */
+  async countUsage({ apiKeyId, kind, since }) {
+    let query = this.client
+      .from('api_usage')
+      .select('id', { count: 'exact', head: true })
+      .eq('api_key_id', apiKeyId)
+      .eq(kind, true);
+    if (since) query = query.gte('created_at', since);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Get an API key by the sha256 hash of the key
+   * @param {string} keyHash - Hex digest
+   * @returns {Object|null} - api_keys row
+   */
+  async getApiKeyByHash(keyHash) {
+    const { data, error } = await this.client
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Get an API key by ID
+   * @param {string} id - Key ID
+   * @returns {Object|null} - api_keys row
+   */
+  async getApiKey(id) {
+    const { data, error } = await this.client
+      .from('api_keys')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * List all API keys, newest first
+   * @returns {Array} - api_keys rows
+   */
+  async listApiKeys() {
+    const { data, error } = await this.client
+      .from('api_keys')
+      .select('*')
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Insert an API key
+   * @param {Object} key - api_keys row
+   */
+  async saveApiKey(key) {
+    const { error } = await this.client
+      .from('api_keys')
+      .insert(key);
+    if (error) throw error;
+  }
+
+  /**
+   * Update fields on an API key
+   * @param {string} id - Key ID
+   * @param {Object} fields - Columns to update
+   */
+  async updateApiKey(id, fields) {
+    const { error } = await this.client
+      .from('api_keys')
+      .update(fields)
+      .eq('id', id);
+    if (error) throw error;
+  }
+
+  /**
+   * Append an audit log entry
+   * @param {Object} entry - audit_log row
+   */
+  async recordAudit(entry) {
+    const { error } = await this.client
+      .from('audit_log')
+      .insert(entry);
+    if (error) throw error;
+  }
+
+  /**
+   * List audit log entries, newest first
+   * @param {Object} options - { limit, action, since }
+   * @returns {Array} - audit_log rows
+   */
+  async listAudit(options = {}) {
+    let query = this.client
+      .from('audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(options.limit);
+    if (options.action) query = query.eq('action', options.action);
+    if (options.since) query = query.gte('created_at', options.since);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Append health check results
+   * @param {Array} rows - system_health rows
+   */
+  async recordHealth(rows) {
+    const { error } = await this.client
+      .from('system_health')
+      .insert(rows);
+    if (error) throw error;
+  }
+
+  /**
+   * List health check results, oldest first
+   * @param {Object} options - { since, service }
+   * @returns {Array} - system_health rows
+   */
+  async listHealth(options = {}) {
+    // Responses are capped at 1000 rows, so read the window page by page
+    const rows = [];
+    for (let from = 0; ; from += HEALTH_PAGE_SIZE) {
+      let query = this.client
+        .from('system_health')
+        .select('service_name, status, response_time_ms, error_details, checked_at')
+        .order('checked_at', { ascending: true })
+        .range(from, from + HEALTH_PAGE_SIZE - 1);
+      if (options.since) query = query.gte('checked_at', options.since);
+      if (options.service) query = query.eq('service_name', options.service);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < HEALTH_PAGE_SIZE) return rows;
+    }
+  }
+
+  /**
+   * Delete health check results older than a cutoff
+   * @param {string} before - ISO timestamp
+   */
+  async pruneHealth(before) {
+    const { error } = await this.client
+      .from('system_health')
+      .delete()
+      .lt('checked_at', before);
+    if (error) throw error;
+  }
+
+  /**
+   * Check that storage is reachable
+   * @returns {Object} - { healthy, responseTime, error }
+   */
+  async ping() {
+    const startTime = Date.now();
+    const { error } = await this.client.from('audio_cache').select('count').limit(1);
+    return {
+      healthy: !error,
+      responseTime: Date.now() - startTime,
+      error: error?.message
+    };
+  }
+}
+
+module.exports = SupabaseStorage;
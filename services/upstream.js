@@ -0,0 +1,240 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { UpstreamUnavailableError } = require('../utils/errors');
+
+const UPSTREAM_RETRIES = parseInt(process.env.UPSTREAM_RETRIES, 10);
+
+// A failed POST may still have been carried out (and billed), so it is only retried when
+// the request never reached the host or the host refused it with a 429
+const NON_IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+const DEFAULTS = {
+  retries: Number.isNaN(UPSTREAM_RETRIES) ? 2 : Math.max(0, UPSTREAM_RETRIES),
+  baseDelayMs: parseInt(process.env.UPSTREAM_RETRY_BASE_MS, 10) || 500,
+  maxDelayMs: 10000,
+  // Longer Retry-After hints are not waited out inside a request
+  maxRetryAfterMs: 30000,
+  failureThreshold: parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD, 10) || 5,
+  resetTimeoutMs: parseInt(process.env.UPSTREAM_BREAKER_RESET_MS, 10) || 30000
+};
+
+/**
+ * Thrown without calling the upstream while its circuit is open
+ */
+class CircuitOpenError extends UpstreamUnavailableError {
+  constructor(host, retryAfterMs) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    super(undefined, { code: 'CIRCUIT_OPEN', retryAfter, details: { host } });
+    this.host = host;
+  }
+}
+
+/**
+ * Shared resilience layer for upstream HTTP calls.
+ * Retries network errors, 5xx and 429 responses with jittered exponential backoff
+ * (or the upstream's Retry-After); POST and PATCH requests are only retried when they were
+ * never delivered or were refused with a 429. It also keeps a circuit breaker per host that stops
+ * calling a host after repeated failures until resetTimeoutMs has passed.
+ */
+class Upstream {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.circuits = new Map();
+  }
+
+  /**
+   * Make an axios request through the retry policy and circuit breaker
+   * @param {Object} config - axios request config (url is required); aborting config.signal rejects with its reason
+   * @param {Object} options - { retries } to override the default retry count, { log } for the caller's logger
+   * @returns {Promise<Object>} - axios response
+   */
+  async request(config, options = {}) {
+    const host = new URL(config.url).host;
+    const retries = options.retries ?? this.options.retries;
+    const idempotent = !NON_IDEMPOTENT_METHODS.includes(String(config.method || 'GET').toUpperCase());
+    const log = (options.log || logger).child({ upstreamHost: host });
+
+    for (let attempt = 0; ; attempt++) {
+      this.acquire(host, log);
+
+      try {
+        const response = await axios(config);
+        this.recordSuccess(host, log);
+        return response;
+      } catch (error) {
+        // Cancelled by the caller (config.signal): neither a failure of the host nor worth retrying
+        if (config.signal?.aborted) {
+          this.getCircuit(host).trialInFlight = false;
+          throw config.signal.reason ?? error;
+        }
+
+        const retryAfterMs = this.getRetryAfterMs(error);
+        if (retryAfterMs !== null) {
+          error.retryAfter = Math.ceil(retryAfterMs / 1000);
+        }
+
+        // A client error still means the host answered
+        if (!this.isUpstreamFailure(error)) {
+          this.recordSuccess(host, log);
+          throw error;
+        }
+
+        this.recordFailure(host, error, retryAfterMs, log);
+        const circuitOpen = this.getCircuit(host).state === 'open';
+        const waitTooLong = retryAfterMs !== null && retryAfterMs > this.options.maxRetryAfterMs;
+        const retryable = idempotent || this.wasNotProcessed(error);
+        if (attempt >= retries || circuitOpen || waitTooLong || !retryable) {
+          throw error;
+        }
+
+        const delay = retryAfterMs ?? this.getBackoffMs(attempt);
+        log.warn(`Upstream ${host} request failed (${this.describe(error)}), retrying in ${delay}ms`, {
+          attempt: attempt + 1,
+          retryInMs: delay
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Circuit state for every host seen so far
+   * @returns {Object} - Per-host state, failure counts and when an open circuit retries
+   */
+  getState() {
+    const state = {};
+    for (const [host, circuit] of this.circuits) {
+      state[host] = {
+        state: circuit.state,
+        consecutiveFailures: circuit.failures,
+        totalFailures: circuit.totalFailures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        retryAt: circuit.state === 'open' ? new Date(circuit.retryAt).toISOString() : null,
+        lastError: circuit.lastError,
+        lastFailureAt: circuit.lastFailureAt ? new Date(circuit.lastFailureAt).toISOString() : null
+      };
+    }
+    return state;
+  }
+
+  /**
+   * Whether any host's circuit is currently open
+   * @returns {boolean}
+   */
+  hasOpenCircuit() {
+    return Array.from(this.circuits.values()).some(circuit => circuit.state === 'open');
+  }
+
+  getCircuit(host) {
+    if (!this.circuits.has(host)) {
+      this.circuits.set(host, {
+        state: 'closed',
+        failures: 0,
+        totalFailures: 0,
+        openedAt: null,
+        retryAt: 0,
+        trialInFlight: false,
+        lastError: null,
+        lastFailureAt: null
+      });
+    }
+    return this.circuits.get(host);
+  }
+
+  // Throw if the circuit is open; after the reset timeout let a single trial request through
+  acquire(host, log = logger) {
+    const circuit = this.getCircuit(host);
+    const now = Date.now();
+
+    if (circuit.state === 'open') {
+      if (now < circuit.retryAt) {
+        throw new CircuitOpenError(host, circuit.retryAt - now);
+      }
+      circuit.state = 'half_open';
+      log.info(`Upstream ${host} circuit half-open, sending trial request`);
+    }
+
+    if (circuit.state === 'half_open') {
+      if (circuit.trialInFlight) {
+        throw new CircuitOpenError(host, this.options.baseDelayMs);
+      }
+      circuit.trialInFlight = true;
+    }
+  }
+
+  recordSuccess(host, log = logger) {
+    const circuit = this.getCircuit(host);
+    if (circuit.state !== 'closed') {
+      log.info(`Upstream ${host} circuit closed`);
+    }
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+  }
+
+  recordFailure(host, error, retryAfterMs, log = logger) {
+    const circuit = this.getCircuit(host);
+    const now = Date.now();
+
+    circuit.failures++;
+    circuit.totalFailures++;
+    circuit.lastError = this.describe(error);
+    circuit.lastFailureAt = now;
+    circuit.trialInFlight = false;
+
+    if (circuit.state === 'half_open' || circuit.failures >= this.options.failureThreshold) {
+      circuit.state = 'open';
+      circuit.openedAt = now;
+      circuit.retryAt = now + Math.max(this.options.resetTimeoutMs, retryAfterMs || 0);
+      log.warn(`Upstream ${host} circuit opened after ${circuit.failures} consecutive failure(s)`, {
+        failures: circuit.failures
+      });
+    }
+  }
+
+  // Network errors, timeouts, 5xx and 429 count against the upstream; other 4xx are the caller's problem
+  isUpstreamFailure(error) {
+    const status = error.response?.status;
+    if (!status) return Boolean(error.request || error.code);
+    return status === 429 || status >= 500;
+  }
+
+  // The host cannot have acted on a request it never received or answered with a 429
+  wasNotProcessed(error) {
+    return error.response?.status === 429 || CONNECT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Parse a Retry-After header given in seconds or as an HTTP date
+   * @param {Error} error - axios error
+   * @returns {number|null} - Delay in milliseconds, or null if there is no usable header
+   */
+  getRetryAfterMs(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Full jitter: a random delay up to the exponential backoff ceiling
+  getBackoffMs(attempt) {
+    const ceiling = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  describe(error) {
+    return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+  }
+}
+
+const upstream = new Upstream();
+
+module.exports = upstream;
+module.exports.Upstream = Upstream;
+module.exports.CircuitOpenError = CircuitOpenError;
@@ -1,12 +1,16 @@
-const axios = require('axios');
-const { createTimer } = require('../utils/perf');
-
+const providers = require('./providers');
+const logger = require('../utils/logger');
+const { extractVideoId, isValidYouTubeUrl } = require('../utils/youtubeUrl');
+const { ProviderNotConfiguredError, ValidationError } = require('../utils/errors');
+
+/**
+ * Entry point for turning YouTube URLs into downloadable audio.
+ * Work is delegated to the configured providers (AUDIO_PROVIDERS), trying
+ * each in order until one accepts the request or one rules the video out.
+ */
 class YouTubeService {
-  constructor() {
-    this.rapidApiKey = process.env.RAPIDAPI_KEY;
-    this.rapidApiHost = 'youtube-cdn-progress.p.rapidapi.com';
-    this.baseUrl = 'https://youtube-cdn-progress.p.rapidapi.com';
-    this.sseBaseUrl = 'https://cdn-ytb.zm.io.vn';
+  constructor(providerList = providers) {
+    this.providers = providerList;
   }
 
   /**
@@ -15,456 +19,119 @@ class YouTubeService {
    * @returns {string|null} - Video ID or null if invalid
    */
   extractVideoId(url) {
-    try {
-      const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/;
-      const match = url.match(regex);
-      return match ? match[1] : null;
-    } catch (error) {
-      console.error('Error extracting video ID:', error);
-      return null;
-    }
+    return extractVideoId(url);
   }
 
   /**
-   * Start conversion using the new YouTube CDN Progress API
-   * @param {string} youtubeUrl - YouTube video URL
-   * @param {string} quality - Audio quality (low, medium, high)
-   * @returns {Object} - Conversion job information
+   * Validate YouTube URL
+   * @param {string} url - URL to validate
+   * @returns {boolean} - Whether URL is valid
    */
-  async startConversion(youtubeUrl, quality = 'medium') {
-    try {
-      const timer = createTimer('youtube.startConversion');
-      if (!this.rapidApiKey) {
-        throw new Error('RapidAPI key not configured');
-      }
-
-      const videoId = this.extractVideoId(youtubeUrl);
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-
-      console.log(`Starting conversion for video: ${videoId} with new API`);
-      timer.mark('validated');
-
-      // Map quality to the new API format
-      const apiQuality = this.mapQualityToAPI(quality);
-      
-      // Use the new API endpoint format
-      const response = await axios.post(
-        `${this.baseUrl}/audio?id=${videoId}&quality=${apiQuality}&ext=mp3`,
-        {
-          id: videoId,
-          quality: apiQuality,
-          ext: 'mp3'
-        },
-        {
-          headers: {
-            'X-RapidAPI-Key': this.rapidApiKey,
-            'X-RapidAPI-Host': this.rapidApiHost,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-      timer.mark('api response');
-
-      if (!response.data) {
-        throw new Error('No response data from YouTube API');
-      }
-
-      console.log('New API response:', JSON.stringify(response.data, null, 2));
-
-      // Handle the new API response format
-      const jobData = this.parseNewAPIResponse(response.data, videoId, quality);
-
-      console.log(`Conversion job started for video: ${videoId}`);
-
-      timer.end('parsed job');
-      return jobData;
-
-    } catch (error) {
-      console.error('YouTube conversion start error:', error);
-      try { createTimer('youtube.startConversion').end('error', { message: error.message }); } catch (_) {}
-
-      // Handle specific RapidAPI errors
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || error.message;
-
-        if (status === 429) {
-          throw new Error('Rate limit exceeded. Please try again later.');
-        } else if (status === 403) {
-          throw new Error('API access forbidden. Check your RapidAPI key.');
-        } else if (status === 404) {
-          throw new Error('Video not found or unavailable.');
-        } else if (status >= 500) {
-          throw new Error('YouTube service temporarily unavailable.');
-        }
-
-        throw new Error(`YouTube API error (${status}): ${message}`);
-      }
-
-      if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout. The video might be too long to process.');
-      }
-
-      throw error;
-    }
+  isValidYouTubeUrl(url) {
+    return isValidYouTubeUrl(url);
   }
 
   /**
-   * Download audio from YouTube video (legacy method - now uses async workflow)
+   * Start conversion with the first provider that accepts the video
    * @param {string} youtubeUrl - YouTube video URL
    * @param {string} quality - Audio quality (low, medium, high)
-   * @returns {Object} - Download information
+   * @param {Object} options - { log } request-scoped logger
+   * @returns {Object} - Conversion job information, with the provider name
    */
-  async downloadAudio(youtubeUrl, quality = 'medium') {
-    try {
-      if (!this.rapidApiKey) {
-        throw new Error('RapidAPI key not configured');
-      }
-
-      const videoId = this.extractVideoId(youtubeUrl);
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-
-      console.log(`Requesting audio download for video: ${videoId}`);
-
-      // Use the correct API endpoint with POST method and URL-encoded parameters
-      const encodedUrl = encodeURIComponent(youtubeUrl);
-      const response = await axios.post(
-        `${this.baseUrl}/download?url=${encodedUrl}&format=mp3`,
-        {}, // Empty body as required by the API
-        {
-          headers: {
-            'X-RapidAPI-Key': this.rapidApiKey,
-            'X-RapidAPI-Host': this.rapidApiHost,
-            'Content-Type': 'application/json',
-            'User-Agent': 'GrooveScope/1.0'
-          },
-          timeout: 30000 // 30 second timeout
-        }
-      );
-
-      if (!response.data) {
-        throw new Error('No response data from YouTube API');
-      }
-
-      // Check if the response contains error
-      if (response.data.error) {
-        throw new Error(`YouTube API error: ${response.data.error}`);
-      }
-
-      // Extract download information
-      const downloadData = this.parseDownloadResponse(response.data);
-      
-      if (!downloadData.downloadUrl) {
-        throw new Error('No download URL received from YouTube API');
-      }
-
-      // Handle async conversion - wait for the file to be ready
-      let finalDownloadUrl = downloadData.downloadUrl;
-      
-      if (downloadData.status === 'CONVERTING') {
-        console.log(`Video is converting, waiting for completion...`);
-        finalDownloadUrl = await this.waitForConversion(downloadData.downloadUrl, downloadData.id);
-      }
-
-      console.log(`Successfully obtained download URL for video: ${videoId}`);
-
+  async startConversion(youtubeUrl, quality = 'medium', options = {}) {
+    return this.withFailover(youtubeUrl, 'startConversion', async (provider, source) => {
+      const job = await provider.startConversion(source, quality, options);
+      // Kept in metadata too so jobs restored from storage use the same provider
       return {
-        videoId,
-        downloadUrl: finalDownloadUrl,
-        title: downloadData.title,
-        duration: downloadData.duration,
-        quality: quality,
-        fileSize: downloadData.fileSize,
-        conversionId: downloadData.id
+        ...job,
+        provider: provider.name,
+        metadata: { ...job.metadata, provider: provider.name }
       };
-
-    } catch (error) {
-      console.error('YouTube download error:', error);
-
-      // Handle specific RapidAPI errors
-      if (error.response) {
-        const status = error.response.status;
-        const message = error.response.data?.message || error.message;
-
-        if (status === 429) {
-          throw new Error('Rate limit exceeded. Please try again later.');
-        } else if (status === 403) {
-          throw new Error('API access forbidden. Check your RapidAPI key.');
-        } else if (status === 404) {
-          throw new Error('Video not found or unavailable.');
-        } else if (status >= 500) {
-          throw new Error('YouTube service temporarily unavailable.');
-        }
-
-        throw new Error(`YouTube API error (${status}): ${message}`);
-      }
-
-      if (error.code === 'ECONNABORTED') {
-        throw new Error('Request timeout. The video might be too long to process.');
-      }
-
-      throw error;
-    }
+    }, options.log);
   }
 
   /**
-   * Map quality string to new API parameter format
-   * @param {string} quality - Quality level
-   * @returns {string} - API quality parameter
+   * Wait for a conversion to finish on the provider that started it
+   * @param {Object} conversionJob - Result of startConversion()
+   * @param {Function} progressCallback - Called with { progress, status } updates
+   * @param {Object} options - { log, signal } job-scoped logger, and an AbortSignal (job timeout,
+   *   cancellation or shutdown) that stops monitoring and rejects with its reason
+   * @returns {Promise<string>} - Final download URL
    */
-  mapQualityToAPI(quality) {
-    const qualityMap = {
-      'low': '128kbps',
-      'medium': '192kbps', 
-      'high': '320kbps'
-    };
-    return qualityMap[quality] || '192kbps';
+  async monitorConversion(conversionJob, progressCallback = null, options = {}) {
+    const name = conversionJob.provider || conversionJob.metadata?.provider || this.providers[0]?.name;
+    const provider = this.providers.find(candidate => candidate.name === name);
+    if (!provider) {
+      throw new ProviderNotConfiguredError(`Audio provider "${name}" is not enabled`);
+    }
+    return provider.monitor(conversionJob, progressCallback, options);
   }
 
   /**
-   * Map quality string to legacy API parameter (kept for compatibility)
-   * @param {string} quality - Quality level
-   * @returns {string} - API quality parameter
+   * Whether a conversion's download URL may point to a local file, which only an enabled
+   * provider serving local files (the mock provider) can vouch for
+   * @param {Object} conversionJob - Result of startConversion()
+   * @returns {boolean}
    */
-  mapQuality(quality) {
-    const qualityMap = {
-      'low': '128',
-      'medium': '192',
-      'high': '320'
-    };
-    return qualityMap[quality] || '192';
+  allowsLocalFiles(conversionJob) {
+    const name = conversionJob.provider || conversionJob.metadata?.provider || this.providers[0]?.name;
+    const provider = this.providers.find(candidate => candidate.name === name);
+    return Boolean(provider?.localFiles);
   }
 
   /**
-   * Parse response from new YouTube CDN Progress API
-   * @param {Object} responseData - API response data
-   * @param {string} videoId - Video ID
-   * @param {string} quality - Quality level
-   * @returns {Object} - Parsed job information
+   * Get video information without downloading
+   * @param {string} youtubeUrl - YouTube video URL
+   * @returns {Object} - Video information, with the provider name
    */
-  parseNewAPIResponse(responseData, videoId, quality) {
-    try {
-      // Handle the actual API response format from YouTube CDN Progress
-      console.log('Parsing new API response:', JSON.stringify(responseData, null, 2));
-      
-      if (responseData.error) {
-        throw new Error(responseData.error);
-      }
-      
-      // Extract token from the download progress link
-      const progressLink = responseData.linkDownloadProgress;
-      const tokenMatch = progressLink ? progressLink.match(/token=([^&]+)/) : null;
-      const token = tokenMatch ? tokenMatch[1] : videoId + '_' + Date.now();
-      
-      return {
-        id: token,
-        videoId: responseData.videoId || videoId,
-        token: token,
-        title: responseData.title || 'Unknown Title',
-        duration: parseFloat(responseData.lengthSeconds) || null,
-        quality: quality,
-        format: 'mp3',
-        status: 'ready', // This API provides immediate links
-        // URLs provided by the API
-        downloadUrl: responseData.linkDownload,
-        streamUrl: responseData.linkStream,
-        sseUrl: responseData.linkDownloadProgress,
-        // Metadata
-        metadata: {
-          author: responseData.author,
-          viewCount: responseData.viewCount,
-          keywords: responseData.keywords,
-          description: responseData.shortDescription,
-          thumbnail: responseData.thumbnail?.thumbnails?.[0]?.url,
-          channelId: responseData.channelId,
-          isPrivate: responseData.isPrivate,
-          duration: responseData.lengthSeconds
-        },
-        startedAt: new Date().toISOString()
-      };
-
-    } catch (error) {
-      console.error('Error parsing new API response:', error);
-      throw new Error('Failed to parse API response: ' + error.message);
-    }
+  async getVideoInfo(youtubeUrl) {
+    return this.withFailover(youtubeUrl, 'getInfo', async (provider, source) => ({
+      ...(await provider.getInfo(source)),
+      provider: provider.name
+    }));
   }
 
   /**
-   * Parse download response from legacy API (kept for compatibility)
-   * @param {Object} responseData - API response data
-   * @returns {Object} - Parsed download information
+   * Run an operation on each configured provider in turn until one succeeds.
+   * Errors that are not retryable (a missing or private video) are thrown straight away,
+   * since another provider would only fail the same way; if all of them fail, the first
+   * provider's error is thrown.
+   * @param {string} youtubeUrl - YouTube video URL
+   * @param {string} operation - Operation name for logging
+   * @param {Function} run - Called with (provider, source)
+   * @param {Object} log - Logger for failover warnings
+   * @returns {Promise<*>} - Result of the first successful run
    */
-  parseDownloadResponse(responseData) {
-    try {
-      console.log('Raw API response:', JSON.stringify(responseData, null, 2));
-
-      // Handle the actual API response format
-      return {
-        id: responseData.id,
-        downloadUrl: responseData.downloadUrl,
-        status: responseData.status,
-        title: responseData.title || 'Unknown Title',
-        duration: responseData.duration || null,
-        fileSize: responseData.fileSize || null,
-        format: responseData.format,
-        quality: responseData.quality,
-        startAt: responseData.startAt,
-        endAt: responseData.endAt
-      };
-
-    } catch (error) {
-      console.error('Error parsing download response:', error);
-      throw new Error('Failed to parse download response');
+  async withFailover(youtubeUrl, operation, run, log = logger) {
+    const available = this.providers.filter(provider => provider.isConfigured());
+    if (available.length === 0) {
+      throw new ProviderNotConfiguredError(
+        `No audio provider configured (enabled: ${this.providers.map(p => p.name).join(', ')})`
+      );
     }
-  }
 
-  /**
-   * Monitor conversion progress using SSE (Server-Sent Events)
-   * @param {string} sseUrl - SSE endpoint URL
-   * @param {Function} progressCallback - Callback for progress updates
-   * @returns {Promise<string>} - Final download URL
-   */
-  async monitorConversionProgress(sseUrl, progressCallback = null) {
-    return new Promise((resolve, reject) => {
-      const EventSource = require('eventsource');
-      let timeoutId;
-      
-      console.log(`Starting SSE monitoring: ${sseUrl}`);
-      
-      const eventSource = new EventSource(sseUrl);
-      
-      // Set timeout for the entire process
-      timeoutId = setTimeout(() => {
-        eventSource.close();
-        reject(new Error('Conversion timeout: Process took too long'));
-      }, 300000); // 5 minute timeout
-      
-      eventSource.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log('SSE Progress:', data);
-          
-          // Call progress callback if provided
-          if (progressCallback) {
-            progressCallback(data);
-          }
-          
-          // Check if conversion is complete
-          if (data.status === 'completed' && data.downloadUrl) {
-            clearTimeout(timeoutId);
-            eventSource.close();
-            resolve(data.downloadUrl);
-          } else if (data.status === 'error' || data.status === 'failed') {
-            clearTimeout(timeoutId);
-            eventSource.close();
-            reject(new Error(data.message || 'Conversion failed'));
-          }
-          
-        } catch (error) {
-          console.error('Error parsing SSE data:', error);
-        }
-      };
-      
-      eventSource.onerror = (error) => {
-        console.error('SSE Error:', error);
-        clearTimeout(timeoutId);
-        eventSource.close();
-        reject(new Error('SSE connection failed'));
-      };
-    });
-  }
+    const errors = [];
+    for (const provider of available) {
+      const source = provider.resolve(youtubeUrl);
+      if (!source) continue;
 
-  /**
-   * Wait for video conversion to complete (legacy method)
-   * @param {string} downloadUrl - The download URL to check
-   * @param {string} conversionId - The conversion job ID
-   * @returns {string} - Final download URL
-   */
-  async waitForConversion(downloadUrl, conversionId, maxAttempts = 30) {
-    const timer = createTimer('youtube.waitForConversion', { enabled: process.env.PERF_LOGS === '1' });
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
-        console.log(`Checking conversion status... Attempt ${attempt}/${maxAttempts}`);
-        
-        // Check if the file is ready by making a HEAD request
-        const response = await axios.head(downloadUrl, { timeout: 10000 });
-        
-        if (response.status === 200) {
-          console.log('✅ Conversion completed, file is ready!');
-          timer.end(`ready at attempt ${attempt}`);
-          return downloadUrl;
-        }
-        
+        return await run(provider, source);
       } catch (error) {
-        // File not ready yet, wait and try again
-        if (attempt < maxAttempts) {
-          const waitTime = Math.min(5000, 1000 * attempt); // Progressive wait: 1s, 2s, 3s... up to 5s
-          console.log(`File not ready, waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-          timer.mark(`retry ${attempt}`);
-        }
+        log.warn(`Audio provider ${provider.name} failed ${operation}`, {
+          provider: provider.name,
+          operation,
+          error: error.message
+        });
+        if (error.retryable === false) throw error;
+        errors.push(error);
       }
     }
-    
-    timer.end('timeout');
-    throw new Error('Conversion timeout: Video took too long to process');
-  }
-
-  /**
-   * Validate YouTube URL
-   * @param {string} url - URL to validate
-   * @returns {boolean} - Whether URL is valid
-   */
-  isValidYouTubeUrl(url) {
-    const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/(watch\?v=|embed\/|v\/)|youtu\.be\/)[\w-]{11}(&.*)?$/;
-    return youtubeRegex.test(url);
-  }
 
-  /**
-   * Get video information without downloading
-   * @param {string} youtubeUrl - YouTube video URL
-   * @returns {Object} - Video information
-   */
-  async getVideoInfo(youtubeUrl) {
-    try {
-      const videoId = this.extractVideoId(youtubeUrl);
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-
-      // Note: This would require a different endpoint for just getting info
-      // For now, we'll use the same endpoint but only extract metadata
-      const response = await axios.get(`${this.baseUrl}/dl`, {
-        params: {
-          id: videoId,
-          q: '128' // Use lowest quality for info request
-        },
-        headers: {
-          'X-RapidAPI-Key': this.rapidApiKey,
-          'X-RapidAPI-Host': this.rapidApiHost
-        },
-        timeout: 15000
-      });
-
-      const data = this.parseDownloadResponse(response.data);
-      
-      return {
-        videoId,
-        title: data.title,
-        duration: data.duration,
-        available: Boolean(data.downloadUrl)
-      };
-
-    } catch (error) {
-      console.error('Video info error:', error);
-      throw error;
-    }
+    if (errors.length > 0) throw errors[0];
+    throw new ValidationError('Please provide a valid YouTube video URL', { code: 'INVALID_YOUTUBE_URL' });
   }
 }
 
 module.exports = new YouTubeService();
+module.exports.YouTubeService = YouTubeService;
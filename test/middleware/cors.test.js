@@ -0,0 +1,100 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createOriginMatcher, defaultOrigins, createCorsPolicy } = require('../../middleware/cors');
+
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const OTHER_EXTENSION_ID = 'ponmlkjihgfedcbaponmlkjihgfedcba';
+const FIREFOX_ORIGIN = 'moz-extension://3f1c5b2e-8a4d-4e6f-9b7a-1c2d3e4f5a6b';
+
+function allowed(env, origin) {
+  return createOriginMatcher(defaultOrigins(env))(origin);
+}
+
+describe('defaultOrigins', () => {
+  test('allows listed Chrome extension IDs and refuses others', () => {
+    const env = { CORS_EXTENSION_IDS: EXTENSION_ID };
+    assert.equal(allowed(env, `chrome-extension://${EXTENSION_ID}`), true);
+    assert.equal(allowed(env, `chrome-extension://${OTHER_EXTENSION_ID}`), false);
+  });
+
+  test('allows any Chrome extension when no IDs are listed', () => {
+    assert.equal(allowed({}, `chrome-extension://${OTHER_EXTENSION_ID}`), true);
+  });
+
+  test('ignores entries that are not Chrome extension IDs', () => {
+    const env = { CORS_EXTENSION_IDS: `not-an-id,${EXTENSION_ID}` };
+    assert.equal(allowed(env, 'chrome-extension://not-an-id'), false);
+    assert.equal(allowed(env, `chrome-extension://${EXTENSION_ID}`), true);
+  });
+
+  test('allows Firefox extensions unless turned off', () => {
+    assert.equal(allowed({}, FIREFOX_ORIGIN), true);
+    assert.equal(allowed({ CORS_FIREFOX_EXTENSIONS: 'true' }, FIREFOX_ORIGIN), true);
+    assert.equal(allowed({ CORS_FIREFOX_EXTENSIONS: 'false' }, FIREFOX_ORIGIN), false);
+  });
+
+  test('allows localhost on any port but not look-alike hosts', () => {
+    for (const origin of ['http://localhost', 'http://localhost:3000', 'http://localhost:65535', 'http://127.0.0.1:8080']) {
+      assert.equal(allowed({}, origin), true, origin);
+    }
+    for (const origin of ['http://localhost.evil.com', 'http://localhost.evil.com:3000', 'http://evil-localhost:3000',
+      'http://localhost:3000.evil.com', 'http://127.0.0.1.evil.com']) {
+      assert.equal(allowed({}, origin), false, origin);
+    }
+  });
+
+  test('refuses localhost in production unless enabled', () => {
+    assert.equal(allowed({ NODE_ENV: 'production' }, 'http://localhost:3000'), false);
+    assert.equal(allowed({ NODE_ENV: 'production', CORS_ALLOW_LOCALHOST: 'true' }, 'http://localhost:3000'), true);
+    assert.equal(allowed({ CORS_ALLOW_LOCALHOST: 'false' }, 'http://localhost:3000'), false);
+  });
+});
+
+describe('createCorsPolicy', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(createCorsPolicy({
+      origins: defaultOrigins({ CORS_EXTENSION_IDS: EXTENSION_ID, CORS_FIREFOX_EXTENSIONS: 'false' }),
+      routes: { '/api/admin': { origins: [] } }
+    }));
+    app.get('*', (req, res) => res.json({ ok: true }));
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  async function allowOrigin(path, origin) {
+    const response = await fetch(`${baseUrl}${path}`, { headers: { Origin: origin } });
+    return response.headers.get('access-control-allow-origin');
+  }
+
+  test('reflects allowed origins with credentials', async () => {
+    const response = await fetch(`${baseUrl}/api/audio/health`, {
+      headers: { Origin: `chrome-extension://${EXTENSION_ID}` }
+    });
+    assert.equal(response.headers.get('access-control-allow-origin'), `chrome-extension://${EXTENSION_ID}`);
+    assert.equal(response.headers.get('access-control-allow-credentials'), 'true');
+    assert.equal(await allowOrigin('/api/audio/health', 'http://localhost:5173'), 'http://localhost:5173');
+  });
+
+  test('sends no CORS headers to refused origins', async () => {
+    assert.equal(await allowOrigin('/api/audio/health', `chrome-extension://${OTHER_EXTENSION_ID}`), null);
+    assert.equal(await allowOrigin('/api/audio/health', FIREFOX_ORIGIN), null);
+    assert.equal(await allowOrigin('/api/audio/health', 'http://localhost.evil.com'), null);
+  });
+
+  test('applies route overrides by path prefix', async () => {
+    assert.equal(await allowOrigin('/api/admin/keys', `chrome-extension://${EXTENSION_ID}`), null);
+    assert.equal(await allowOrigin('/api/administrator', `chrome-extension://${EXTENSION_ID}`),
+      `chrome-extension://${EXTENSION_ID}`);
+  });
+});
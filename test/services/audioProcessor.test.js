@@ -0,0 +1,31 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const audioProcessor = require('../../services/audioProcessor');
+
+describe('audioProcessor.generatePeaks', () => {
+  const localUrl = pathToFileURL(path.join(os.tmpdir(), 'groovescope-missing.wav')).href;
+
+  test('refuses local files unless the caller allows them', async () => {
+    await assert.rejects(audioProcessor.generatePeaks(localUrl), { code: 'DOWNLOAD_URL_REJECTED' });
+    await assert.rejects(audioProcessor.generatePeaks('file:///etc/passwd', { allowLocalFile: false }),
+      { code: 'DOWNLOAD_URL_REJECTED' });
+  });
+
+  test('refuses URLs that are not http(s)', async () => {
+    for (const url of ['data:audio/wav;base64,AAAA', 'ftp://example.com/a.mp3', 'not a url']) {
+      await assert.rejects(audioProcessor.generatePeaks(url), { code: 'DOWNLOAD_URL_REJECTED' }, url);
+    }
+  });
+
+  test('reads local files when allowed', async () => {
+    await assert.rejects(audioProcessor.generatePeaks(localUrl, { allowLocalFile: true }), (error) => {
+      assert.notEqual(error.code, 'DOWNLOAD_URL_REJECTED');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { JobQueue, createMemoryJobStore } = require('../../services/jobQueue');
+const { AppError } = require('../../utils/errors');
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => {
+    resolve = done;
+  });
+  return { promise, resolve };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Retry timers are unref'd so they never hold a process open; keep this one alive meanwhile
+let keepAlive;
+before(() => {
+  keepAlive = setInterval(() => {}, 1000);
+});
+after(() => clearInterval(keepAlive));
+
+describe('JobQueue', () => {
+  test('runs no more jobs at once than its concurrency', async () => {
+    const queue = new JobQueue({ concurrency: 2 });
+    const gates = [];
+    let active = 0;
+    let peak = 0;
+    queue.define('work', {
+      handler: async () => {
+        active++;
+        peak = Math.max(peak, active);
+        const gate = deferred();
+        gates.push(gate);
+        await gate.promise;
+        active--;
+      }
+    });
+
+    for (let i = 0; i < 5; i++) queue.add('work', {});
+    assert.deepEqual(queue.getStats(), { pending: 3, running: 2, retrying: 0, concurrency: 2 });
+
+    let completed = 0;
+    queue.on('completed', () => completed++);
+    while (completed < 5) {
+      await tick();
+      gates.splice(0).forEach(gate => gate.resolve());
+    }
+    assert.equal(peak, 2);
+    assert.equal(queue.getStats().pending, 0);
+  });
+
+  test('starts higher priority jobs first, then in the order they were added', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const order = [];
+    const first = deferred();
+    queue.define('work', {
+      handler: async ({ name }) => {
+        order.push(name);
+        if (name === 'blocker') await first.promise;
+      }
+    });
+
+    queue.add('work', { name: 'blocker' });
+    queue.add('work', { name: 'low' }, { priority: -1 });
+    queue.add('work', { name: 'normal-1' });
+    queue.add('work', { name: 'high' }, { priority: 5 });
+    queue.add('work', { name: 'normal-2' });
+
+    const done = new Promise(resolve => {
+      let completed = 0;
+      queue.on('completed', () => ++completed === 5 && resolve());
+    });
+    first.resolve();
+    await done;
+    assert.deepEqual(order, ['blocker', 'high', 'normal-1', 'normal-2', 'low']);
+  });
+
+  test('ignores a job ID that is already queued', () => {
+    const queue = new JobQueue({ concurrency: 0 });
+    queue.define('work', { handler: async () => {} });
+    assert.equal(queue.add('work', {}, { jobId: 'same' }), 'same');
+    queue.add('work', {}, { jobId: 'same' });
+    assert.equal(queue.getStats().pending, 1);
+  });
+
+  test('times out jobs and aborts their signal, even when the handler ignores it', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxAttempts: 1 });
+    let signal;
+    queue.define('slow', {
+      handler: (payload, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      }
+    });
+
+    queue.add('slow', {}, { timeoutMs: 20 });
+    const [, error] = await once(queue, 'failed');
+    assert.equal(error.code, 'JOB_TIMEOUT');
+    assert.equal(signal.aborted, true);
+    assert.equal(queue.getStats().running, 0);
+  });
+
+  test('retries with exponential backoff up to maxAttempts', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxAttempts: 4, backoffMs: 5, maxBackoffMs: 15 });
+    const attempts = [];
+    const delays = [];
+    queue.define('flaky', {
+      handler: async (payload, { attempt }) => {
+        attempts.push(attempt);
+        throw new Error(`attempt ${attempt} failed`);
+      }
+    });
+    queue.on('retry', (jobId, error, delay) => delays.push(delay));
+
+    queue.add('flaky', {});
+    const [, error] = await once(queue, 'failed');
+    assert.deepEqual(attempts, [1, 2, 3, 4]);
+    assert.deepEqual(delays, [5, 10, 15]);
+    assert.equal(error.message, 'attempt 4 failed');
+  });
+
+  test('does not retry errors that are not retryable', async () => {
+    const store = createMemoryJobStore([{ job_id: 'job-1', status: 'converting' }]);
+    const queue = new JobQueue({ concurrency: 1, maxAttempts: 3, backoffMs: 1, store });
+    let attempts = 0;
+    queue.define('work', {
+      handler: async () => {
+        attempts++;
+        throw new AppError('Video not found', { code: 'VIDEO_NOT_FOUND', retryable: false });
+      }
+    });
+
+    queue.add('work', {}, { jobId: 'job-1' });
+    await once(queue, 'failed');
+    await tick();
+    assert.equal(attempts, 1);
+    assert.equal(store.rows.get('job-1').status, 'failed');
+    assert.equal(store.rows.get('job-1').error_message, 'Video not found');
+  });
+});
+
+describe('JobQueue.recover', () => {
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+  test('requeues recent converting rows and fails stale or unknown ones', async () => {
+    const store = createMemoryJobStore([
+      { job_id: 'recent', status: 'converting', started_at: minutesAgo(5), metadata: { jobType: 'video', videoId: 'a' } },
+      { job_id: 'stale', status: 'converting', started_at: minutesAgo(60), metadata: { jobType: 'video', videoId: 'b' } },
+      { job_id: 'unknown', status: 'converting', started_at: minutesAgo(5), metadata: { jobType: 'gone' } },
+      { job_id: 'no-start', status: 'converting', started_at: null, metadata: { jobType: 'video' } },
+      { job_id: 'done', status: 'completed', started_at: minutesAgo(5), metadata: { jobType: 'video' } }
+    ]);
+    const queue = new JobQueue({ concurrency: 1, staleAfterMs: 30 * 60 * 1000, store });
+    const resumed = [];
+    queue.define('video', {
+      handler: async (payload, { jobId }) => resumed.push({ jobId, payload }),
+      restore: row => ({ videoId: row.metadata.videoId })
+    });
+
+    const completed = once(queue, 'completed');
+    assert.deepEqual(await queue.recover(), { requeued: 1, failed: 3 });
+    await completed;
+
+    assert.deepEqual(resumed, [{ jobId: 'recent', payload: { videoId: 'a' } }]);
+    for (const jobId of ['stale', 'unknown', 'no-start']) {
+      assert.equal(store.rows.get(jobId).status, 'failed', jobId);
+      assert.match(store.rows.get(jobId).error_message, /interrupted by server restart/);
+    }
+    assert.match(store.rows.get('stale').error_message, /too old/);
+    assert.equal(store.rows.get('done').status, 'completed');
+  });
+
+  test('does nothing without a store', async () => {
+    assert.deepEqual(await new JobQueue().recover(), { requeued: 0, failed: 0 });
+  });
+});
+
+describe('JobQueue.shutdown', () => {
+  test('checkpoints running and queued jobs that can be resumed', async () => {
+    const store = createMemoryJobStore([
+      { job_id: 'running', status: 'converting' },
+      { job_id: 'queued', status: 'converting' },
+      { job_id: 'oneoff', status: 'converting' }
+    ]);
+    const queue = new JobQueue({ concurrency: 1, store });
+    let signal;
+    queue.define('video', {
+      handler: (payload, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      },
+      restore: row => row
+    });
+    queue.define('oneoff', { handler: async () => {} });
+
+    const checkpointed = [];
+    queue.on('checkpointed', jobId => checkpointed.push(jobId));
+    queue.add('video', {}, { jobId: 'running' });
+    queue.add('video', {}, { jobId: 'queued' });
+    queue.add('oneoff', {}, { jobId: 'oneoff' });
+
+    assert.deepEqual(await queue.shutdown({ deadlineMs: 20 }), { finished: 0, checkpointed: 3 });
+    assert.equal(signal.aborted, true);
+    assert.equal(signal.reason.code, 'SERVER_SHUTDOWN');
+    assert.deepEqual(checkpointed.sort(), ['queued', 'running']);
+    assert.equal(store.rows.get('running').status, 'converting');
+    assert.equal(store.rows.get('oneoff').status, 'failed');
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const RapidApiProvider = require('../../../services/providers/rapidApiProvider');
+
+describe('RapidApiProvider.monitor', () => {
+  let server;
+  let baseUrl;
+  let openStreams = 0;
+  let polls = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/progress') {
+        // A conversion that never finishes
+        openStreams++;
+        req.on('close', () => openStreams--);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(`data: ${JSON.stringify({ status: 'converting', progress: 10 })}\n\n`);
+        return;
+      }
+      polls++;
+      res.statusCode = 404;
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const waitFor = async (condition) => {
+    for (let i = 0; i < 100 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 10));
+  };
+
+  test('closes the progress stream when the job is aborted', async () => {
+    const provider = new RapidApiProvider();
+    const controller = new AbortController();
+    const reason = new Error('job timed out');
+    const updates = [];
+
+    const monitoring = provider.monitor({ id: 'job', sseUrl: `${baseUrl}/progress` },
+      update => updates.push(update), { signal: controller.signal });
+    await waitFor(() => updates.length > 0);
+    assert.equal(openStreams, 1);
+
+    controller.abort(reason);
+    await assert.rejects(monitoring, reason);
+    await waitFor(() => openStreams === 0);
+    assert.equal(openStreams, 0);
+  });
+
+  test('stops polling when the job is aborted', async () => {
+    const provider = new RapidApiProvider();
+    const controller = new AbortController();
+    const reason = new Error('shutting down');
+    polls = 0;
+
+    const monitoring = provider.monitor({ id: 'job', downloadUrl: `${baseUrl}/file.mp3` }, null, {
+      signal: controller.signal
+    });
+    await waitFor(() => polls > 0);
+    const started = Date.now();
+    controller.abort(reason);
+    await assert.rejects(monitoring, reason);
+    assert.ok(Date.now() - started < 500, 'rejects without waiting out the poll interval');
+
+    const pollsAtAbort = polls;
+    await new Promise(resolve => setTimeout(resolve, 1200));
+    assert.equal(polls, pollsAtAbort);
+  });
+
+  test('rejects straight away when already aborted', async () => {
+    const provider = new RapidApiProvider();
+    const reason = new Error('cancelled');
+    await assert.rejects(provider.monitor({ id: 'job', sseUrl: `${baseUrl}/progress` }, null, {
+      signal: AbortSignal.abort(reason)
+    }), reason);
+  });
+});
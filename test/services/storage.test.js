@@ -0,0 +1,87 @@
+'use strict';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loading the module creates the default backend; keep its files out of the working tree
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'groovescope-test-'));
+const { resolveBackend } = require('../../services/storage');
+
+describe('resolveBackend', () => {
+  test('uses STORAGE_BACKEND when set', () => {
+    assert.equal(resolveBackend({ STORAGE_BACKEND: 'Local', SUPABASE_URL: 'https://x.supabase.co' }), 'local');
+    assert.equal(resolveBackend({ STORAGE_BACKEND: 'supabase' }), 'supabase');
+  });
+
+  test('uses local files without a Supabase URL', () => {
+    assert.equal(resolveBackend({}), 'local');
+  });
+
+  test('uses Supabase with a URL and the service role key', () => {
+    assert.equal(resolveBackend({ SUPABASE_URL: 'https://x.supabase.co', SUPABASE_SERVICE_ROLE_KEY: 'key' }), 'supabase');
+  });
+
+  test('refuses a Supabase URL without the service role key', () => {
+    assert.throws(() => resolveBackend({ SUPABASE_URL: 'https://x.supabase.co' }), /SUPABASE_SERVICE_ROLE_KEY/);
+    assert.throws(() => resolveBackend({ SUPABASE_URL: 'https://x.supabase.co', SUPABASE_ANON_KEY: 'anon' }),
+      /SUPABASE_ANON_KEY is no longer used/);
+  });
+});
+
+describe('FileStorage summaries', () => {
+  const FileStorage = require('../../services/storage/fileStorage');
+  const storage = new FileStorage({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'groovescope-test-')) });
+
+  test('cache summaries leave out the pyramid and the full analysis', async () => {
+    await storage.putCache({
+      video_id: 'abc',
+      quality: 'medium',
+      peaks: [-0.5, 0.5],
+      peak_levels: { sampleRate: 44100, levels: [] },
+      duration: 12,
+      metadata: {
+        title: 'Song',
+        analysis: {
+          version: 4,
+          bpm: 120,
+          confidence: 0.8,
+          beats: [0.5, 1],
+          key: { name: 'A minor', segments: [] },
+          loudness: { integrated: -9.1, truePeak: -0.4, curves: {} },
+          structure: { sections: [] }
+        }
+      }
+    });
+
+    const summary = await storage.getCacheSummary('abc', 'medium');
+    assert.equal('peak_levels' in summary, false);
+    assert.deepEqual(summary.peaks, [-0.5, 0.5]);
+    assert.deepEqual(summary.metadata, {
+      title: 'Song',
+      analysis: {
+        version: 4,
+        bpm: 120,
+        confidence: 0.8,
+        key: { name: 'A minor' },
+        loudness: { integrated: -9.1, truePeak: -0.4 }
+      }
+    });
+    assert.deepEqual(await storage.getCache('abc', 'medium', { columns: ['duration', 'missing'] }), { duration: 12 });
+    assert.equal(await storage.getCacheSummary('abc', 'high'), null);
+  });
+
+  test('job summaries keep partial peaks only while converting', async () => {
+    const partial = { peaks: [0, 0.1], coverage: 0.5 };
+    await storage.saveJob({ job_id: 'running', status: 'converting', metadata: { stage: 'decoding', partial } });
+    await storage.saveJob({ job_id: 'failed', status: 'failed', metadata: { stage: 'decoding', partial } });
+
+    assert.deepEqual((await storage.getJobSummary('running')).metadata.partial, partial);
+    assert.deepEqual((await storage.getJobSummary('failed')).metadata, { stage: 'decoding' });
+    assert.deepEqual((await storage.getJob('failed')).metadata.partial, partial);
+    assert.equal(await storage.getJobSummary('missing'), null);
+  });
+});
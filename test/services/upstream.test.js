@@ -0,0 +1,57 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Upstream } = require('../../services/upstream');
+
+describe('Upstream', () => {
+  let server;
+  let baseUrl;
+  let hits = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits++;
+      if (req.url === '/slow') return; // never answers
+      res.statusCode = 503;
+      res.end('unavailable');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  test('retries idempotent requests but not POSTs the host answered', async () => {
+    const upstream = new Upstream({ retries: 2, baseDelayMs: 1, failureThreshold: 100 });
+    hits = 0;
+    await assert.rejects(upstream.request({ method: 'GET', url: `${baseUrl}/fail` }));
+    assert.equal(hits, 3);
+    hits = 0;
+    await assert.rejects(upstream.request({ method: 'POST', url: `${baseUrl}/fail` }));
+    assert.equal(hits, 1);
+  });
+
+  test('honours retries: 0', async () => {
+    const upstream = new Upstream({ retries: 0, baseDelayMs: 1, failureThreshold: 100 });
+    hits = 0;
+    await assert.rejects(upstream.request({ method: 'GET', url: `${baseUrl}/fail` }));
+    assert.equal(hits, 1);
+  });
+
+  test('rejects with the abort reason and does not count cancelled requests as failures', async () => {
+    const upstream = new Upstream({ retries: 2, baseDelayMs: 1, failureThreshold: 1 });
+    const controller = new AbortController();
+    const reason = new Error('job cancelled');
+    setTimeout(() => controller.abort(reason), 50);
+
+    await assert.rejects(upstream.request({ method: 'GET', url: `${baseUrl}/slow`, signal: controller.signal }), reason);
+    const state = upstream.getState()[new URL(baseUrl).host];
+    assert.equal(state.state, 'closed');
+    assert.equal(state.totalFailures, 0);
+  });
+});
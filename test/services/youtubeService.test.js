@@ -0,0 +1,101 @@
+'use strict';
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { YouTubeService } = require('../../services/youtubeService');
+const { createProviders } = require('../../services/providers');
+const MockProvider = require('../../services/providers/mockProvider');
+const { UpstreamUnavailableError, VideoNotFoundError, VideoPrivateError } = require('../../utils/errors');
+
+const VIDEO_URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+// A provider that fails every call with the given error
+function failingProvider(name, error) {
+  const provider = {
+    name,
+    calls: 0,
+    isConfigured: () => true,
+    resolve: url => ({ videoId: 'dQw4w9WgXcQ', url }),
+    startConversion: async () => {
+      provider.calls++;
+      throw error;
+    }
+  };
+  return provider;
+}
+
+describe('youtubeService failover', () => {
+  let mock;
+
+  before(() => {
+    const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'groovescope-fixtures-'));
+    fs.writeFileSync(path.join(fixturesDir, 'default.wav'), Buffer.alloc(44));
+    mock = new MockProvider({ fixturesDir });
+  });
+
+  test('fails over to the next provider on retryable errors', async () => {
+    const first = failingProvider('first', new UpstreamUnavailableError('down'));
+    const service = new YouTubeService([first, mock]);
+
+    const job = await service.startConversion(VIDEO_URL, 'medium');
+    assert.equal(first.calls, 1);
+    assert.equal(job.provider, 'mock');
+    assert.equal(job.metadata.provider, 'mock');
+    assert.equal(job.videoId, 'dQw4w9WgXcQ');
+    assert.match(job.downloadUrl, /^file:.*default\.wav$/);
+    assert.equal(await service.monitorConversion(job), job.downloadUrl);
+  });
+
+  test('stops on errors that are not retryable', async () => {
+    for (const error of [new VideoNotFoundError('gone'), new VideoPrivateError('private')]) {
+      const first = failingProvider('first', error);
+      let mockCalls = 0;
+      const spy = Object.assign(Object.create(mock), {
+        startConversion: (...args) => {
+          mockCalls++;
+          return mock.startConversion(...args);
+        }
+      });
+      const service = new YouTubeService([first, spy]);
+
+      await assert.rejects(service.startConversion(VIDEO_URL), { code: error.code });
+      assert.equal(mockCalls, 0);
+    }
+  });
+
+  test('throws the first provider error when all fail', async () => {
+    const service = new YouTubeService([
+      failingProvider('first', new UpstreamUnavailableError('first down')),
+      failingProvider('second', new UpstreamUnavailableError('second down'))
+    ]);
+    await assert.rejects(service.startConversion(VIDEO_URL), { message: 'first down' });
+  });
+
+  test('rejects URLs no provider can resolve', async () => {
+    await assert.rejects(new YouTubeService([mock]).startConversion('https://example.com/video'),
+      { code: 'INVALID_YOUTUBE_URL' });
+  });
+
+  test('lets only mock conversions read local files', async () => {
+    const service = new YouTubeService([mock]);
+    const job = await service.startConversion(VIDEO_URL);
+    assert.equal(service.allowsLocalFiles(job), true);
+    assert.equal(service.allowsLocalFiles({ ...job, provider: 'rapidapi', metadata: { provider: 'rapidapi' } }), false);
+    assert.equal(new YouTubeService([failingProvider('rapidapi')]).allowsLocalFiles(job), false);
+  });
+});
+
+describe('createProviders', () => {
+  test('keeps the mock provider out of failover chains', () => {
+    assert.throws(() => createProviders(['rapidapi', 'mock']), /cannot be combined/);
+    assert.throws(() => createProviders(['mock', 'rapidapi']), /cannot be combined/);
+    assert.deepEqual(createProviders(['mock']).map(provider => provider.name), ['mock']);
+  });
+
+  test('refuses unknown providers', () => {
+    assert.throws(() => createProviders(['nope']), /Unknown audio provider "nope"/);
+  });
+});
@@ -0,0 +1,73 @@
+// Content checks for uploaded audio files
+// Usage:
+// const { sniffAudioFile, hashFile } = require('../utils/audioFile');
+// const format = await sniffAudioFile(req.file.path); // 'mp3' | 'wav' | 'ogg' | 'flac' | 'm4a' | null
+// const contentHash = await hashFile(req.file.path);
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SNIFF_BYTES = 12;
+
+// ISO base media brands used for audio-only MP4 files
+const M4A_BRANDS = new Set(['M4A ', 'M4B ', 'M4P ', 'mp41', 'mp42', 'isom', 'iso2', 'dash']);
+
+/**
+ * Identify an audio container from its leading bytes
+ * @param {Buffer} header - First bytes of the file
+ * @returns {string|null} - Format name, or null if not a supported audio file
+ */
+function detectAudioFormat(header) {
+  if (header.length < 4) return null;
+
+  const ascii = (start, end) => header.toString('latin1', start, end);
+
+  if (ascii(0, 3) === 'ID3') return 'mp3';
+  // MPEG audio frame sync; layer bits of 00 would be AAC in ADTS
+  if (header[0] === 0xff && (header[1] & 0xe0) === 0xe0 && (header[1] & 0x06) !== 0) return 'mp3';
+  if ((ascii(0, 4) === 'RIFF' || ascii(0, 4) === 'RF64') && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(4, 8) === 'ftyp' && M4A_BRANDS.has(ascii(8, 12))) return 'm4a';
+
+  return null;
+}
+
+/**
+ * Read the start of a file and identify its audio container
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} - Format name, or null if not a supported audio file
+ */
+async function sniffAudioFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(header, 0, SNIFF_BYTES, 0);
+    return detectAudioFormat(header.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * SHA-256 of a file's contents
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+module.exports = {
+  detectAudioFormat,
+  sniffAudioFile,
+  hashFile
+};
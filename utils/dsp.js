@@ -0,0 +1,82 @@
+// Small signal processing and number helpers shared by the streaming analyzers
+// Usage:
+// const { lowpass, applyFilter, growFloat32, roundTo } = require('../utils/dsp');
+// const filter = lowpass(5000, 44100, Math.SQRT1_2);
+// const y = applyFilter(filter, x);                // one sample in, one out; state is kept in filter
+// envelope = growFloat32(envelope, frames + 1, capacity); // same array while it has room, else a doubled copy
+// roundTo(127.94, 1);                              // 127.9 (null for NaN and infinities)
+
+'use strict';
+
+/**
+ * Second order low-pass filter coefficients (RBJ cookbook)
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} q - Quality factor
+ * @returns {Object} - Normalized coefficients and filter state
+ */
+function lowpass(cutoff, sampleRate, q) {
+  const w0 = (2 * Math.PI * cutoff) / sampleRate;
+  const alpha = Math.sin(w0) / (2 * q);
+  const cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+  return {
+    b0: (1 - cos) / 2 / a0,
+    b1: (1 - cos) / a0,
+    b2: (1 - cos) / 2 / a0,
+    a1: (-2 * cos) / a0,
+    a2: (1 - alpha) / a0,
+    x1: 0,
+    x2: 0,
+    y1: 0,
+    y2: 0
+  };
+}
+
+/**
+ * Run one sample through a biquad from lowpass(), updating its state
+ * @param {Object} filter - Coefficients and state
+ * @param {number} x - Input sample
+ * @returns {number} - Output sample
+ */
+function applyFilter(filter, x) {
+  const y = filter.b0 * x + filter.b1 * filter.x1 + filter.b2 * filter.x2 - filter.a1 * filter.y1 - filter.a2 * filter.y2;
+  filter.x2 = filter.x1;
+  filter.x1 = x;
+  filter.y2 = filter.y1;
+  filter.y1 = y;
+  return y;
+}
+
+/**
+ * Make room in a growing Float32Array, doubling it so appends stay amortized O(1)
+ * @param {Float32Array} array - Current array
+ * @param {number} minLength - Length needed
+ * @param {number} maxLength - Most the array will ever need; doubling stops there
+ * @returns {Float32Array} - The same array if it is long enough, else a longer copy
+ */
+function growFloat32(array, minLength, maxLength = Infinity) {
+  if (array.length >= minLength) return array;
+  const next = new Float32Array(Math.max(minLength, Math.min(array.length * 2, maxLength)));
+  next.set(array);
+  return next;
+}
+
+/**
+ * Round to a number of decimals for JSON output
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} - Rounded value, or null when it is not finite
+ */
+function roundTo(value, decimals) {
+  if (!Number.isFinite(value)) return null;
+  const scale = 10 ** decimals;
+  return Math.round(value * scale) / scale;
+}
+
+module.exports = {
+  lowpass,
+  applyFilter,
+  growFloat32,
+  roundTo
+};
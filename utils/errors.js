@@ -0,0 +1,223 @@
+// Typed errors with stable machine-readable codes
+// Usage:
+// const { VideoPrivateError, ValidationError } = require('../utils/errors');
+// throw new ValidationError('youtubeUrl is required', { code: 'MISSING_PARAMETER' });
+// Routes pass errors to next(); the error middleware in server.js responds with
+// { success: false, error, code, message, retryAfter?, details? }.
+
+'use strict';
+
+/**
+ * Base class for errors that map to an HTTP response
+ * @param {string} message - Human-readable message, safe to show to clients
+ * @param {Object} options - { code, status, title, details, retryAfter, retryable, cause }
+ */
+class AppError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'INTERNAL_ERROR';
+    this.status = options.status || 500;
+    this.title = options.title || 'Internal Server Error';
+    if (options.details !== undefined) this.details = options.details;
+    if (options.retryAfter !== undefined) this.retryAfter = options.retryAfter;
+    if (options.retryable !== undefined) this.retryable = options.retryable;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_REQUEST', status: 400, title: 'Invalid request', ...options });
+  }
+}
+
+class AuthenticationError extends AppError {
+  constructor(message = 'A valid API key is required', options = {}) {
+    super(message, { code: 'UNAUTHORIZED', status: 401, title: 'Unauthorized', ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'This API key is not allowed to perform this action', options = {}) {
+    super(message, { code: 'FORBIDDEN', status: 403, title: 'Forbidden', ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', status: 404, title: 'Not found', ...options });
+  }
+}
+
+class RateLimitedError extends AppError {
+  constructor(message = 'Too many requests, please try again later.', options = {}) {
+    super(message, { code: 'RATE_LIMITED', status: 429, title: 'Rate limit exceeded', ...options });
+  }
+}
+
+class QuotaExceededError extends AppError {
+  constructor(message = 'Daily quota exceeded', options = {}) {
+    super(message, { code: 'QUOTA_EXCEEDED', status: 429, title: 'Quota exceeded', ...options });
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = 'The request payload is too large', options = {}) {
+    super(message, { code: 'PAYLOAD_TOO_LARGE', status: 413, title: 'Payload too large', ...options });
+  }
+}
+
+class UnsupportedMediaError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UNSUPPORTED_MEDIA_TYPE', status: 415, title: 'Unsupported media type', ...options });
+  }
+}
+
+class VideoNotFoundError extends AppError {
+  constructor(message = 'The YouTube video is not available or does not exist', options = {}) {
+    super(message, { code: 'VIDEO_NOT_FOUND', status: 404, title: 'Video not found', retryable: false, ...options });
+  }
+}
+
+class VideoPrivateError extends AppError {
+  constructor(message = 'This video is private or restricted and cannot be processed', options = {}) {
+    super(message, { code: 'VIDEO_PRIVATE', status: 403, title: 'Video access restricted', retryable: false, ...options });
+  }
+}
+
+class UpstreamError extends AppError {
+  constructor(message = 'The conversion service returned an error', options = {}) {
+    super(message, { code: 'UPSTREAM_ERROR', status: 502, title: 'Upstream error', ...options });
+  }
+}
+
+class UpstreamRateLimitedError extends UpstreamError {
+  constructor(message = 'The conversion service is rate limiting requests. Please try again later.', options = {}) {
+    super(message, { code: 'UPSTREAM_RATE_LIMITED', status: 429, title: 'Rate limit exceeded', retryAfter: 60, ...options });
+  }
+}
+
+class UpstreamUnavailableError extends UpstreamError {
+  constructor(message = 'The conversion service is temporarily unavailable. Please try again later.', options = {}) {
+    super(message, { code: 'UPSTREAM_UNAVAILABLE', status: 503, title: 'Upstream unavailable', ...options });
+  }
+}
+
+class UpstreamTimeoutError extends UpstreamError {
+  constructor(message = 'The conversion service took too long to respond', options = {}) {
+    super(message, { code: 'UPSTREAM_TIMEOUT', status: 504, title: 'Upstream timeout', ...options });
+  }
+}
+
+class UpstreamAuthError extends UpstreamError {
+  constructor(message = 'The conversion service rejected our credentials', options = {}) {
+    super(message, { code: 'UPSTREAM_AUTH_FAILED', status: 502, title: 'Upstream error', retryable: false, ...options });
+  }
+}
+
+class ProviderNotConfiguredError extends AppError {
+  constructor(message = 'No audio provider is configured', options = {}) {
+    super(message, { code: 'PROVIDER_NOT_CONFIGURED', status: 503, title: 'Service not configured', retryable: false, ...options });
+  }
+}
+
+class DecodeError extends AppError {
+  constructor(message = 'The audio could not be decoded', options = {}) {
+    super(message, { code: 'DECODE_FAILED', status: 422, title: 'Audio decoding failed', retryable: false, ...options });
+  }
+}
+
+class AudioTooLongError extends AppError {
+  constructor(maxDuration, options = {}) {
+    super(`Audio is longer than the ${maxDuration} second limit`, {
+      code: 'AUDIO_TOO_LONG',
+      status: 413,
+      title: 'Audio too long',
+      retryable: false,
+      details: { maxDuration },
+      ...options
+    });
+  }
+}
+
+class StorageError extends AppError {
+  constructor(message = 'Storage operation failed', options = {}) {
+    super(message, { code: 'STORAGE_FAILED', status: 500, title: 'Storage error', ...options });
+  }
+}
+
+class ShuttingDownError extends AppError {
+  constructor(message = 'The server is shutting down. Please retry shortly.', options = {}) {
+    super(message, { code: 'SERVER_SHUTDOWN', status: 503, title: 'Server shutting down', retryAfter: 5, ...options });
+  }
+}
+
+/**
+ * Turn anything thrown in a route into an AppError
+ * @param {Error} error - Thrown error
+ * @returns {AppError}
+ */
+function normalizeError(error) {
+  if (error instanceof AppError) return error;
+
+  // body-parser errors
+  if (error?.type === 'entity.too.large') {
+    return new PayloadTooLargeError(undefined, { cause: error });
+  }
+  if (error?.type === 'entity.parse.failed') {
+    return new ValidationError('The request body is not valid JSON', { code: 'INVALID_JSON', cause: error });
+  }
+
+  const status = error?.status || error?.statusCode;
+  if (status >= 400 && status < 500) {
+    return new AppError(error.message, { code: 'BAD_REQUEST', status, title: 'Bad request', cause: error });
+  }
+
+  const exposeMessage = process.env.NODE_ENV !== 'production';
+  return new AppError(
+    exposeMessage && error?.message ? error.message : 'An error occurred while processing your request',
+    { cause: error }
+  );
+}
+
+/**
+ * Response body for an error, the same shape for every route
+ * @param {AppError} error - Normalized error
+ * @returns {Object}
+ */
+function toErrorBody(error) {
+  return {
+    success: false,
+    error: error.title,
+    code: error.code,
+    message: error.message,
+    ...(error.retryAfter !== undefined && { retryAfter: error.retryAfter }),
+    ...(error.details !== undefined && { details: error.details })
+  };
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitedError,
+  QuotaExceededError,
+  PayloadTooLargeError,
+  UnsupportedMediaError,
+  VideoNotFoundError,
+  VideoPrivateError,
+  UpstreamError,
+  UpstreamRateLimitedError,
+  UpstreamUnavailableError,
+  UpstreamTimeoutError,
+  UpstreamAuthError,
+  ProviderNotConfiguredError,
+  DecodeError,
+  AudioTooLongError,
+  StorageError,
+  ShuttingDownError,
+  normalizeError,
+  toErrorBody
+};
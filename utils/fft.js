@@ -0,0 +1,137 @@
+// Fast Fourier transform helpers shared by the chroma and spectrogram analyzers
+// Usage:
+// const { realFft, hannWindow } = require('../utils/fft');
+// const window = hannWindow(2048);
+// for (let i = 0; i < 2048; i++) input[i] = frame[i] * window[i];
+// realFft(input, real, imag);                      // real and imag (1024 each) hold bins 0 to 1023
+
+'use strict';
+
+// Bit reversal order, twiddle factors and scratch space per transform size
+const tables = new Map();
+
+function getTables(n) {
+  let table = tables.get(n);
+  if (table) return table;
+
+  const bits = Math.log2(n);
+  const reverse = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let reversed = 0;
+    for (let b = 0; b < bits; b++) reversed |= ((i >> b) & 1) << (bits - 1 - b);
+    reverse[i] = reversed;
+  }
+
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let k = 0; k < n / 2; k++) {
+    cos[k] = Math.cos((-2 * Math.PI * k) / n);
+    sin[k] = Math.sin((-2 * Math.PI * k) / n);
+  }
+
+  table = { reverse, cos, sin, real: null, imag: null };
+  tables.set(n, table);
+  return table;
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} real - Real parts, length a power of two
+ * @param {Float64Array} imag - Imaginary parts
+ */
+function fft(real, imag) {
+  const n = real.length;
+  const { reverse, cos, sin } = getTables(n);
+
+  for (let i = 0; i < n; i++) {
+    const j = reverse[i];
+    if (i < j) {
+      const swapReal = real[i];
+      real[i] = real[j];
+      real[j] = swapReal;
+      const swapImag = imag[i];
+      imag[i] = imag[j];
+      imag[j] = swapImag;
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0, t = 0; k < half; k++, t += step) {
+        const even = start + k;
+        const odd = even + half;
+        const oddReal = real[odd] * cos[t] - imag[odd] * sin[t];
+        const oddImag = real[odd] * sin[t] + imag[odd] * cos[t];
+        real[odd] = real[even] - oddReal;
+        imag[odd] = imag[even] - oddImag;
+        real[even] += oddReal;
+        imag[even] += oddImag;
+      }
+    }
+  }
+}
+
+/**
+ * FFT of a real signal, computed as a complex FFT of half the length
+ * (even samples as real parts, odd samples as imaginary parts) and then split
+ * @param {Float64Array} input - Real samples, length a power of two (4 or more)
+ * @param {Float64Array} real - Receives the real parts of bins 0 to length / 2 - 1
+ * @param {Float64Array} imag - Receives the imaginary parts of the same bins
+ */
+function realFft(input, real, imag) {
+  const n = input.length;
+  const half = n / 2;
+  const { cos, sin } = getTables(n);
+  const scratch = getTables(half);
+  if (!scratch.real) {
+    scratch.real = new Float64Array(half);
+    scratch.imag = new Float64Array(half);
+  }
+
+  const zReal = scratch.real;
+  const zImag = scratch.imag;
+  for (let i = 0; i < half; i++) {
+    zReal[i] = input[2 * i];
+    zImag[i] = input[2 * i + 1];
+  }
+  fft(zReal, zImag);
+
+  for (let k = 0; k < half; k++) {
+    const mirror = k === 0 ? 0 : half - k;
+    const evenReal = (zReal[k] + zReal[mirror]) / 2;
+    const evenImag = (zImag[k] - zImag[mirror]) / 2;
+    const oddReal = (zImag[k] + zImag[mirror]) / 2;
+    const oddImag = (zReal[mirror] - zReal[k]) / 2;
+    real[k] = evenReal + cos[k] * oddReal - sin[k] * oddImag;
+    imag[k] = evenImag + cos[k] * oddImag + sin[k] * oddReal;
+  }
+}
+
+/**
+ * Hann window coefficients
+ * @param {number} size - Window length
+ * @returns {Float64Array}
+ */
+function hannWindow(size) {
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  return window;
+}
+
+/**
+ * Whether a number is a power of two (FFT sizes)
+ * @param {number} value
+ * @returns {boolean}
+ */
+function isPowerOfTwo(value) {
+  return Number.isInteger(value) && value > 0 && (value & (value - 1)) === 0;
+}
+
+module.exports = {
+  fft,
+  realFft,
+  hannWindow,
+  isPowerOfTwo
+};
@@ -0,0 +1,158 @@
+// Structured logger: one JSON object per line, with levels, bound context and secret redaction
+// Usage:
+// const logger = require('../utils/logger');
+// logger.info('Job started', { jobId });
+// const log = logger.child({ requestId: req.id });
+// log.error('Conversion failed', { error, videoId });
+// log.warn('Cache lookup error', error);            // an Error on its own is logged as { error }
+// LOG_LEVEL: debug, info (default), warn or error
+// LOG_FORMAT: json (default) or pretty for a readable line per entry in development
+
+'use strict';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged (headers such as X-RapidAPI-Key and Authorization included)
+const SECRET_KEY = /^(authorization|proxy-authorization|cookie|set-cookie|x-rapidapi-key|x-api-key|api[-_]?key|key_hash|.*token|.*secret|.*password)$/i;
+// Secrets inside strings: query parameters and bearer tokens
+const SECRET_QUERY_PARAM = /([?&](?:token|key|api_?key|access_token|signature|sig)=)[^&#\s"]+/gi;
+const BEARER = /\b(Bearer\s+)[^\s"]+/gi;
+// Environment variables whose values are scrubbed wherever they appear
+const SECRET_ENV_VARS = ['RAPIDAPI_KEY', 'ADMIN_API_KEY', 'METRICS_TOKEN', 'SUPABASE_ANON_KEY', 'SUPABASE_SERVICE_ROLE_KEY'];
+
+const MAX_DEPTH = 6;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_STRING_LENGTH = 2000;
+
+function secretValues() {
+  return SECRET_ENV_VARS.map(name => process.env[name]).filter(value => value && value.length >= 8);
+}
+
+function redactString(value) {
+  let text = value.replace(SECRET_QUERY_PARAM, `$1${REDACTED}`).replace(BEARER, `$1${REDACTED}`);
+  for (const secret of secretValues()) {
+    text = text.split(secret).join(REDACTED);
+  }
+  return text.length > MAX_STRING_LENGTH ? `${text.slice(0, MAX_STRING_LENGTH)}… (${text.length} chars)` : text;
+}
+
+/**
+ * Loggable view of an error: name, message, code and status, the upstream request
+ * and response status for axios errors (never its headers), the stack and the cause
+ * @param {Error} error - Error to serialize
+ * @param {number} depth - Nesting depth for causes
+ * @returns {Object}
+ */
+function serializeError(error, depth = 0) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.response?.status !== undefined && { upstreamStatus: error.response.status }),
+    ...(error.config?.url && { url: error.config.url, method: error.config.method }),
+    ...(error.details !== undefined && { details: error.details })
+  };
+  if (error.stack) serialized.stack = error.stack;
+  if (error.cause instanceof Error && depth < 3) {
+    serialized.cause = serializeError(error.cause, depth + 1);
+  }
+  return sanitize(serialized, depth + 1, new WeakSet());
+}
+
+// Copy a value into something JSON.stringify can write, redacting secrets on the way
+function sanitize(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+
+  if (value instanceof Error) return serializeError(value, depth);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return `[${value.constructor.name} ${value.byteLength} bytes]`;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => sanitize(item, depth + 1, seen));
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`… ${value.length - MAX_ARRAY_ITEMS} more`);
+    return items;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEY.test(key) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : sanitize(item, depth + 1, seen);
+  }
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extras ? ` ${extras}` : ''}`;
+}
+
+class Logger {
+  /**
+   * @param {Object} bindings - Fields added to every entry (e.g. requestId, jobId)
+   * @param {Object} options - { level, format }
+   */
+  constructor(bindings = {}, options = {}) {
+    this.bindings = bindings;
+    this.level = options.level || (LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info');
+    this.format = options.format || (process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json');
+  }
+
+  /**
+   * Logger that adds more fields to every entry
+   * @param {Object} bindings - Extra fields
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, { level: this.level, format: this.format });
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) { this.write('debug', message, fields); }
+  info(message, fields) { this.write('info', message, fields); }
+  warn(message, fields) { this.write('warn', message, fields); }
+  error(message, fields) { this.write('error', message, fields); }
+
+  write(level, message, fields) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(String(message)),
+      ...sanitize({ ...this.bindings, ...extra })
+    };
+
+    let line;
+    try {
+      line = this.format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, msg: entry.msg, logError: error.message });
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+}
+
+const logger = new Logger({ service: 'groovescope-backend' });
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.serializeError = serializeError;
+module.exports.redact = sanitize;
@@ -0,0 +1,311 @@
+// Loudness measurement per ITU-R BS.1770-4 and EBU R128 (Tech 3341 and 3342) from decoded PCM
+// Usage:
+// const { createLoudnessMeter, analyzeLoudness } = require('../utils/loudness');
+// const meter = createLoudnessMeter({ sampleRate: 44100, channels: 2 });
+// meter.add(int16InterleavedSamples);
+// const loudness = analyzeLoudness(meter.finish());
+// // { integrated: -9.8, range: 5.2, truePeak: 0.4, samplePeak: -0.1, maxMomentary: -6.1, maxShortTerm: -7.9, curves }
+
+'use strict';
+
+const { roundTo } = require('./dsp');
+
+const INT16_SCALE = 32768;
+
+// Loudness is summed over 100 ms sub-blocks; momentary windows are 4 of them, short-term 30
+const SUB_BLOCK_SECONDS = 0.1;
+const MOMENTARY_SUB_BLOCKS = 4;
+const SHORT_TERM_SUB_BLOCKS = 30;
+const ABSOLUTE_GATE_LUFS = -70;
+// Integrated loudness drops blocks 10 LU below the ungated level, loudness range 20 LU
+const INTEGRATED_RELATIVE_GATE_LU = -10;
+const RANGE_RELATIVE_GATE_LU = -20;
+const RANGE_LOW_PERCENTILE = 0.1;
+const RANGE_HIGH_PERCENTILE = 0.95;
+// Stored curves have at most this many points (one per 100 ms for tracks up to about 3 minutes)
+const MAX_CURVE_POINTS = 2000;
+
+// Channel weights for the layouts ffmpeg decodes to: surrounds count 1.41, LFE not at all
+const CHANNEL_WEIGHTS = {
+  5: [1, 1, 1, 1.41, 1.41],
+  6: [1, 1, 1, 0, 1.41, 1.41]
+};
+
+// True peak interpolation: 12 taps per phase, phases per sample by sample rate
+const TRUE_PEAK_TAPS = 12;
+
+const powerToLufs = power => (power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity);
+const lufsToPower = lufs => 10 ** ((lufs + 0.691) / 10);
+const amplitudeToDb = amplitude => (amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity);
+
+/**
+ * K-weighting filter coefficients for a sample rate: the high shelf and high-pass stages of
+ * BS.1770, recomputed from their analog prototypes so rates other than 48 kHz match too
+ * @param {number} sampleRate
+ * @returns {Array<Object>} - Two biquads { b0, b1, b2, a1, a2 }
+ */
+function kWeightingStages(sampleRate) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + (Vb * K) / Q + K * K) / a0,
+    b1: (2 * (K * K - Vh)) / a0,
+    b2: (Vh - (Vb * K) / Q + K * K) / a0,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: (2 * (K * K - 1)) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return [shelf, highPass];
+}
+
+/**
+ * Polyphase interpolation filter for true peak: a Hann windowed sinc low-pass at the
+ * original Nyquist, split into TRUE_PEAK_TAPS taps per phase. Phases follow each other,
+ * each with its taps ordered from the oldest sample to the newest.
+ * @param {number} phases - Oversampling factor
+ * @returns {Float64Array}
+ */
+function interpolationFilter(phases) {
+  const length = phases * TRUE_PEAK_TAPS;
+  const centre = (length - 1) / 2;
+  const taps = new Float64Array(length);
+  for (let phase = 0; phase < phases; phase++) {
+    for (let t = 0; t < TRUE_PEAK_TAPS; t++) {
+      const n = t * phases + phase;
+      const x = (n - centre) / phases;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * (n + 0.5)) / length);
+      taps[phase * TRUE_PEAK_TAPS + TRUE_PEAK_TAPS - 1 - t] = sinc * window;
+    }
+  }
+  return taps;
+}
+
+/**
+ * Measure decoded PCM as it arrives: K-weighted power per 100 ms sub-block, and sample and
+ * true peaks (4x oversampled below 96 kHz, 2x below 192 kHz). True peaks are only
+ * interpolated where the signal turns within 6 dB of the highest peak so far, since an
+ * overshoot between samples needs both. Memory is one number per 100 ms of audio, never more
+ * than maxFrames (the most frames the caller will add) needs.
+ * @param {Object} options - { sampleRate, channels, maxFrames }
+ * @returns {Object} - { add(Int16Array), finish() }
+ */
+function createLoudnessMeter({ sampleRate, channels = 1, maxFrames = Infinity }) {
+  const [shelf, highPass] = kWeightingStages(sampleRate);
+  const weights = Float64Array.from(CHANNEL_WEIGHTS[channels] || new Array(channels).fill(1));
+  const subBlockSize = Math.round(sampleRate * SUB_BLOCK_SECONDS);
+  const capacity = Math.ceil(maxFrames / subBlockSize);
+  const phases = sampleRate < 96000 ? 4 : sampleRate < 192000 ? 2 : 1;
+  const interpolation = interpolationFilter(phases);
+
+  // Input and output history of both filter stages, eight values per channel
+  const filterState = new Float64Array(channels * 8);
+  // The last frames of the previous chunk, so interpolation can reach back across chunks
+  let carry = new Int16Array((TRUE_PEAK_TAPS - 1) * channels);
+
+  let powers = new Float64Array(Math.min(1024, capacity));
+  let subBlocks = 0;
+  // Peaks are kept in sample units until finish()
+  const state = { energy: 0, filled: 0, samplePeak: 0, truePeak: 0 };
+
+  function storeSubBlock(energy) {
+    if (powers.length === subBlocks) {
+      const grown = new Float64Array(Math.max(subBlocks + 1, Math.min(powers.length * 2, capacity)));
+      grown.set(powers);
+      powers = grown;
+    }
+    powers[subBlocks++] = energy / subBlockSize;
+  }
+
+  /**
+   * @param {Int16Array} samples - Interleaved samples, length must be a multiple of channels
+   */
+  function add(samples) {
+    const frames = Math.floor(samples.length / channels);
+    const joined = new Int16Array(carry.length + frames * channels);
+    joined.set(carry);
+    joined.set(samples.subarray(0, frames * channels), carry.length);
+
+    // Locals rather than closure variables keep these per-sample loops fast
+    const { b0: sb0, b1: sb1, b2: sb2, a1: sa1, a2: sa2 } = shelf;
+    const { a1: ha1, a2: ha2 } = highPass;
+    let { energy, filled, samplePeak, truePeak } = state;
+
+    for (let f = 0; f < frames; f++) {
+      const base = carry.length + f * channels;
+      for (let c = 0; c < channels; c++) {
+        const sample = joined[base + c];
+        const x = sample / INT16_SCALE;
+        const s = c * 8;
+        const shelved = sb0 * x + sb1 * filterState[s] + sb2 * filterState[s + 1] -
+          sa1 * filterState[s + 2] - sa2 * filterState[s + 3];
+        filterState[s + 1] = filterState[s];
+        filterState[s] = x;
+        filterState[s + 3] = filterState[s + 2];
+        filterState[s + 2] = shelved;
+        // The high-pass numerator is 1, -2, 1
+        const weighted = shelved - 2 * filterState[s + 4] + filterState[s + 5] -
+          ha1 * filterState[s + 6] - ha2 * filterState[s + 7];
+        filterState[s + 5] = filterState[s + 4];
+        filterState[s + 4] = shelved;
+        filterState[s + 7] = filterState[s + 6];
+        filterState[s + 6] = weighted;
+        energy += weights[c] * weighted * weighted;
+
+        const magnitude = sample < 0 ? -sample : sample;
+        if (magnitude > samplePeak) samplePeak = magnitude;
+      }
+
+      if (++filled === subBlockSize) {
+        storeSubBlock(energy);
+        energy = 0;
+        filled = 0;
+      }
+    }
+    if (samplePeak > truePeak) truePeak = samplePeak;
+
+    // True peak, a channel at a time: the four frames around the interpolated interval
+    // (before, left, right, after) slide along in locals
+    const taps = phases > 1 ? interpolation.length : 0;
+    const middle = TRUE_PEAK_TAPS / 2;
+    for (let c = 0; c < channels && taps > 0; c++) {
+      let before = joined[(middle - 3) * channels + c];
+      let left = joined[(middle - 2) * channels + c];
+      let right = joined[(middle - 1) * channels + c];
+      let after = joined[middle * channels + c];
+
+      for (let f = 0; f < frames; f++) {
+        before = left;
+        left = right;
+        right = after;
+        after = joined[(f + middle + 1) * channels + c];
+        if ((left - before) * (after - right) > 0) continue;
+        if (2 * Math.max(left < 0 ? -left : left, right < 0 ? -right : right) < truePeak) continue;
+
+        const oldest = f * channels + c;
+        for (let k = 0; k < taps; k += TRUE_PEAK_TAPS) {
+          let sum = 0;
+          for (let t = 0; t < TRUE_PEAK_TAPS; t++) sum += interpolation[k + t] * joined[oldest + t * channels];
+          if (sum > truePeak) truePeak = sum;
+          else if (-sum > truePeak) truePeak = -sum;
+        }
+      }
+    }
+
+    carry = joined.slice(joined.length - carry.length);
+    Object.assign(state, { energy, filled, samplePeak, truePeak });
+  }
+
+  function finish() {
+    return {
+      subBlockSeconds: subBlockSize / sampleRate,
+      powers: powers.subarray(0, subBlocks),
+      samplePeak: state.samplePeak / INT16_SCALE,
+      truePeak: state.truePeak / INT16_SCALE
+    };
+  }
+
+  return { add, finish };
+}
+
+/**
+ * Mean power of sliding windows of sub-blocks, one window ending at every sub-block
+ * @param {Float64Array} powers - Sub-block powers
+ * @param {number} size - Sub-blocks per window
+ * @returns {Float64Array} - Window powers; windows that would start before the track are empty
+ */
+function slidingPowers(powers, size) {
+  const result = new Float64Array(Math.max(0, powers.length - size + 1));
+  let sum = 0;
+  for (let i = 0; i < powers.length; i++) {
+    sum += powers[i];
+    if (i >= size) sum -= powers[i - size];
+    if (i >= size - 1) result[i - size + 1] = Math.max(0, sum / size);
+  }
+  return result;
+}
+
+// Mean power of the blocks above the absolute gate and above a gate relative to their mean
+function gatedMean(blocks, relativeGate) {
+  const absolute = blocks.filter(power => power > lufsToPower(ABSOLUTE_GATE_LUFS));
+  if (absolute.length === 0) return null;
+
+  const ungated = absolute.reduce((sum, power) => sum + power, 0) / absolute.length;
+  const threshold = lufsToPower(powerToLufs(ungated) + relativeGate);
+  const gated = absolute.filter(power => power > threshold);
+  return { gated, mean: gated.reduce((sum, power) => sum + power, 0) / gated.length };
+}
+
+// Curve points: the highest window loudness within each step, null where below the absolute gate
+function buildCurve(windowPowers, subBlocksPerPoint, offset) {
+  const points = Math.ceil((windowPowers.length + offset) / subBlocksPerPoint);
+  return Array.from({ length: points }, (value, point) => {
+    let max = 0;
+    const from = Math.max(0, point * subBlocksPerPoint - offset);
+    const to = Math.min(windowPowers.length, (point + 1) * subBlocksPerPoint - offset);
+    for (let i = from; i < to; i++) if (windowPowers[i] > max) max = windowPowers[i];
+    const lufs = powerToLufs(max);
+    return lufs > ABSOLUTE_GATE_LUFS ? roundTo(lufs, 1) : null;
+  });
+}
+
+/**
+ * Integrated loudness, loudness range, peaks and loudness curves from a meter's data.
+ * Loudness is in LUFS and the range in LU; peaks are in dBFS (sample) and dBTP (true peak).
+ * Values are null when the track is silent or too short to measure.
+ * Curve point i covers i * stepSeconds to (i + 1) * stepSeconds and holds the highest
+ * momentary or short-term loudness of windows ending in it.
+ * @param {Object} data - Result of loudnessMeter.finish()
+ * @returns {Object} - { integrated, range, truePeak, samplePeak, maxMomentary, maxShortTerm, curves }
+ */
+function analyzeLoudness({ subBlockSeconds, powers, samplePeak, truePeak }) {
+  const momentary = slidingPowers(powers, MOMENTARY_SUB_BLOCKS);
+  const shortTerm = slidingPowers(powers, SHORT_TERM_SUB_BLOCKS);
+
+  const integrated = gatedMean(Array.from(momentary), INTEGRATED_RELATIVE_GATE_LU);
+
+  let range = null;
+  const rangeBlocks = gatedMean(Array.from(shortTerm), RANGE_RELATIVE_GATE_LU);
+  if (rangeBlocks) {
+    const sorted = rangeBlocks.gated.map(powerToLufs).sort((a, b) => a - b);
+    const percentile = share => sorted[Math.min(sorted.length - 1, Math.round(share * (sorted.length - 1)))];
+    range = percentile(RANGE_HIGH_PERCENTILE) - percentile(RANGE_LOW_PERCENTILE);
+  }
+
+  const subBlocksPerPoint = Math.max(1, Math.ceil(powers.length / MAX_CURVE_POINTS));
+  const maxOf = values => values.reduce((max, value) => Math.max(max, value), 0);
+
+  return {
+    integrated: integrated ? roundTo(powerToLufs(integrated.mean), 1) : null,
+    range: roundTo(range, 1),
+    truePeak: roundTo(amplitudeToDb(truePeak), 1),
+    samplePeak: roundTo(amplitudeToDb(samplePeak), 1),
+    maxMomentary: roundTo(powerToLufs(maxOf(momentary)), 1),
+    maxShortTerm: roundTo(powerToLufs(maxOf(shortTerm)), 1),
+    curves: {
+      stepSeconds: roundTo(subBlocksPerPoint * subBlockSeconds, 4),
+      // Windows are placed by the sub-block they end in
+      momentary: buildCurve(momentary, subBlocksPerPoint, MOMENTARY_SUB_BLOCKS - 1),
+      shortTerm: buildCurve(shortTerm, subBlocksPerPoint, SHORT_TERM_SUB_BLOCKS - 1)
+    }
+  };
+}
+
+module.exports = {
+  createLoudnessMeter,
+  analyzeLoudness
+};
@@ -0,0 +1,282 @@
+// Multi-resolution peak pyramid (level of detail) for zoomable waveforms
+// Usage:
+// const { baseSamplesPerPixel, buildPyramid, encodePyramid, queryPyramid } = require('../utils/peakPyramid');
+// const acc = createPeakAccumulator({ channels, samplesPerBucket: baseSamplesPerPixel(sampleRate) });
+// const data = acc.finish();
+// const peakLevels = encodePyramid(buildPyramid(data), { sampleRate, channels, totalFrames: data.totalFrames });
+// const window = queryPyramid(peakLevels, { pixelsPerSecond: 20, start: 30, end: 60 });
+// const exact = readWindow(peakLevels, { pixelsPerSecond: 20, splitChannels: true });
+
+'use strict';
+
+// Finest level first; each coarser level merges LEVEL_FACTOR pixels of the previous one
+const PYRAMID_PIXELS_PER_SECOND = [64, 16, 4, 1];
+const LEVEL_FACTOR = 4;
+const MAX_WINDOW_PEAKS = 20000;
+const INT16_SCALE = 32768;
+
+/**
+ * Frames per pixel of the finest pyramid level
+ * @param {number} sampleRate - Stream sample rate
+ * @returns {number}
+ */
+function baseSamplesPerPixel(sampleRate) {
+  return Math.max(1, Math.round(sampleRate / PYRAMID_PIXELS_PER_SECOND[0]));
+}
+
+/**
+ * Build pyramid levels from accumulated buckets.
+ * Level data is an Int16Array laid out per pixel, then per channel, as [min, max]
+ * (the same interleaving audiowaveform uses).
+ * @param {Object} data - Result of accumulator.finish(), bucketed at baseSamplesPerPixel
+ * @returns {Array} - Levels with samplesPerPixel, length and data
+ */
+function buildPyramid(data) {
+  const { channels } = data;
+  const base = new Int16Array(data.bucketCount * channels * 2);
+
+  for (let i = 0; i < data.bucketCount; i++) {
+    for (let c = 0; c < channels; c++) {
+      const offset = (i * channels + c) * 2;
+      base[offset] = data.mins[c][i];
+      base[offset + 1] = data.maxs[c][i];
+    }
+  }
+
+  const levels = [{ samplesPerPixel: data.samplesPerBucket, length: data.bucketCount, data: base }];
+
+  for (let l = 1; l < PYRAMID_PIXELS_PER_SECOND.length; l++) {
+    const previous = levels[l - 1];
+    const length = Math.ceil(previous.length / LEVEL_FACTOR);
+    const merged = new Int16Array(length * channels * 2);
+
+    for (let i = 0; i < length; i++) {
+      const start = i * LEVEL_FACTOR;
+      const end = Math.min(previous.length, start + LEVEL_FACTOR);
+      for (let c = 0; c < channels; c++) {
+        let min = 32767;
+        let max = -32768;
+        for (let p = start; p < end; p++) {
+          const offset = (p * channels + c) * 2;
+          if (previous.data[offset] < min) min = previous.data[offset];
+          if (previous.data[offset + 1] > max) max = previous.data[offset + 1];
+        }
+        const target = (i * channels + c) * 2;
+        merged[target] = min;
+        merged[target + 1] = max;
+      }
+    }
+
+    levels.push({ samplesPerPixel: previous.samplesPerPixel * LEVEL_FACTOR, length, data: merged });
+  }
+
+  return levels;
+}
+
+/**
+ * Serialize pyramid levels for storage (JSON friendly, 16-bit little-endian base64)
+ * @param {Array} levels - Result of buildPyramid()
+ * @param {Object} format - { sampleRate, channels, totalFrames }
+ * @returns {Object} - Stored peak levels
+ */
+function encodePyramid(levels, { sampleRate, channels, totalFrames }) {
+  return {
+    version: 1,
+    sampleRate,
+    channels,
+    totalFrames,
+    bits: 16,
+    encoding: 'int16le-base64',
+    levels: levels.map(level => ({
+      samplesPerPixel: level.samplesPerPixel,
+      length: level.length,
+      data: Buffer.from(level.data.buffer, level.data.byteOffset, level.data.byteLength).toString('base64')
+    }))
+  };
+}
+
+/**
+ * Decode one stored level back into an Int16Array
+ * @param {Object} level - Stored level
+ * @returns {Int16Array}
+ */
+function decodeLevel(level) {
+  const buffer = Buffer.from(level.data, 'base64');
+  const aligned = new Int16Array(buffer.length / 2);
+  Buffer.from(aligned.buffer).set(buffer);
+  return aligned;
+}
+
+/**
+ * Pick the coarsest level that still has at least the requested resolution
+ * @param {Object} peakLevels - Stored peak levels
+ * @param {number} pixelsPerSecond - Requested resolution
+ * @returns {Object} - Stored level
+ */
+function selectLevel(peakLevels, pixelsPerSecond) {
+  const candidates = peakLevels.levels
+    .slice()
+    .sort((a, b) => b.samplesPerPixel - a.samplesPerPixel);
+
+  return candidates.find(level => peakLevels.sampleRate / level.samplesPerPixel >= pixelsPerSecond) ||
+    candidates[candidates.length - 1];
+}
+
+/**
+ * Build single-level peak levels from overview peaks stored before the pyramid existed
+ * @param {Array} peaks - Interleaved [min, max] floats in -1..1
+ * @param {Object} format - { sampleRate, samplesPerPixel, totalFrames }
+ * @returns {Object} - Stored peak levels with one merged channel
+ */
+function pyramidFromPeaks(peaks, { sampleRate, samplesPerPixel, totalFrames }) {
+  const data = Int16Array.from(peaks, value => Math.max(-32768, Math.min(32767, Math.round(value * INT16_SCALE))));
+  return encodePyramid(
+    [{ samplesPerPixel, length: data.length / 2, data }],
+    { sampleRate, channels: 1, totalFrames }
+  );
+}
+
+/**
+ * Track duration in seconds covered by stored peak levels
+ * @param {Object} peakLevels - Stored peak levels
+ * @returns {number}
+ */
+function getDuration(peakLevels) {
+  const finest = peakLevels.levels.reduce((a, b) => (a.samplesPerPixel <= b.samplesPerPixel ? a : b));
+  return (peakLevels.totalFrames || finest.length * finest.samplesPerPixel) / peakLevels.sampleRate;
+}
+
+/**
+ * Read a window at a whole-number multiple of a stored level's samples per pixel,
+ * as 16-bit [min, max] pairs. Used for fixed-resolution formats like audiowaveform.
+ * @param {Object} peakLevels - Stored peak levels
+ * @param {Object} options - { pixelsPerSecond, start, end, splitChannels, maxLength }
+ * @returns {Object} - { data, channels, sampleRate, samplesPerPixel, length, start, end }
+ */
+function readWindow(peakLevels, options = {}) {
+  const { sampleRate, channels } = peakLevels;
+  const duration = getDuration(peakLevels);
+  const finest = peakLevels.levels.reduce((a, b) => (a.samplesPerPixel <= b.samplesPerPixel ? a : b));
+  const maxLength = options.maxLength || MAX_WINDOW_PEAKS;
+
+  const start = Math.max(0, Math.min(duration, options.start || 0));
+  const end = Math.max(start, Math.min(duration, options.end ?? duration));
+
+  const requestedPps = options.pixelsPerSecond || sampleRate / finest.samplesPerPixel;
+  const level = selectLevel(peakLevels, requestedPps);
+  const levelData = decodeLevel(level);
+  const levelPps = sampleRate / level.samplesPerPixel;
+
+  let factor = Math.max(1, Math.floor(levelPps / requestedPps));
+  factor = Math.max(factor, Math.ceil(((end - start) * levelPps) / maxLength));
+
+  const first = Math.floor((start * levelPps) / factor);
+  const last = Math.min(Math.ceil(level.length / factor), Math.ceil((end * levelPps) / factor));
+  const length = Math.max(0, last - first);
+  const outChannels = options.splitChannels ? channels : 1;
+  const data = new Int16Array(length * outChannels * 2);
+
+  for (let i = 0; i < length; i++) {
+    const from = (first + i) * factor;
+    const to = Math.min(level.length, from + factor);
+    for (let o = 0; o < outChannels; o++) {
+      let min = 32767;
+      let max = -32768;
+      const channelFrom = options.splitChannels ? o : 0;
+      const channelTo = options.splitChannels ? o + 1 : channels;
+      for (let p = from; p < to; p++) {
+        for (let c = channelFrom; c < channelTo; c++) {
+          const offset = (p * channels + c) * 2;
+          if (levelData[offset] < min) min = levelData[offset];
+          if (levelData[offset + 1] > max) max = levelData[offset + 1];
+        }
+      }
+      const target = (i * outChannels + o) * 2;
+      data[target] = min;
+      data[target + 1] = max;
+    }
+  }
+
+  const samplesPerPixel = level.samplesPerPixel * factor;
+  return {
+    data,
+    channels: outChannels,
+    sampleRate,
+    samplesPerPixel,
+    length,
+    start: (first * samplesPerPixel) / sampleRate,
+    end: Math.min(duration, (last * samplesPerPixel) / sampleRate)
+  };
+}
+
+/**
+ * Return merged [min, max] pairs for a time window at a requested zoom level
+ * @param {Object} peakLevels - Stored peak levels
+ * @param {Object} options - { pixelsPerSecond, start, end } (seconds)
+ * @returns {Object} - { peaks, pixelsPerSecond, samplesPerPixel, start, end, length }
+ */
+function queryPyramid(peakLevels, options = {}) {
+  const { sampleRate, channels } = peakLevels;
+  const finest = peakLevels.levels.reduce((a, b) => (a.samplesPerPixel <= b.samplesPerPixel ? a : b));
+  const duration = getDuration(peakLevels);
+
+  const start = Math.max(0, Math.min(duration, options.start || 0));
+  const end = Math.max(start, Math.min(duration, options.end ?? duration));
+  const windowSeconds = end - start;
+
+  let pixelsPerSecond = options.pixelsPerSecond || sampleRate / finest.samplesPerPixel;
+  if (windowSeconds * pixelsPerSecond > MAX_WINDOW_PEAKS) {
+    pixelsPerSecond = MAX_WINDOW_PEAKS / windowSeconds;
+  }
+
+  const level = selectLevel(peakLevels, pixelsPerSecond);
+  const levelData = decodeLevel(level);
+  const levelPps = sampleRate / level.samplesPerPixel;
+
+  const first = Math.floor(start * levelPps);
+  const last = Math.min(level.length, Math.ceil(end * levelPps));
+  const sourceLength = Math.max(0, last - first);
+  const length = Math.max(0, Math.min(sourceLength, Math.round(windowSeconds * pixelsPerSecond)));
+
+  const peaks = new Array(length * 2);
+  const ratio = length > 0 ? sourceLength / length : 0;
+
+  for (let i = 0; i < length; i++) {
+    const from = first + Math.floor(i * ratio);
+    const to = Math.max(from + 1, first + Math.floor((i + 1) * ratio));
+    let min = 32767;
+    let max = -32768;
+    for (let p = from; p < to; p++) {
+      for (let c = 0; c < channels; c++) {
+        const offset = (p * channels + c) * 2;
+        if (levelData[offset] < min) min = levelData[offset];
+        if (levelData[offset + 1] > max) max = levelData[offset + 1];
+      }
+    }
+    peaks[i * 2] = Math.round((min / INT16_SCALE) * 10000) / 10000;
+    peaks[i * 2 + 1] = Math.round((max / INT16_SCALE) * 10000) / 10000;
+  }
+
+  return {
+    peaks,
+    pixelsPerSecond: windowSeconds > 0 ? length / windowSeconds : 0,
+    samplesPerPixel: length > 0 ? Math.round((sourceLength * level.samplesPerPixel) / length) : level.samplesPerPixel,
+    levelSamplesPerPixel: level.samplesPerPixel,
+    start,
+    end,
+    length
+  };
+}
+
+module.exports = {
+  PYRAMID_PIXELS_PER_SECOND,
+  LEVEL_FACTOR,
+  baseSamplesPerPixel,
+  buildPyramid,
+  encodePyramid,
+  decodeLevel,
+  selectLevel,
+  pyramidFromPeaks,
+  readWindow,
+  queryPyramid
+};
@@ -0,0 +1,153 @@
+// Min/max peak accumulation over decoded PCM
+// Usage:
+// const { createPeakAccumulator, reducePeaks } = require('../utils/peaks');
+// const acc = createPeakAccumulator({ channels: 2, maxFrames: 3 * 60 * 60 * 44100 });
+// acc.add(int16InterleavedSamples);
+// const sofar = acc.snapshot();                   // buckets completed so far, while still adding
+// const data = acc.finish();
+// const peaks = reducePeaks(data, 800); // [min0, max0, min1, max1, ...] in -1..1
+
+'use strict';
+
+const DEFAULT_SAMPLES_PER_BUCKET = 256;
+const INT16_SCALE = 32768;
+
+function growInt16(array, minLength, maxLength) {
+  if (array.length >= minLength) return array;
+  const next = new Int16Array(Math.max(minLength, Math.min(array.length * 2, maxLength)));
+  next.set(array);
+  return next;
+}
+
+/**
+ * Accumulate per-channel min/max values over fixed-size buckets of frames.
+ * Samples are kept as signed 16-bit integers so the finest level stays compact.
+ * Memory is two values per channel and bucket, so it grows with the audio; give maxFrames
+ * (the most frames the caller will add) and the buckets never grow past what that needs.
+ * @param {Object} options - { channels, samplesPerBucket, maxFrames }
+ * @returns {Object} - { add(Int16Array), finish(), snapshot() }
+ */
+function createPeakAccumulator(options = {}) {
+  const channels = options.channels || 1;
+  const samplesPerBucket = options.samplesPerBucket || DEFAULT_SAMPLES_PER_BUCKET;
+  const capacity = Math.ceil((options.maxFrames || Infinity) / samplesPerBucket);
+
+  const mins = [];
+  const maxs = [];
+  const currentMin = new Int16Array(channels);
+  const currentMax = new Int16Array(channels);
+  for (let c = 0; c < channels; c++) {
+    mins.push(new Int16Array(Math.min(1024, capacity)));
+    maxs.push(new Int16Array(Math.min(1024, capacity)));
+  }
+
+  let bucketCount = 0;
+  let framesInBucket = 0;
+  let totalFrames = 0;
+
+  function resetCurrent() {
+    currentMin.fill(32767);
+    currentMax.fill(-32768);
+    framesInBucket = 0;
+  }
+
+  function flushBucket() {
+    for (let c = 0; c < channels; c++) {
+      mins[c] = growInt16(mins[c], bucketCount + 1, capacity);
+      maxs[c] = growInt16(maxs[c], bucketCount + 1, capacity);
+      mins[c][bucketCount] = currentMin[c];
+      maxs[c][bucketCount] = currentMax[c];
+    }
+    bucketCount++;
+    resetCurrent();
+  }
+
+  /**
+   * @param {Int16Array} samples - Interleaved samples, length must be a multiple of channels
+   */
+  function add(samples) {
+    const frames = Math.floor(samples.length / channels);
+    for (let f = 0; f < frames; f++) {
+      const base = f * channels;
+      for (let c = 0; c < channels; c++) {
+        const value = samples[base + c];
+        if (value < currentMin[c]) currentMin[c] = value;
+        if (value > currentMax[c]) currentMax[c] = value;
+      }
+      framesInBucket++;
+      if (framesInBucket === samplesPerBucket) flushBucket();
+    }
+    totalFrames += frames;
+  }
+
+  function finish() {
+    if (framesInBucket > 0) flushBucket();
+    return view(totalFrames);
+  }
+
+  /**
+   * Completed buckets so far, in the shape finish() returns. The arrays are views that a
+   * later add() may replace, so use the result before adding more samples.
+   */
+  function snapshot() {
+    return view(bucketCount * samplesPerBucket);
+  }
+
+  function view(frames) {
+    return {
+      channels,
+      samplesPerBucket,
+      totalFrames: frames,
+      bucketCount,
+      mins: mins.map(array => array.subarray(0, bucketCount)),
+      maxs: maxs.map(array => array.subarray(0, bucketCount))
+    };
+  }
+
+  resetCurrent();
+  return { add, finish, snapshot };
+}
+
+/**
+ * Merge accumulated buckets down to a target number of min/max pairs.
+ * Channels are merged so each pair covers the full mix.
+ * @param {Object} data - Result of accumulator.finish()
+ * @param {number} targetLength - Number of min/max pairs to produce
+ * @returns {Array} - Interleaved [min, max, ...] floats in -1..1
+ */
+function reducePeaks(data, targetLength) {
+  const length = Math.max(1, Math.min(targetLength, data.bucketCount));
+  if (data.bucketCount === 0) return [];
+
+  const peaks = new Array(length * 2);
+  const ratio = data.bucketCount / length;
+
+  for (let i = 0; i < length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+    let min = 32767;
+    let max = -32768;
+    for (let c = 0; c < data.channels; c++) {
+      const channelMins = data.mins[c];
+      const channelMaxs = data.maxs[c];
+      for (let b = start; b < end; b++) {
+        if (channelMins[b] < min) min = channelMins[b];
+        if (channelMaxs[b] > max) max = channelMaxs[b];
+      }
+    }
+    peaks[i * 2] = roundPeak(min / INT16_SCALE);
+    peaks[i * 2 + 1] = roundPeak(max / INT16_SCALE);
+  }
+
+  return peaks;
+}
+
+function roundPeak(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  DEFAULT_SAMPLES_PER_BUCKET,
+  createPeakAccumulator,
+  reducePeaks
+};
@@ -1,13 +1,30 @@
 // Lightweight performance timing utility for structured stage timings
 // Usage:
 // const { createTimer } = require('../utils/perf');
-// const timer = createTimer('audio.process');
+// const timer = createTimer('audio.process', { log: req.log });
 // timer.mark('cache lookup');
 // timer.end('respond');
 // const timings = timer.getSummary();
+// Subscribe to every mark (e.g. to feed metrics):
+// const { onTimerMark } = require('../utils/perf');
+// onTimerMark((timerName, entry) => { ... });
 
 'use strict';
 
+const logger = require('./logger');
+
+const markListeners = new Set();
+
+/**
+ * Call a listener for every mark on every timer
+ * @param {Function} listener - (timerName, entry) where entry is { label, deltaMs, totalMs, ... }
+ * @returns {Function} - Unsubscribe
+ */
+function onTimerMark(listener) {
+  markListeners.add(listener);
+  return () => markListeners.delete(listener);
+}
+
 function hrtimeMs() {
   try {
     // High-resolution time for Node
@@ -17,12 +34,18 @@ function hrtimeMs() {
   }
 }
 
+/**
+ * Start a timer
+ * @param {string} name - Timer name, e.g. 'audio.process'
+ * @param {Object} options - { enabled, log } where log is a logger carrying the request or job ID
+ * @returns {Object} - { mark, end, getSummary }
+ */
 function createTimer(name, options = {}) {
   const startedAtMs = hrtimeMs();
   let lastMarkMs = startedAtMs;
   const marks = [];
   const enabled = process.env.PERF_LOGS === '1' || options.enabled === true;
-  const prefix = `[PERF] ${name}`;
+  const log = (options.log || logger).child({ timer: name });
 
   function mark(label, extras) {
     const nowMs = hrtimeMs();
@@ -31,10 +54,16 @@ function createTimer(name, options = {}) {
     const entry = { label, deltaMs, totalMs, ...(extras || {}) };
     marks.push(entry);
     if (enabled) {
-      // eslint-disable-next-line no-console
-      console.log(`${prefix} - ${label}: +${deltaMs}ms (total ${totalMs}ms)`);
+      log.info(`[PERF] ${name} - ${label}`, { stage: label, deltaMs, totalMs });
     }
     lastMarkMs = nowMs;
+    for (const listener of markListeners) {
+      try {
+        listener(name, entry);
+      } catch (error) {
+        log.error('Timer mark listener failed', { error });
+      }
+    }
     return entry;
   }
 
@@ -45,6 +74,7 @@ function createTimer(name, options = {}) {
   function getSummary() {
     return {
       name,
+      ...(log.bindings.requestId && { requestId: log.bindings.requestId }),
       startedAtMs,
       marks
     };
@@ -53,6 +83,6 @@ function createTimer(name, options = {}) {
   return { mark, end, getSummary };
 }
 
-module.exports = { createTimer };
+module.exports = { createTimer, onTimerMark };
 
 
@@ -0,0 +1,334 @@
+// STFT spectrogram computed while decoding, stored compactly and read back per request
+// Usage:
+// const { createSpectrogramAnalyzer, encodeSpectrogram, readSpectrogram } = require('../utils/spectrogram');
+// const analyzer = createSpectrogramAnalyzer({ sampleRate: 44100, channels: 2, expectedFrames });
+// analyzer.add(int16InterleavedSamples);
+// const stored = encodeSpectrogram(analyzer.finish());
+// const window = readSpectrogram(stored, { scale: 'mel', mels: 128, start: 30, end: 60 });
+// // { values: Float32Array (frames x bins, dB), frames, bins, frequencies, hop, start, end, ... }
+
+'use strict';
+
+const zlib = require('zlib');
+const { realFft, hannWindow, isPowerOfTwo } = require('./fft');
+
+const INT16_SCALE = 32768;
+
+// Frames overlap by three quarters unless a hop is given
+const DEFAULT_FFT_SIZE = 2048;
+// Stored frames per track; longer tracks average neighbouring frames to stay under it
+const DEFAULT_MAX_FRAMES = 4096;
+const MIN_FFT_SIZE = 64;
+const MAX_FFT_SIZE = 8192;
+// Levels are stored as 8-bit dB between MIN_DB and 0 dBFS (a full scale sine)
+const MIN_DB = -100;
+const LEVELS = 255;
+const SCALES = ['mel', 'linear'];
+const DEFAULT_MELS = 128;
+const MIN_MELS = 8;
+const MAX_MELS = 512;
+
+const dbToLevel = db => Math.max(0, Math.min(LEVELS, Math.round(((db - MIN_DB) * LEVELS) / -MIN_DB)));
+const levelToDb = level => MIN_DB + (level * -MIN_DB) / LEVELS;
+const powerToDb = power => (power > 0 ? Math.max(MIN_DB, Math.min(0, 10 * Math.log10(power))) : MIN_DB);
+// Power of each stored level, so levels can be averaged without a log per value
+const LEVEL_POWER = Float64Array.from({ length: LEVELS + 1 }, (value, level) => 10 ** (levelToDb(level) / 10));
+
+/**
+ * Turn decoded PCM into a spectrogram as it arrives. Channels are mixed down and split into
+ * Hann windowed frames of fftSize samples every hop samples (frame i is centred on sample
+ * i * hop); each frame keeps the power of its first fftSize / 2 bins as 8-bit dB.
+ * When the track would need more than maxFrames frames the stored hop doubles until it fits:
+ * frames are taken further apart, down to half overlapping, and past that neighbouring
+ * frames are averaged, so memory and work stay bounded for long or unknown lengths.
+ * @param {Object} options - { sampleRate, channels, fftSize, hop, maxFrames, expectedFrames }
+ * @returns {Object} - { add(Int16Array), finish() }
+ */
+function createSpectrogramAnalyzer({
+  sampleRate,
+  channels = 1,
+  fftSize = DEFAULT_FFT_SIZE,
+  hop = fftSize / 4,
+  maxFrames = DEFAULT_MAX_FRAMES,
+  expectedFrames = 0
+}) {
+  if (!isPowerOfTwo(fftSize)) throw new Error(`Spectrogram FFT size must be a power of two, got ${fftSize}`);
+  hop = Math.max(1, Math.min(fftSize, Math.round(hop)));
+  // An even cap lets stored frames merge in pairs
+  maxFrames = Math.max(2, maxFrames - (maxFrames % 2));
+
+  const bins = fftSize / 2;
+  const window = hannWindow(fftSize);
+  // The Hann window halves a sine's amplitude, so a full scale sine peaks at (fftSize / 4)^2
+  const powerScale = 1 / (fftSize / 4) ** 2;
+
+  // Samples between analysis frames, and analysis frames averaged into each stored frame;
+  // chosen up front when the length is known
+  let stride = hop;
+  let factor = 1;
+  const maxStride = Math.max(hop, fftSize / 2);
+  const coarsen = () => {
+    if (stride * 2 <= maxStride) stride *= 2;
+    else factor *= 2;
+  };
+  while (expectedFrames / (stride * factor) > maxFrames) coarsen();
+
+  const frame = new Float64Array(fftSize);
+  const windowed = new Float64Array(fftSize);
+  const real = new Float64Array(bins);
+  const imag = new Float64Array(bins);
+  const sums = new Float64Array(bins);
+  let summed = 0;
+  let data = new Uint8Array(bins * Math.min(maxFrames, 256));
+  let frameCount = 0;
+  // Half a frame of silence first, so the first frame is centred on the start of the track
+  const state = { filled: fftSize / 2 };
+
+  function analyzeFrame() {
+    for (let i = 0; i < fftSize; i++) windowed[i] = frame[i] * window[i];
+    realFft(windowed, real, imag);
+    for (let k = 0; k < bins; k++) sums[k] += (real[k] * real[k] + imag[k] * imag[k]) * powerScale;
+
+    summed++;
+    if (summed === factor) storeFrame();
+  }
+
+  function storeFrame() {
+    if (data.length < (frameCount + 1) * bins) {
+      const grown = new Uint8Array(Math.min(maxFrames, frameCount * 2) * bins);
+      grown.set(data);
+      data = grown;
+    }
+
+    const offset = frameCount * bins;
+    for (let k = 0; k < bins; k++) {
+      data[offset + k] = dbToLevel(powerToDb(sums[k] / summed));
+      sums[k] = 0;
+    }
+    summed = 0;
+    frameCount++;
+    if (frameCount === maxFrames) mergeFrames();
+  }
+
+  // Average stored frames in pairs and double the stored hop
+  function mergeFrames() {
+    const merged = frameCount / 2;
+    for (let f = 0; f < merged; f++) {
+      for (let k = 0; k < bins; k++) {
+        const power = (LEVEL_POWER[data[2 * f * bins + k]] + LEVEL_POWER[data[(2 * f + 1) * bins + k]]) / 2;
+        data[f * bins + k] = dbToLevel(powerToDb(power));
+      }
+    }
+    frameCount = merged;
+    coarsen();
+  }
+
+  /**
+   * @param {Int16Array} samples - Interleaved samples, length must be a multiple of channels
+   */
+  function add(samples) {
+    const frames = Math.floor(samples.length / channels);
+    const scale = 1 / (channels * INT16_SCALE);
+    let { filled } = state;
+
+    for (let f = 0; f < frames; f++) {
+      const base = f * channels;
+      let mixed = 0;
+      for (let c = 0; c < channels; c++) mixed += samples[base + c];
+
+      frame[filled++] = mixed * scale;
+      if (filled === fftSize) {
+        analyzeFrame();
+        // Keep the overlap for the next frame
+        frame.copyWithin(0, stride);
+        filled = fftSize - stride;
+      }
+    }
+
+    state.filled = filled;
+  }
+
+  function finish() {
+    if (summed > 0) storeFrame();
+    return {
+      sampleRate,
+      fftSize,
+      hop: stride * factor,
+      bins,
+      frames: frameCount,
+      data: data.subarray(0, frameCount * bins)
+    };
+  }
+
+  return { add, finish };
+}
+
+/**
+ * Serialize a spectrogram for storage (JSON friendly, deflated 8-bit levels in base64)
+ * @param {Object} spectrogram - Result of analyzer.finish()
+ * @returns {Object} - Stored spectrogram
+ */
+function encodeSpectrogram({ sampleRate, fftSize, hop, bins, frames, data }) {
+  return {
+    version: 1,
+    sampleRate,
+    fftSize,
+    hop,
+    bins,
+    frames,
+    minDb: MIN_DB,
+    encoding: 'uint8-deflate-base64',
+    data: zlib.deflateSync(data).toString('base64')
+  };
+}
+
+/**
+ * Inflate stored levels back into a Uint8Array, frames x bins with low frequencies first
+ * @param {Object} stored - Stored spectrogram
+ * @returns {Uint8Array}
+ */
+function decodeSpectrogram(stored) {
+  const buffer = zlib.inflateSync(Buffer.from(stored.data, 'base64'));
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+const hzToMel = hz => 2595 * Math.log10(1 + hz / 700);
+const melToHz = mel => 700 * (10 ** (mel / 2595) - 1);
+
+/**
+ * Triangular mel filters over linear bins, each normalized to average the power it covers.
+ * Bands narrower than a bin take the nearest bin, so low bands are never empty.
+ * @param {number} mels - Number of bands
+ * @param {number} bins - Number of linear bins
+ * @param {number} binHz - Width of a linear bin
+ * @returns {Object} - { filters: [{ from, weights }], frequencies } with band centres in Hz
+ */
+function melFilterbank(mels, bins, binHz) {
+  const maxMel = hzToMel(bins * binHz);
+  const edges = Array.from({ length: mels + 2 }, (value, i) => melToHz((i * maxMel) / (mels + 1)));
+
+  const filters = [];
+  for (let m = 0; m < mels; m++) {
+    const [low, centre, high] = [edges[m], edges[m + 1], edges[m + 2]];
+    const from = Math.max(0, Math.ceil(low / binHz));
+    const to = Math.min(bins - 1, Math.floor(high / binHz));
+    const weights = [];
+    let total = 0;
+    for (let k = from; k <= to; k++) {
+      const hz = k * binHz;
+      const weight = Math.max(0, hz <= centre ? (hz - low) / (centre - low) : (high - hz) / (high - centre));
+      weights.push(weight);
+      total += weight;
+    }
+
+    if (total === 0) {
+      filters.push({ from: Math.min(bins - 1, Math.round(centre / binHz)), weights: [1] });
+    } else {
+      filters.push({ from, weights: weights.map(weight => weight / total) });
+    }
+  }
+
+  return { filters, frequencies: edges.slice(1, -1) };
+}
+
+/**
+ * Read a time range of a stored spectrogram at a requested FFT size, hop and frequency scale.
+ * The stored FFT size is the finest available: a smaller fftSize averages neighbouring bins,
+ * and the hop is rounded to a whole multiple of the stored hop by averaging frames.
+ * With alignFrames the range is widened to whole blocks of that many frames (for tiles).
+ * @param {Object} stored - Stored spectrogram
+ * @param {Object} options - { start, end (seconds), fftSize, hop (samples), scale: mel|linear, mels, alignFrames }
+ * @returns {Object} - { values, first, frames, bins, frequencies, scale, fftSize, hop, sampleRate, start, end, minDb }
+ *   with values a Float32Array of dB levels, frame by frame, low frequencies first, and first
+ *   the index of the first frame at this hop
+ */
+function readSpectrogram(stored, options = {}) {
+  const { sampleRate } = stored;
+  const levels = decodeSpectrogram(stored);
+  const duration = (stored.frames * stored.hop) / sampleRate;
+
+  const fftSize = Math.min(stored.fftSize, options.fftSize || stored.fftSize);
+  const binGroup = stored.fftSize / fftSize;
+  const linearBins = stored.bins / binGroup;
+  const binHz = sampleRate / fftSize;
+
+  const frameGroup = Math.max(1, Math.round((options.hop || stored.hop) / stored.hop));
+  const hop = stored.hop * frameGroup;
+  const start = Math.max(0, Math.min(duration, options.start || 0));
+  const end = Math.max(start, Math.min(duration, options.end ?? duration));
+  const align = options.alignFrames || 1;
+  const first = Math.floor((start * sampleRate) / hop / align) * align;
+  const last = Math.min(Math.ceil(stored.frames / frameGroup), Math.ceil((end * sampleRate) / hop / align) * align);
+  const frames = Math.max(0, last - first);
+
+  const scale = options.scale || 'mel';
+  const bank = scale === 'mel' ? melFilterbank(Math.min(options.mels || DEFAULT_MELS, linearBins), linearBins, binHz) : null;
+  const bins = bank ? bank.filters.length : linearBins;
+  const frequencies = bank ? bank.frequencies : Array.from({ length: linearBins }, (value, k) => k * binHz);
+
+  const power = new Float64Array(linearBins);
+  const values = new Float32Array(frames * bins);
+  for (let f = 0; f < frames; f++) {
+    // Average power over the frames and bins merged into this output frame
+    power.fill(0);
+    const fromFrame = (first + f) * frameGroup;
+    const toFrame = Math.min(stored.frames, fromFrame + frameGroup);
+    for (let s = fromFrame; s < toFrame; s++) {
+      const offset = s * stored.bins;
+      for (let k = 0; k < stored.bins; k++) power[Math.floor(k / binGroup)] += LEVEL_POWER[levels[offset + k]];
+    }
+    const count = (toFrame - fromFrame) * binGroup;
+
+    const offset = f * bins;
+    if (bank) {
+      bank.filters.forEach((filter, m) => {
+        let sum = 0;
+        for (let w = 0; w < filter.weights.length; w++) sum += power[filter.from + w] * filter.weights[w];
+        values[offset + m] = powerToDb(sum / count);
+      });
+    } else {
+      for (let k = 0; k < linearBins; k++) values[offset + k] = powerToDb(power[k] / count);
+    }
+  }
+
+  return {
+    values,
+    first,
+    frames,
+    bins,
+    frequencies: frequencies.map(hz => Math.round(hz * 10) / 10),
+    scale,
+    fftSize,
+    hop,
+    sampleRate,
+    start: (first * hop) / sampleRate,
+    end: Math.min(duration, (last * hop) / sampleRate),
+    minDb: MIN_DB
+  };
+}
+
+/**
+ * Scale dB values to 8-bit levels (0 at MIN_DB, 255 at 0 dBFS)
+ * @param {Float32Array} values - dB values
+ * @returns {Uint8Array}
+ */
+function toLevels(values) {
+  return Uint8Array.from(values, dbToLevel);
+}
+
+module.exports = {
+  DEFAULT_FFT_SIZE,
+  DEFAULT_MAX_FRAMES,
+  MIN_FFT_SIZE,
+  MAX_FFT_SIZE,
+  MIN_DB,
+  SCALES,
+  DEFAULT_MELS,
+  MIN_MELS,
+  MAX_MELS,
+  createSpectrogramAnalyzer,
+  encodeSpectrogram,
+  decodeSpectrogram,
+  readSpectrogram,
+  toLevels
+};
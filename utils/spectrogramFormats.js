@@ -0,0 +1,172 @@
+// Spectrogram output formats: JSON tiles, PNG images and raw matrices
+// Usage:
+// const { readSpectrogram } = require('../utils/spectrogram');
+// const { toTiles, toPng } = require('../utils/spectrogramFormats');
+// const window = readSpectrogram(stored, { scale: 'mel', alignFrames: TILE_FRAMES });
+// const tiles = toTiles(window);                   // [{ index, start, end, frames, data }, ...]
+// const png = toPng(window, { colormap: 'magma' }); // Buffer
+
+'use strict';
+
+const zlib = require('zlib');
+const { toLevels } = require('./spectrogram');
+
+// Frames per JSON tile; tiles line up on multiples of this, so clients can cache them
+const TILE_FRAMES = 256;
+const COLORMAPS = ['magma', 'gray'];
+
+// Colour stops from quiet to loud, spread evenly over the 256 levels
+const COLORMAP_STOPS = {
+  magma: [
+    [0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122],
+    [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191]
+  ],
+  gray: [[0, 0, 0], [255, 255, 255]]
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_COLOR_RGB = 2;
+
+const CRC_TABLE = Int32Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+// 256 RGB triplets for a colormap
+function colormapTable(name) {
+  const stops = COLORMAP_STOPS[name];
+  const table = new Uint8Array(256 * 3);
+  for (let level = 0; level < 256; level++) {
+    const position = (level / 255) * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    const fraction = position - index;
+    for (let c = 0; c < 3; c++) {
+      table[level * 3 + c] = Math.round(stops[index][c] + (stops[index + 1][c] - stops[index][c]) * fraction);
+    }
+  }
+  return table;
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * JSON tiles of TILE_FRAMES frames, each with its 8-bit levels (0 at minDb, 255 at 0 dBFS)
+ * as base64, frame by frame with low frequencies first. Read the window with
+ * alignFrames: TILE_FRAMES so tiles start on the shared grid.
+ * @param {Object} window - Result of readSpectrogram()
+ * @returns {Array<Object>} - [{ index, start, end, frames, data }]
+ */
+function toTiles(window) {
+  const levels = toLevels(window.values);
+  const secondsPerFrame = window.hop / window.sampleRate;
+  const tiles = [];
+
+  for (let offset = 0; offset < window.frames; offset += TILE_FRAMES) {
+    const frames = Math.min(TILE_FRAMES, window.frames - offset);
+    const firstFrame = window.first + offset;
+    tiles.push({
+      index: Math.floor(firstFrame / TILE_FRAMES),
+      start: Math.round(firstFrame * secondsPerFrame * 1000) / 1000,
+      end: Math.round((firstFrame + frames) * secondsPerFrame * 1000) / 1000,
+      frames,
+      data: Buffer.from(levels.subarray(offset * window.bins, (offset + frames) * window.bins)).toString('base64')
+    });
+  }
+
+  return tiles;
+}
+
+/**
+ * PNG image, one column per frame and one row per bin, low frequencies at the bottom
+ * @param {Object} window - Result of readSpectrogram(), with at least one frame
+ * @param {Object} options - { colormap: magma|gray }
+ * @returns {Buffer}
+ */
+function toPng(window, options = {}) {
+  const { frames: width, bins: height } = window;
+  const colors = colormapTable(options.colormap || 'magma');
+  const levels = toLevels(window.values);
+
+  // Each scanline starts with filter type 0 (none)
+  const rowBytes = 1 + width * 3;
+  const pixels = Buffer.alloc(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    const bin = height - 1 - y;
+    for (let x = 0; x < width; x++) {
+      const color = levels[x * height + bin] * 3;
+      const offset = y * rowBytes + 1 + x * 3;
+      pixels[offset] = colors[color];
+      pixels[offset + 1] = colors[color + 1];
+      pixels[offset + 2] = colors[color + 2];
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(8, 8);
+  header.writeUInt8(PNG_COLOR_RGB, 9);
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Raw matrix, frame by frame with low frequencies first: float32 little-endian dB values,
+ * or uint8 levels (0 at minDb, 255 at 0 dBFS)
+ * @param {Object} window - Result of readSpectrogram()
+ * @param {string} format - 'float32' or 'uint8'
+ * @returns {Buffer}
+ */
+function toMatrix(window, format) {
+  if (format === 'uint8') return Buffer.from(toLevels(window.values).buffer);
+
+  const buffer = Buffer.alloc(window.values.length * 4);
+  for (let i = 0; i < window.values.length; i++) buffer.writeFloatLE(window.values[i], i * 4);
+  return buffer;
+}
+
+/**
+ * Response headers describing a window, for formats without room for metadata
+ * @param {Object} window - Result of readSpectrogram()
+ * @returns {Object}
+ */
+function describeWindow(window) {
+  return {
+    'X-Spectrogram-Frames': String(window.frames),
+    'X-Spectrogram-Bins': String(window.bins),
+    'X-Spectrogram-Scale': window.scale,
+    'X-Spectrogram-Sample-Rate': String(window.sampleRate),
+    'X-Spectrogram-Fft-Size': String(window.fftSize),
+    'X-Spectrogram-Hop': String(window.hop),
+    'X-Spectrogram-Start': String(window.start),
+    'X-Spectrogram-Min-Db': String(window.minDb)
+  };
+}
+
+module.exports = {
+  TILE_FRAMES,
+  COLORMAPS,
+  toTiles,
+  toPng,
+  toMatrix,
+  describeWindow
+};
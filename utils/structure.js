@@ -0,0 +1,528 @@
+// Song structure segmentation from decoded PCM: section boundaries, repeated section labels and drops
+// Usage:
+// const { createStructureAnalyzer, analyzeStructure } = require('../utils/structure');
+// const structure = createStructureAnalyzer({ sampleRate: 44100, channels: 2 });
+// structure.add(int16InterleavedSamples);
+// const { sections } = analyzeStructure(structure.finish(), rhythm);  // rhythm from analyzeRhythm(), for snapping
+// // [{ id: 'section-0', start: 0, end: 15.02, label: 'A', kind: 'intro', confidence: 0.74, content: 'A · intro', color }, ...]
+
+'use strict';
+
+const { realFft, hannWindow } = require('./fft');
+const { lowpass, applyFilter, growFloat32, roundTo } = require('./dsp');
+
+const INT16_SCALE = 32768;
+
+// Audio is mixed down, low-passed and decimated to about this rate before the FFT
+const ANALYSIS_RATE = 11025;
+const LOWPASS_HZ = 5000;
+// 1024 points at ~11 kHz: ~93 ms frames, half overlapping
+const FRAME_SIZE = 1024;
+const HOP_SIZE = FRAME_SIZE / 2;
+// FFT frames are averaged into feature frames of about this length
+const FEATURE_SECONDS = 0.5;
+
+// Timbre: log energies in log-spaced bands; bands below LOW_BAND_HZ also make up the bass energy
+const BAND_COUNT = 16;
+const MIN_BAND_HZ = 40;
+const MAX_BAND_HZ = 5000;
+const LOW_BAND_HZ = 160;
+const MIN_PITCH_HZ = 110;
+const MAX_PITCH_HZ = 2000;
+// Power floor for logarithms (-100 dB) and frames treated as silence (-60 dB mean square)
+const POWER_FLOOR = 1e-10;
+const SILENCE_ENERGY = 1e-6;
+
+// Features are smoothed over about 2 seconds so single beats and notes do not look like changes
+const SMOOTH_SECONDS = 2;
+// Band energies are standardized over the track, but a band varying less than this is not
+// stretched to look as if it changed, so steady tracks and codec noise stay flat
+const MIN_BAND_DEVIATION_DB = 3;
+// Chroma differences are small next to standardized band energies; scaled by this, a change
+// of chord counts about as much as a clear change of sound
+const CHROMA_WEIGHT = 4;
+// Mean squared feature difference at which the similarity of two frames falls to 1/e
+const SIMILARITY_SCALE = 0.1;
+// Checkerboard kernel half width: the novelty of a boundary compares 8 seconds either side
+const KERNEL_SECONDS = 8;
+// Sections are at least this long; boundaries are picked as the strongest novelty peaks this far apart
+const MIN_SECTION_SECONDS = 8;
+// Novelty peaks must stand this many standard deviations above the mean novelty, and above
+// MIN_NOVELTY so steady tracks are not split on noise
+const PEAK_THRESHOLD = 0.5;
+const MIN_NOVELTY = 0.2;
+// Too short to hold two sections and the kernel around their boundary
+const MIN_ANALYSIS_SECONDS = 30;
+// Beat tracking confidence above which boundaries are moved onto the beat grid
+const SNAP_MIN_CONFIDENCE = 0.3;
+
+// Similarity of section features (see similarity()) at which two sections share a label
+const LABEL_SIMILARITY = 0.6;
+// A drop is louder than the section before it by this much, overall and in the bass,
+// and among the loudest sections of the track
+const DROP_RISE_DB = 4;
+const DROP_LOUDEST_DB = 3;
+
+// Region colours per label, reused in order when there are more labels
+const LABEL_COLORS = [
+  'rgba(66, 133, 244, 0.25)', 'rgba(219, 68, 55, 0.25)', 'rgba(244, 180, 0, 0.25)', 'rgba(15, 157, 88, 0.25)',
+  'rgba(171, 71, 188, 0.25)', 'rgba(0, 172, 193, 0.25)', 'rgba(255, 112, 67, 0.25)', 'rgba(158, 157, 36, 0.25)'
+];
+
+/**
+ * Turn decoded PCM into structure features as it arrives, one feature frame per ~0.5 s:
+ * BAND_COUNT log band energies (timbre), a 12 pitch class chroma, and the overall and bass
+ * energy in dB. Channels are mixed down, low-passed and decimated before the FFT.
+ * Memory is about 30 floats per feature frame, never more than maxFrames (the most frames
+ * the caller will add) needs.
+ * @param {Object} options - { sampleRate, channels, maxFrames }
+ * @returns {Object} - { add(Int16Array), finish() }
+ */
+function createStructureAnalyzer({ sampleRate, channels = 1, maxFrames = Infinity }) {
+  const decimation = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+  const rate = sampleRate / decimation;
+  const cutoff = Math.min(LOWPASS_HZ, rate * 0.45);
+  // Fourth order Butterworth as two biquads, so little above the new Nyquist folds back
+  const filters = [lowpass(cutoff, sampleRate, 0.5412), lowpass(cutoff, sampleRate, 1.3066)];
+  const window = hannWindow(FRAME_SIZE);
+  const binHz = rate / FRAME_SIZE;
+
+  // Band of every bin in the timbre range; a band too narrow for any bin takes its nearest one
+  const bandOfBin = new Int8Array(FRAME_SIZE / 2).fill(-1);
+  const maxBandHz = Math.min(MAX_BAND_HZ, rate / 2);
+  const edges = Array.from({ length: BAND_COUNT + 1 }, (value, b) => MIN_BAND_HZ * (maxBandHz / MIN_BAND_HZ) ** (b / BAND_COUNT));
+  for (let b = 0; b < BAND_COUNT; b++) {
+    let assigned = false;
+    for (let k = 1; k < FRAME_SIZE / 2; k++) {
+      const frequency = k * binHz;
+      if (frequency >= edges[b] && frequency < edges[b + 1]) {
+        bandOfBin[k] = b;
+        assigned = true;
+      }
+    }
+    if (!assigned) {
+      const nearest = Math.min(FRAME_SIZE / 2 - 1, Math.max(1, Math.round(Math.sqrt(edges[b] * edges[b + 1]) / binHz)));
+      if (bandOfBin[nearest] < 0) bandOfBin[nearest] = b;
+    }
+  }
+  const lowBands = edges.filter((edge, b) => b < BAND_COUNT && edges[b + 1] <= LOW_BAND_HZ).length || 1;
+
+  // Pitch class and weight of every bin in the pitch range (A4 = 440 Hz)
+  const pitchBins = [];
+  for (let k = 1; k < FRAME_SIZE / 2; k++) {
+    const frequency = k * binHz;
+    if (frequency < MIN_PITCH_HZ || frequency > MAX_PITCH_HZ) continue;
+    const pitch = 12 * Math.log2(frequency / 440) + 69;
+    const nearest = Math.round(pitch);
+    pitchBins.push({ k, pitchClass: ((nearest % 12) + 12) % 12, weight: Math.cos(Math.PI * (pitch - nearest)) ** 2 });
+  }
+
+  const frame = new Float64Array(FRAME_SIZE);
+  const windowed = new Float64Array(FRAME_SIZE);
+  const real = new Float64Array(FRAME_SIZE / 2);
+  const imag = new Float64Array(FRAME_SIZE / 2);
+  const hopsPerFeature = Math.max(1, Math.round((FEATURE_SECONDS * rate) / HOP_SIZE));
+  // finish() flushes a last, partly filled feature frame
+  const capacity = Math.ceil(maxFrames / (decimation * HOP_SIZE * hopsPerFeature)) + 1;
+
+  let timbre = new Float32Array(BAND_COUNT * Math.min(1024, capacity));
+  let chroma = new Float32Array(12 * Math.min(1024, capacity));
+  let energy = new Float32Array(Math.min(1024, capacity));
+  let bass = new Float32Array(Math.min(1024, capacity));
+  let featureCount = 0;
+  let totalFrames = 0;
+
+  const bandPower = new Float64Array(BAND_COUNT);
+  const chromaSum = new Float64Array(12);
+  let framePower = 0;
+  let voicedFrames = 0;
+  let hopsInFeature = 0;
+  // Sample counters between add() calls
+  const state = { filled: 0, decimationCount: 0 };
+
+  function analyzeFrame() {
+    let power = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      power += frame[i] * frame[i];
+      windowed[i] = frame[i] * window[i];
+    }
+    power /= FRAME_SIZE;
+    framePower += power;
+
+    if (power >= SILENCE_ENERGY) {
+      realFft(windowed, real, imag);
+      for (let k = 1; k < FRAME_SIZE / 2; k++) {
+        if (bandOfBin[k] >= 0) bandPower[bandOfBin[k]] += real[k] * real[k] + imag[k] * imag[k];
+      }
+
+      const frameChroma = new Float64Array(12);
+      let total = 0;
+      for (const bin of pitchBins) {
+        const magnitude = Math.sqrt(real[bin.k] * real[bin.k] + imag[bin.k] * imag[bin.k]) * bin.weight;
+        frameChroma[bin.pitchClass] += magnitude;
+        total += magnitude;
+      }
+      if (total > 0) {
+        for (let c = 0; c < 12; c++) chromaSum[c] += frameChroma[c] / total;
+        voicedFrames++;
+      }
+    }
+
+    hopsInFeature++;
+    if (hopsInFeature === hopsPerFeature) flushFeature();
+  }
+
+  function flushFeature() {
+    timbre = growFloat32(timbre, (featureCount + 1) * BAND_COUNT, capacity * BAND_COUNT);
+    chroma = growFloat32(chroma, (featureCount + 1) * 12, capacity * 12);
+    energy = growFloat32(energy, featureCount + 1, capacity);
+    bass = growFloat32(bass, featureCount + 1, capacity);
+
+    // Only differences between frames matter, so band powers are left in FFT units
+    const scale = 1 / hopsInFeature;
+    let lowPower = 0;
+    for (let b = 0; b < BAND_COUNT; b++) {
+      timbre[featureCount * BAND_COUNT + b] = 10 * Math.log10(POWER_FLOOR + bandPower[b] * scale);
+      if (b < lowBands) lowPower += bandPower[b] * scale;
+    }
+    for (let c = 0; c < 12; c++) chroma[featureCount * 12 + c] = voicedFrames > 0 ? chromaSum[c] / voicedFrames : 0;
+    energy[featureCount] = 10 * Math.log10(POWER_FLOOR + framePower / hopsInFeature);
+    bass[featureCount] = 10 * Math.log10(POWER_FLOOR + lowPower);
+    featureCount++;
+
+    bandPower.fill(0);
+    chromaSum.fill(0);
+    framePower = 0;
+    voicedFrames = 0;
+    hopsInFeature = 0;
+  }
+
+  /**
+   * @param {Int16Array} samples - Interleaved samples, length must be a multiple of channels
+   */
+  function add(samples) {
+    const frames = Math.floor(samples.length / channels);
+    const scale = 1 / (channels * INT16_SCALE);
+    const [first, second] = filters;
+    totalFrames += frames;
+    // Locals rather than closure variables keep this per-sample loop fast
+    let { filled, decimationCount } = state;
+
+    for (let f = 0; f < frames; f++) {
+      const base = f * channels;
+      let mixed = 0;
+      for (let c = 0; c < channels; c++) mixed += samples[base + c];
+      mixed = applyFilter(second, applyFilter(first, mixed * scale));
+
+      decimationCount++;
+      if (decimationCount < decimation) continue;
+      decimationCount = 0;
+
+      frame[filled++] = mixed;
+      if (filled === FRAME_SIZE) {
+        analyzeFrame();
+        // Keep the second half for the next, overlapping frame
+        frame.copyWithin(0, HOP_SIZE);
+        filled = FRAME_SIZE - HOP_SIZE;
+      }
+    }
+
+    Object.assign(state, { filled, decimationCount });
+  }
+
+  function finish() {
+    if (hopsInFeature > 0) flushFeature();
+    return {
+      frameSeconds: (hopsPerFeature * HOP_SIZE) / rate,
+      frames: featureCount,
+      duration: totalFrames / sampleRate,
+      bandCount: BAND_COUNT,
+      timbre: timbre.subarray(0, featureCount * BAND_COUNT),
+      chroma: chroma.subarray(0, featureCount * 12),
+      energy: energy.subarray(0, featureCount),
+      bass: bass.subarray(0, featureCount)
+    };
+  }
+
+  return { add, finish };
+}
+
+/**
+ * One feature vector per frame: timbre bands standardized over the track, then chroma less
+ * its mean and scaled by CHROMA_WEIGHT, all smoothed over SMOOTH_SECONDS
+ * @param {Object} data - Result of structureAnalyzer.finish()
+ * @returns {Object} - { vectors: Float64Array, size }
+ */
+function featureVectors({ frameSeconds, frames, bandCount, timbre, chroma }) {
+  const size = bandCount + 12;
+  const raw = new Float64Array(frames * size);
+
+  for (let b = 0; b < bandCount; b++) {
+    let mean = 0;
+    for (let i = 0; i < frames; i++) mean += timbre[i * bandCount + b];
+    mean /= frames;
+    let variance = 0;
+    for (let i = 0; i < frames; i++) variance += (timbre[i * bandCount + b] - mean) ** 2;
+    const deviation = Math.max(MIN_BAND_DEVIATION_DB, Math.sqrt(variance / frames));
+    for (let i = 0; i < frames; i++) raw[i * size + b] = (timbre[i * bandCount + b] - mean) / deviation;
+  }
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < 12; c++) raw[i * size + bandCount + c] = CHROMA_WEIGHT * (chroma[i * 12 + c] - 1 / 12);
+  }
+
+  // Centered moving average
+  const radius = Math.max(0, Math.round(SMOOTH_SECONDS / frameSeconds / 2));
+  const vectors = new Float64Array(frames * size);
+  for (let i = 0; i < frames; i++) {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(frames - 1, i + radius);
+    for (let j = from; j <= to; j++) {
+      for (let d = 0; d < size; d++) vectors[i * size + d] += raw[j * size + d];
+    }
+    for (let d = 0; d < size; d++) vectors[i * size + d] /= to - from + 1;
+  }
+
+  return { vectors, size };
+}
+
+/**
+ * Similarity of two feature vectors, from 1 when equal towards 0: a Gaussian of their mean
+ * squared difference. Unlike cosine similarity, small wobbles in a steady track stay similar.
+ * @param {Float64Array} a
+ * @param {number} aOffset - Start of the first vector in a
+ * @param {Float64Array} b
+ * @param {number} bOffset - Start of the second vector in b
+ * @param {number} size - Vector length
+ * @returns {number}
+ */
+function similarity(a, aOffset, b, bOffset, size) {
+  let sum = 0;
+  for (let d = 0; d < size; d++) {
+    const difference = a[aOffset + d] - b[bOffset + d];
+    sum += difference * difference;
+  }
+  return Math.exp(-sum / size / SIMILARITY_SCALE);
+}
+
+/**
+ * Foote novelty: a Gaussian tapered checkerboard kernel slid along the diagonal of the
+ * self-similarity matrix. Only the band of the matrix the kernel covers is computed, so
+ * time and memory grow linearly with the track. novelty[i] scores a boundary at the
+ * start of frame i, from -1 to 1.
+ * @param {Float64Array} vectors - Feature vectors from featureVectors()
+ * @param {number} size - Vector length
+ * @param {number} frames - Number of frames
+ * @param {number} half - Kernel half width in frames
+ * @returns {Float64Array}
+ */
+function noveltyCurve(vectors, size, frames, half) {
+  const width = 2 * half;
+  // band[i * width + d] is the similarity of frame i and frame i + d
+  const band = new Float64Array(frames * width);
+  for (let i = 0; i < frames; i++) {
+    for (let d = 0; d < width && i + d < frames; d++) band[i * width + d] = similarity(vectors, i * size, vectors, (i + d) * size, size);
+  }
+
+  const taper = Float64Array.from({ length: width }, (value, k) => {
+    const offset = (k - half + 0.5) / (half / 2);
+    return Math.exp(-0.5 * offset * offset);
+  });
+
+  const novelty = new Float64Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    let weight = 0;
+    for (let a = 0; a < width; a++) {
+      const row = i - half + a;
+      if (row < 0 || row >= frames) continue;
+      for (let b = a; b < width; b++) {
+        const column = i - half + b;
+        if (column >= frames) break;
+        // Same side of the boundary counts for it, across the boundary against; off-diagonal cells count twice
+        const sign = (a < half) === (b < half) ? 1 : -1;
+        const cell = taper[a] * taper[b] * (a === b ? 1 : 2);
+        sum += sign * cell * band[row * width + (b - a)];
+        weight += cell;
+      }
+    }
+    novelty[i] = weight > 0 ? sum / weight : 0;
+  }
+  return novelty;
+}
+
+/**
+ * Boundary frames: local novelty maxima above the thresholds, strongest first, at least
+ * MIN_SECTION_SECONDS from each other and from either end
+ * @param {Float64Array} novelty
+ * @param {number} minFrames - Minimum section length in frames
+ * @returns {Array<number>} - Frame indexes in order
+ */
+function pickBoundaries(novelty, minFrames) {
+  const frames = novelty.length;
+  let mean = 0;
+  for (let i = 0; i < frames; i++) mean += novelty[i];
+  mean /= frames;
+  let variance = 0;
+  for (let i = 0; i < frames; i++) variance += (novelty[i] - mean) ** 2;
+  const threshold = mean + PEAK_THRESHOLD * Math.sqrt(variance / frames);
+
+  const candidates = [];
+  for (let i = minFrames; i <= frames - minFrames; i++) {
+    if (novelty[i] <= threshold || novelty[i] < MIN_NOVELTY) continue;
+    if (novelty[i] >= novelty[i - 1] && novelty[i] > novelty[i + 1]) candidates.push(i);
+  }
+  candidates.sort((a, b) => novelty[b] - novelty[a]);
+
+  const picked = [];
+  for (const candidate of candidates) {
+    if (picked.every(boundary => Math.abs(boundary - candidate) >= minFrames)) picked.push(candidate);
+  }
+  return picked.sort((a, b) => a - b);
+}
+
+/**
+ * Move a boundary onto the nearest downbeat within a beat, or else the nearest beat within
+ * half a beat, when the beat grid is reliable. Boundaries are already within about a
+ * feature frame, so a tempo that is slightly off cannot pull them far.
+ * @param {number} time - Boundary time in seconds
+ * @param {Object} rhythm - Result of analyzeRhythm()
+ * @returns {number}
+ */
+function snapToBeats(time, rhythm) {
+  if (!rhythm || !rhythm.bpm || rhythm.confidence < SNAP_MIN_CONFIDENCE) return time;
+  const beatSeconds = 60 / rhythm.bpm;
+  const nearest = (times, within) => {
+    let best = null;
+    for (const candidate of times) {
+      if (Math.abs(candidate - time) <= within && (best === null || Math.abs(candidate - time) < Math.abs(best - time))) {
+        best = candidate;
+      }
+    }
+    return best;
+  };
+  const downbeat = nearest(rhythm.downbeats || [], beatSeconds);
+  if (downbeat !== null) return downbeat;
+  const beat = nearest(rhythm.beats || [], beatSeconds / 2);
+  return beat !== null ? beat : time;
+}
+
+// Labels A to Z, then AA, AB and so on
+function labelName(index) {
+  let name = '';
+  for (let n = index; n >= 0; n = Math.floor(n / 26) - 1) name = String.fromCharCode(65 + (n % 26)) + name;
+  return name;
+}
+
+function mean(values, from, to) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += values[i];
+  return sum / Math.max(1, to - from);
+}
+
+/**
+ * Split a track into sections from its structure features.
+ * Boundaries are novelty peaks of the self-similarity matrix, snapped to the beat grid when
+ * there is a reliable one. Sections that sound alike share a label (A, B, C, ...), in order
+ * of first appearance; confidence is how closely a section matches the others with its
+ * label, or for a label heard once, how clearly it differs from every other section.
+ * kind marks the intro, the outro and drops (a jump in overall and bass energy to among the
+ * loudest of the track), and is null otherwise; verses and choruses are not told apart.
+ * Sections carry id, start, end, content and color, so they can be passed as they are to
+ * the WaveSurfer regions plugin. Tracks shorter than MIN_ANALYSIS_SECONDS get no sections.
+ * @param {Object} data - Result of structureAnalyzer.finish()
+ * @param {Object} rhythm - Result of analyzeRhythm(), or null to keep boundaries unsnapped
+ * @returns {Object} - { sections: [{ id, start, end, label, kind, confidence, content, color }] }
+ */
+function analyzeStructure(data, rhythm = null) {
+  const { frameSeconds, frames, duration, energy, bass } = data;
+  if (duration < MIN_ANALYSIS_SECONDS) return { sections: [] };
+
+  const { vectors, size } = featureVectors(data);
+  const minFrames = Math.max(1, Math.round(MIN_SECTION_SECONDS / frameSeconds));
+  const novelty = noveltyCurve(vectors, size, frames, Math.max(1, Math.round(KERNEL_SECONDS / frameSeconds)));
+  const edges = [0, ...pickBoundaries(novelty, minFrames), frames];
+
+  // Mean feature vector of every section
+  const means = edges.slice(0, -1).map((from, s) => {
+    const to = edges[s + 1];
+    const vector = new Float64Array(size);
+    for (let i = from; i < to; i++) {
+      for (let d = 0; d < size; d++) vector[d] += vectors[i * size + d] / (to - from);
+    }
+    return vector;
+  });
+  const sectionSimilarity = (a, b) => similarity(means[a], 0, means[b], 0, size);
+
+  // Each section joins the most similar earlier label, or starts a new one
+  const labels = [];
+  const members = [];
+  means.forEach((vector, s) => {
+    let best = -1;
+    let bestScore = LABEL_SIMILARITY;
+    members.forEach((group, label) => {
+      const score = group.reduce((sum, member) => sum + sectionSimilarity(s, member), 0) / group.length;
+      if (score >= bestScore) {
+        best = label;
+        bestScore = score;
+      }
+    });
+    if (best < 0) {
+      best = members.length;
+      members.push([]);
+    }
+    members[best].push(s);
+    labels.push(best);
+  });
+
+  const confidences = means.map((vector, s) => {
+    const group = members[labels[s]].filter(member => member !== s);
+    if (group.length > 0) return group.reduce((sum, member) => sum + sectionSimilarity(s, member), 0) / group.length;
+    const others = means.map((other, t) => (t === s ? 0 : sectionSimilarity(s, t)));
+    return means.length > 1 ? 1 - Math.max(...others) : 1;
+  });
+
+  const energies = edges.slice(0, -1).map((from, s) => mean(energy, from, edges[s + 1]));
+  const basses = edges.slice(0, -1).map((from, s) => mean(bass, from, edges[s + 1]));
+  const loudest = Math.max(...energies);
+  const median = [...energies].sort((a, b) => a - b)[Math.floor(energies.length / 2)];
+  const last = energies.length - 1;
+
+  const kinds = energies.map((level, s) => {
+    if (s > 0 && level - energies[s - 1] >= DROP_RISE_DB && basses[s] - basses[s - 1] >= DROP_RISE_DB &&
+      level >= loudest - DROP_LOUDEST_DB) return 'drop';
+    if (energies.length >= 3 && s === 0 && level < median) return 'intro';
+    if (energies.length >= 3 && s === last && level < median) return 'outro';
+    return null;
+  });
+
+  // Snapped boundaries stay in order; one that would not keeps its own time
+  const times = edges.map(edge => Math.min(duration, edge * frameSeconds));
+  for (let s = 1; s <= last; s++) {
+    const snapped = snapToBeats(times[s], rhythm);
+    if (snapped > times[s - 1] && snapped < times[s + 1]) times[s] = snapped;
+  }
+
+  const sections = [];
+  for (let s = 0; s <= last; s++) {
+    const start = roundTo(times[s], 3);
+    const end = roundTo(times[s + 1], 3);
+    const label = labelName(labels[s]);
+    sections.push({
+      id: `section-${sections.length}`,
+      start,
+      end,
+      label,
+      kind: kinds[s],
+      confidence: roundTo(Math.max(0, Math.min(1, confidences[s])), 2),
+      content: kinds[s] ? `${label} · ${kinds[s]}` : label,
+      color: LABEL_COLORS[labels[s] % LABEL_COLORS.length]
+    });
+  }
+
+  return { sections };
+}
+
+module.exports = {
+  createStructureAnalyzer,
+  analyzeStructure
+};
@@ -0,0 +1,290 @@
+// Tempo (BPM) and beat grid estimation from decoded PCM
+// Usage:
+// const { createOnsetDetector, analyzeRhythm } = require('../utils/tempo');
+// const onsets = createOnsetDetector({ sampleRate: 44100, channels: 2 });
+// onsets.add(int16InterleavedSamples);
+// const analysis = analyzeRhythm(onsets.finish());
+// // { bpm: 127.9, confidence: 0.71, beatsPerBar: 4, beats: [0.482, 0.951, ...], downbeats: [...] }
+
+'use strict';
+
+const { growFloat32, roundTo } = require('./dsp');
+
+const INT16_SCALE = 32768;
+
+// Onset envelope frames per second (frames are ~10 ms)
+const ENVELOPE_RATE = 100;
+// Band edges for the onset envelope: kick drums below the first, hi-hats above the second
+const LOW_BAND_HZ = 150;
+const HIGH_BAND_HZ = 2000;
+// Mean square energy treated as silence (-60 dB), and the smallest rise in log energy that
+// counts as an onset, so steady tones and codec noise do not make a pulse of their own
+const ENERGY_FLOOR = 1e-6;
+const MIN_ONSET_RISE = 0.1;
+
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+// Tempo prior: log-normal weighting around 120 BPM, one octave wide, against octave errors
+const PRIOR_BPM = 120;
+const PRIOR_OCTAVES = 1;
+// Penalty for beats that stray from the tempo period in the beat tracker
+const TIGHTNESS = 100;
+const BEATS_PER_BAR = 4;
+// Too short to hold a few beats at the slowest tempo
+const MIN_ANALYSIS_SECONDS = 5;
+
+/**
+ * Turn decoded PCM into onset strength envelopes as it arrives.
+ * Channels are mixed down and split into three bands with one-pole filters; each envelope
+ * frame holds the rise in log energy per band, summed (onsets) and for the low band alone
+ * (lowOnsets, used to place downbeats). Memory is one float pair per 10 ms of audio, never
+ * more than maxFrames (the most frames the caller will add) needs.
+ * @param {Object} options - { sampleRate, channels, maxFrames }
+ * @returns {Object} - { add(Int16Array), finish() }
+ */
+function createOnsetDetector({ sampleRate, channels = 1, maxFrames = Infinity }) {
+  const hop = Math.max(1, Math.round(sampleRate / ENVELOPE_RATE));
+  const capacity = Math.ceil(maxFrames / hop);
+  const lowAlpha = 1 - Math.exp((-2 * Math.PI * LOW_BAND_HZ) / sampleRate);
+  const highAlpha = 1 - Math.exp((-2 * Math.PI * HIGH_BAND_HZ) / sampleRate);
+
+  let onsets = new Float32Array(Math.min(4096, capacity));
+  let lowOnsets = new Float32Array(Math.min(4096, capacity));
+  let frameCount = 0;
+
+  // Filter and energy state between add() calls
+  const state = { low: 0, mid: 0, lowEnergy: 0, midEnergy: 0, highEnergy: 0, framesInHop: 0 };
+  let previous = null;
+
+  function flushHop(lowEnergy, midEnergy, highEnergy) {
+    const bands = [lowEnergy, midEnergy, highEnergy].map(energy => Math.log(ENERGY_FLOOR + energy / hop));
+    let onset = 0;
+    let lowOnset = 0;
+    if (previous) {
+      for (let b = 0; b < bands.length; b++) {
+        const difference = bands[b] - previous[b];
+        const rise = difference >= MIN_ONSET_RISE ? difference : 0;
+        onset += rise;
+        if (b === 0) lowOnset = rise;
+      }
+    }
+    previous = bands;
+
+    onsets = growFloat32(onsets, frameCount + 1, capacity);
+    lowOnsets = growFloat32(lowOnsets, frameCount + 1, capacity);
+    onsets[frameCount] = onset;
+    lowOnsets[frameCount] = lowOnset;
+    frameCount++;
+  }
+
+  /**
+   * @param {Int16Array} samples - Interleaved samples, length must be a multiple of channels
+   */
+  function add(samples) {
+    const frames = Math.floor(samples.length / channels);
+    const scale = 1 / (channels * INT16_SCALE);
+    // Locals rather than closure variables keep this per-sample loop fast
+    let { low, mid, lowEnergy, midEnergy, highEnergy, framesInHop } = state;
+
+    for (let f = 0; f < frames; f++) {
+      const base = f * channels;
+      let mixed = 0;
+      for (let c = 0; c < channels; c++) mixed += samples[base + c];
+      mixed *= scale;
+
+      low += lowAlpha * (mixed - low);
+      mid += highAlpha * (mixed - mid);
+      const band = mid - low;
+      const high = mixed - mid;
+      lowEnergy += low * low;
+      midEnergy += band * band;
+      highEnergy += high * high;
+
+      if (++framesInHop === hop) {
+        flushHop(lowEnergy, midEnergy, highEnergy);
+        lowEnergy = 0;
+        midEnergy = 0;
+        highEnergy = 0;
+        framesInHop = 0;
+      }
+    }
+
+    Object.assign(state, { low, mid, lowEnergy, midEnergy, highEnergy, framesInHop });
+  }
+
+  function finish() {
+    return {
+      frameRate: sampleRate / hop,
+      onsets: onsets.subarray(0, frameCount),
+      lowOnsets: lowOnsets.subarray(0, frameCount)
+    };
+  }
+
+  return { add, finish };
+}
+
+/**
+ * Tempo period in envelope frames from the autocorrelation of the onset envelope,
+ * weighted by the tempo prior and refined between lags
+ * @param {Float32Array} envelope - Onset envelope with its mean removed
+ * @param {number} frameRate - Envelope frames per second
+ * @returns {Object|null} - { period, confidence } or null when nothing repeats
+ */
+function estimatePeriod(envelope, frameRate) {
+  const minLag = Math.floor((60 / MAX_BPM) * frameRate);
+  const maxLag = Math.ceil((60 / MIN_BPM) * frameRate);
+  if (envelope.length <= maxLag * 2) return null;
+
+  let energy = 0;
+  for (let i = 0; i < envelope.length; i++) energy += envelope[i] * envelope[i];
+  if (energy === 0) return null;
+
+  // Normalized autocorrelation for every lag in range, one past each end for refinement
+  const correlation = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) sum += envelope[i] * envelope[i - lag];
+    correlation[lag] = sum / energy;
+  }
+
+  const priorLag = (60 / PRIOR_BPM) * frameRate;
+  let bestLag = -1;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const octaves = Math.log2(lag / priorLag) / PRIOR_OCTAVES;
+    const score = correlation[lag] * Math.exp(-0.5 * octaves * octaves);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (bestLag < 0) return null;
+
+  // Parabolic interpolation gives a fractional period, so fast tempos are not rounded to whole frames
+  const before = correlation[bestLag - 1];
+  const at = correlation[bestLag];
+  const after = correlation[bestLag + 1];
+  const curvature = before - 2 * at + after;
+  const offset = curvature < 0 ? Math.max(-0.5, Math.min(0.5, (0.5 * (before - after)) / curvature)) : 0;
+
+  return { period: bestLag + offset, confidence: Math.max(0, Math.min(1, at)) };
+}
+
+/**
+ * Dynamic programming beat tracker: picks onset frames spaced close to the period,
+ * trading onset strength against drift from the tempo
+ * @param {Float32Array} envelope - Onset envelope scaled to unit deviation
+ * @param {number} period - Beat period in frames
+ * @returns {Array<number>} - Beat frame indexes in order
+ */
+function trackBeats(envelope, period) {
+  const length = envelope.length;
+  const score = new Float64Array(length);
+  const backlink = new Int32Array(length).fill(-1);
+  const searchFrom = Math.round(2 * period);
+  const searchTo = Math.max(1, Math.round(period / 2));
+
+  for (let t = 0; t < length; t++) {
+    let best = 0;
+    let bestPrevious = -1;
+    for (let previous = Math.max(0, t - searchFrom); previous <= t - searchTo; previous++) {
+      const drift = Math.log((t - previous) / period);
+      const candidate = score[previous] - TIGHTNESS * drift * drift;
+      if (bestPrevious < 0 || candidate > best) {
+        best = candidate;
+        bestPrevious = previous;
+      }
+    }
+    score[t] = envelope[t] + (bestPrevious >= 0 ? best : 0);
+    backlink[t] = bestPrevious;
+  }
+
+  // End on the best scoring frame within the last period
+  let last = Math.max(0, length - Math.ceil(period));
+  for (let t = last; t < length; t++) {
+    if (score[t] > score[last]) last = t;
+  }
+
+  const beats = [];
+  for (let t = last; t >= 0; t = backlink[t]) beats.push(t);
+  return beats.reverse();
+}
+
+// Drop beats at either end that fall on near-silence (intros, fade-outs)
+function trimBeats(beats, envelope) {
+  if (beats.length === 0) return beats;
+  let sumSquares = 0;
+  for (const beat of beats) sumSquares += envelope[beat] * envelope[beat];
+  const threshold = 0.5 * Math.sqrt(sumSquares / beats.length);
+
+  let start = 0;
+  let end = beats.length;
+  while (start < end && envelope[beats[start]] < threshold) start++;
+  while (end > start && envelope[beats[end - 1]] < threshold) end--;
+  return beats.slice(start, end);
+}
+
+// Bar phase whose beats carry the most low-band onset energy (kick drums mark the one)
+function downbeatPhase(beats, lowOnsets) {
+  const totals = new Array(BEATS_PER_BAR).fill(0);
+  beats.forEach((beat, index) => {
+    totals[index % BEATS_PER_BAR] += lowOnsets[beat];
+  });
+  return totals.indexOf(Math.max(...totals));
+}
+
+/**
+ * Estimate tempo, beats and downbeats from onset envelopes.
+ * Assumes a steady tempo and four beats to the bar. Tracks without a clear pulse get
+ * a low confidence; tracks too short or silent get bpm null and no beats.
+ * @param {Object} data - Result of onsetDetector.finish()
+ * @returns {Object} - { bpm, confidence, beatsPerBar, beats, downbeats } with times in seconds
+ */
+function analyzeRhythm({ frameRate, onsets, lowOnsets }) {
+  const empty = { bpm: null, confidence: 0, beatsPerBar: BEATS_PER_BAR, beats: [], downbeats: [] };
+  if (onsets.length < MIN_ANALYSIS_SECONDS * frameRate) return empty;
+
+  let mean = 0;
+  for (let i = 0; i < onsets.length; i++) mean += onsets[i];
+  mean /= onsets.length;
+
+  let variance = 0;
+  for (let i = 0; i < onsets.length; i++) variance += (onsets[i] - mean) ** 2;
+  const deviation = Math.sqrt(variance / onsets.length);
+  if (deviation === 0) return empty;
+
+  // Smoothed over three frames, a period between two whole lags still gives one clear peak
+  const centered = new Float32Array(onsets.length);
+  for (let i = 0; i < onsets.length; i++) {
+    const previous = onsets[Math.max(0, i - 1)];
+    const next = onsets[Math.min(onsets.length - 1, i + 1)];
+    centered[i] = 0.25 * previous + 0.5 * onsets[i] + 0.25 * next - mean;
+  }
+
+  const tempo = estimatePeriod(centered, frameRate);
+  if (!tempo) return empty;
+
+  const scaled = new Float32Array(onsets.length);
+  for (let i = 0; i < onsets.length; i++) scaled[i] = onsets[i] / deviation;
+  const beats = trimBeats(trackBeats(scaled, tempo.period), scaled);
+
+  // The average spacing of the tracked beats is finer than one autocorrelation lag
+  const bpm = beats.length >= 8
+    ? (60 * frameRate * (beats.length - 1)) / (beats[beats.length - 1] - beats[0])
+    : (60 * frameRate) / tempo.period;
+  const phase = beats.length > 0 ? downbeatPhase(beats, lowOnsets) : 0;
+  const toSeconds = frame => roundTo(frame / frameRate, 3);
+
+  return {
+    bpm: roundTo(bpm, 1),
+    confidence: roundTo(tempo.confidence, 2),
+    beatsPerBar: BEATS_PER_BAR,
+    beats: beats.map(toSeconds),
+    downbeats: beats.filter((beat, index) => index % BEATS_PER_BAR === phase).map(toSeconds)
+  };
+}
+
+module.exports = {
+  createOnsetDetector,
+  analyzeRhythm
+};
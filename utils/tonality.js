@@ -0,0 +1,328 @@
+// Chromagram and musical key estimation from decoded PCM
+// Usage:
+// const { createChromaAnalyzer, analyzeKey } = require('../utils/tonality');
+// const chroma = createChromaAnalyzer({ sampleRate: 44100, channels: 2 });
+// chroma.add(int16InterleavedSamples);
+// const data = chroma.finish();                    // { blockSeconds, duration, blocks: [Float32Array(12) | null, ...] }
+// const key = analyzeKey(data);
+// // { name: 'A minor', tonic: 'A', mode: 'minor', camelot: '8A', confidence: 0.81, candidates, segments }
+
+'use strict';
+
+const { realFft, hannWindow } = require('./fft');
+const { lowpass, applyFilter, roundTo } = require('./dsp');
+
+const INT16_SCALE = 32768;
+
+// Pitch classes from C; keys are named the way they are usually written
+const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const MAJOR_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+// Krumhansl-Kessler key profiles, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Audio is mixed down, low-passed and decimated to about this rate before the FFT
+const ANALYSIS_RATE = 5000;
+const LOWPASS_HZ = 2000;
+// 2048 points at ~5.5 kHz resolve ~2.7 Hz, finer than a semitone from A2 up
+const FRAME_SIZE = 2048;
+const HOP_SIZE = FRAME_SIZE / 2;
+const MIN_PITCH_HZ = 110;
+const MAX_PITCH_HZ = 1900;
+// Frames quieter than this (mean square, about -60 dB) leave the chroma alone
+const SILENCE_ENERGY = 1e-6;
+// One chroma vector per block; blocks are the unit of the chromagram and of key segments
+const BLOCK_SECONDS = 2;
+
+// Local keys are scored over this many blocks either side (about 18 seconds in all)
+const SEGMENT_CONTEXT_BLOCKS = 4;
+// Correlation a key change must gain to be kept, so brief chords do not split segments
+const KEY_CHANGE_PENALTY = 1.5;
+const CANDIDATE_COUNT = 3;
+
+/**
+ * Turn decoded PCM into a chromagram as it arrives: twelve pitch class energies per
+ * BLOCK_SECONDS of audio. Channels are mixed down, low-passed and decimated, then each
+ * FFT bin between MIN_PITCH_HZ and MAX_PITCH_HZ is folded onto its nearest pitch class,
+ * weighted by how close it is to the semitone (A4 = 440 Hz).
+ * @param {Object} options - { sampleRate, channels }
+ * @returns {Object} - { add(Int16Array), finish() }
+ */
+function createChromaAnalyzer({ sampleRate, channels = 1 }) {
+  const decimation = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+  const rate = sampleRate / decimation;
+  // Fourth order Butterworth as two biquads, so little above the new Nyquist folds back
+  const filters = [lowpass(LOWPASS_HZ, sampleRate, 0.5412), lowpass(LOWPASS_HZ, sampleRate, 1.3066)];
+
+  const window = hannWindow(FRAME_SIZE);
+
+  // Pitch class and weight of every bin in the pitch range
+  const bins = [];
+  for (let k = 1; k < FRAME_SIZE / 2; k++) {
+    const frequency = (k * rate) / FRAME_SIZE;
+    if (frequency < MIN_PITCH_HZ || frequency > MAX_PITCH_HZ) continue;
+    const pitch = 12 * Math.log2(frequency / 440) + 69;
+    const nearest = Math.round(pitch);
+    const weight = Math.cos(Math.PI * (pitch - nearest)) ** 2;
+    bins.push({ k, pitchClass: ((nearest % 12) + 12) % 12, weight });
+  }
+
+  const frame = new Float64Array(FRAME_SIZE);
+  const windowed = new Float64Array(FRAME_SIZE);
+  const real = new Float64Array(FRAME_SIZE / 2);
+  const imag = new Float64Array(FRAME_SIZE / 2);
+  const framesPerBlock = Math.max(1, Math.round((BLOCK_SECONDS * rate) / HOP_SIZE));
+
+  const blocks = [];
+  let blockChroma = new Float64Array(12);
+  let voicedFrames = 0;
+  let framesInBlock = 0;
+  // Sample counters between add() calls
+  const state = { filled: 0, decimationCount: 0, decimatedSamples: 0 };
+
+  function analyzeFrame() {
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      energy += frame[i] * frame[i];
+      windowed[i] = frame[i] * window[i];
+    }
+
+    if (energy / FRAME_SIZE >= SILENCE_ENERGY) {
+      realFft(windowed, real, imag);
+      const chroma = new Float64Array(12);
+      let total = 0;
+      for (const bin of bins) {
+        const magnitude = Math.sqrt(real[bin.k] * real[bin.k] + imag[bin.k] * imag[bin.k]) * bin.weight;
+        chroma[bin.pitchClass] += magnitude;
+        total += magnitude;
+      }
+      // Each voiced frame counts the same, however loud it is
+      if (total > 0) {
+        for (let c = 0; c < 12; c++) blockChroma[c] += chroma[c] / total;
+        voicedFrames++;
+      }
+    }
+
+    framesInBlock++;
+    if (framesInBlock === framesPerBlock) flushBlock();
+  }
+
+  function flushBlock() {
+    blocks.push(voicedFrames > 0 ? Float32Array.from(blockChroma, value => value / voicedFrames) : null);
+    blockChroma = new Float64Array(12);
+    voicedFrames = 0;
+    framesInBlock = 0;
+  }
+
+  /**
+   * @param {Int16Array} samples - Interleaved samples, length must be a multiple of channels
+   */
+  function add(samples) {
+    const frames = Math.floor(samples.length / channels);
+    const scale = 1 / (channels * INT16_SCALE);
+    const [first, second] = filters;
+    // Locals rather than closure variables keep this per-sample loop fast
+    let { filled, decimationCount, decimatedSamples } = state;
+
+    for (let f = 0; f < frames; f++) {
+      const base = f * channels;
+      let mixed = 0;
+      for (let c = 0; c < channels; c++) mixed += samples[base + c];
+      mixed = applyFilter(second, applyFilter(first, mixed * scale));
+
+      decimationCount++;
+      if (decimationCount < decimation) continue;
+      decimationCount = 0;
+      decimatedSamples++;
+
+      frame[filled++] = mixed;
+      if (filled === FRAME_SIZE) {
+        analyzeFrame();
+        // Keep the second half for the next, overlapping frame
+        frame.copyWithin(0, HOP_SIZE);
+        filled = FRAME_SIZE - HOP_SIZE;
+      }
+    }
+
+    Object.assign(state, { filled, decimationCount, decimatedSamples });
+  }
+
+  function finish() {
+    if (framesInBlock > 0) flushBlock();
+    return { blockSeconds: (framesPerBlock * HOP_SIZE) / rate, duration: state.decimatedSamples / rate, blocks };
+  }
+
+  return { add, finish };
+}
+
+// Profiles for all 24 keys, mean removed for correlation: index tonic for major, 12 + tonic for minor
+const KEY_PROFILES = [MAJOR_PROFILE, MINOR_PROFILE].flatMap(profile => {
+  const mean = profile.reduce((sum, value) => sum + value, 0) / 12;
+  return PITCH_CLASSES.map((name, tonic) =>
+    Float64Array.from({ length: 12 }, (value, pitchClass) => profile[(pitchClass - tonic + 12) % 12] - mean)
+  );
+});
+
+/**
+ * Pearson correlation of a chroma vector with every key profile
+ * @param {ArrayLike<number>} chroma - Twelve pitch class energies
+ * @returns {Float64Array|null} - 24 correlations, or null for a flat vector
+ */
+function correlateKeys(chroma) {
+  let mean = 0;
+  for (let c = 0; c < 12; c++) mean += chroma[c];
+  mean /= 12;
+
+  let chromaNorm = 0;
+  for (let c = 0; c < 12; c++) chromaNorm += (chroma[c] - mean) ** 2;
+  if (chromaNorm === 0) return null;
+
+  return Float64Array.from(KEY_PROFILES, profile => {
+    let sum = 0;
+    let profileNorm = 0;
+    for (let c = 0; c < 12; c++) {
+      sum += (chroma[c] - mean) * profile[c];
+      profileNorm += profile[c] * profile[c];
+    }
+    return sum / Math.sqrt(chromaNorm * profileNorm);
+  });
+}
+
+/**
+ * Name and notations for a key index (0-11 major, 12-23 minor)
+ * @param {number} index - Key index
+ * @returns {Object} - { name, tonic, mode, camelot }
+ */
+function describeKey(index) {
+  const minor = index >= 12;
+  const tonic = index % 12;
+  // Camelot wheel: C major is 8B, A minor 8A, and each fifth up is one step on
+  const relativeMajor = minor ? (tonic + 3) % 12 : tonic;
+  const camelot = `${((relativeMajor * 7 + 7) % 12) + 1}${minor ? 'A' : 'B'}`;
+  const name = minor ? MINOR_NAMES[tonic] : MAJOR_NAMES[tonic];
+  return { name: `${name} ${minor ? 'minor' : 'major'}`, tonic: name, mode: minor ? 'minor' : 'major', camelot };
+}
+
+function sumBlocks(blocks, from, to) {
+  const total = new Float64Array(12);
+  let voiced = 0;
+  for (let i = Math.max(0, from); i < Math.min(blocks.length, to); i++) {
+    if (!blocks[i]) continue;
+    for (let c = 0; c < 12; c++) total[c] += blocks[i][c];
+    voiced++;
+  }
+  return voiced > 0 ? total : null;
+}
+
+/**
+ * Key segments over time: each block is scored against every key using the chroma around
+ * it, and a Viterbi pass picks the key path with the best total correlation, paying
+ * KEY_CHANGE_PENALTY per change
+ * @param {Array} blocks - Chroma blocks (null where silent)
+ * @param {number} blockSeconds - Length of a block
+ * @param {number} duration - Track length, where the last segment ends
+ * @returns {Array<Object>} - [{ start, end, name, tonic, mode, camelot, confidence }]
+ */
+function segmentKeys(blocks, blockSeconds, duration) {
+  const scores = blocks.map((block, i) => {
+    const local = sumBlocks(blocks, i - SEGMENT_CONTEXT_BLOCKS, i + SEGMENT_CONTEXT_BLOCKS + 1);
+    return (local && correlateKeys(local)) || new Float64Array(24);
+  });
+
+  let totals = Float64Array.from(scores[0]);
+  const backlinks = [];
+  for (let i = 1; i < blocks.length; i++) {
+    let bestKey = 0;
+    for (let key = 1; key < 24; key++) if (totals[key] > totals[bestKey]) bestKey = key;
+
+    const links = new Int8Array(24);
+    const next = new Float64Array(24);
+    for (let key = 0; key < 24; key++) {
+      const change = totals[bestKey] - KEY_CHANGE_PENALTY;
+      links[key] = totals[key] >= change ? key : bestKey;
+      next[key] = Math.max(totals[key], change) + scores[i][key];
+    }
+    backlinks.push(links);
+    totals = next;
+  }
+
+  let key = 0;
+  for (let k = 1; k < 24; k++) if (totals[k] > totals[key]) key = k;
+  const path = new Array(blocks.length);
+  path[blocks.length - 1] = key;
+  for (let i = blocks.length - 1; i > 0; i--) {
+    key = backlinks[i - 1][key];
+    path[i - 1] = key;
+  }
+
+  const segments = [];
+  let start = 0;
+  for (let i = 1; i <= path.length; i++) {
+    if (i < path.length && path[i] === path[start]) continue;
+    let correlation = 0;
+    for (let b = start; b < i; b++) correlation += scores[b][path[start]];
+    segments.push({
+      start: roundTo(start * blockSeconds, 2),
+      end: roundTo(Math.min(i * blockSeconds, duration), 2),
+      ...describeKey(path[start]),
+      confidence: roundTo(Math.max(0, correlation / (i - start)), 2)
+    });
+    start = i;
+  }
+  return segments;
+}
+
+/**
+ * Estimate the key of a track from its chromagram, with the runner-up keys and
+ * key segments for songs that modulate.
+ * confidence is the correlation (0 to 1) between the track's pitch class profile and the
+ * key's Krumhansl-Kessler profile; relative major and minor keys often score close, so
+ * they show up in candidates.
+ * @param {Object} data - Result of chromaAnalyzer.finish()
+ * @returns {Object|null} - Key, or null when nothing pitched was heard
+ */
+function analyzeKey({ blocks, blockSeconds, duration }) {
+  const total = sumBlocks(blocks, 0, blocks.length);
+  const correlations = total && correlateKeys(total);
+  if (!correlations) return null;
+
+  const ranked = Array.from(correlations.keys()).sort((a, b) => correlations[b] - correlations[a]);
+  const best = ranked[0];
+
+  return {
+    ...describeKey(best),
+    confidence: roundTo(Math.max(0, correlations[best]), 2),
+    candidates: ranked.slice(0, CANDIDATE_COUNT).map(index => ({
+      name: describeKey(index).name,
+      correlation: roundTo(correlations[index], 2)
+    })),
+    segments: segmentKeys(blocks, blockSeconds, duration)
+  };
+}
+
+/**
+ * Chromagram for storage and display: each block scaled so its strongest pitch class is 1
+ * @param {Object} data - Result of chromaAnalyzer.finish()
+ * @returns {Object} - { blockSeconds, pitchClasses, values: [[12 numbers], ...] } (zeros where silent)
+ */
+function encodeChromagram({ blocks, blockSeconds }) {
+  return {
+    blockSeconds: roundTo(blockSeconds, 4),
+    pitchClasses: PITCH_CLASSES,
+    values: blocks.map(block => {
+      if (!block) return new Array(12).fill(0);
+      const max = Math.max(...block);
+      return Array.from(block, value => (max > 0 ? roundTo(value / max, 2) : 0));
+    })
+  };
+}
+
+module.exports = {
+  PITCH_CLASSES,
+  createChromaAnalyzer,
+  analyzeKey,
+  encodeChromagram,
+  describeKey
+};
@@ -0,0 +1,119 @@
+// Peak output formats: BBC audiowaveform (.dat binary and JSON) and WaveSurfer
+// Usage:
+// const { readWindow } = require('../utils/peakPyramid');
+// const { toAudiowaveformDat } = require('../utils/waveformFormats');
+// const buffer = toAudiowaveformDat(readWindow(peakLevels, { pixelsPerSecond: 20 }), { bits: 8 });
+// See https://github.com/bbc/audiowaveform/blob/master/doc/DataFormat.md
+
+'use strict';
+
+const DAT_FLAG_8_BIT = 0x1;
+
+/**
+ * Scale 16-bit window data to the output resolution
+ * @param {Int16Array} data - 16-bit [min, max] pairs
+ * @param {number} bits - 8 or 16
+ * @returns {Int8Array|Int16Array}
+ */
+function toResolution(data, bits) {
+  if (bits === 16) return data;
+  return Int8Array.from(data, value => value >> 8);
+}
+
+/**
+ * Check that a window can be written in a given audiowaveform version
+ * @param {Object} window - Result of readWindow()
+ * @param {number} version - 1 or 2
+ * @returns {string|null} - Error message, or null if compatible
+ */
+function validateVersion(window, version) {
+  if (version === 1 && window.channels !== 1) {
+    return 'audiowaveform version 1 only supports a single channel';
+  }
+  return null;
+}
+
+/**
+ * audiowaveform JSON format
+ * @param {Object} window - Result of readWindow()
+ * @param {Object} options - { bits: 8|16, version: 1|2 }
+ * @returns {Object}
+ */
+function toAudiowaveformJson(window, options = {}) {
+  const bits = options.bits || 16;
+  const version = options.version || 2;
+  return {
+    ...(version === 2 && { version: 2, channels: window.channels }),
+    sample_rate: window.sampleRate,
+    samples_per_pixel: window.samplesPerPixel,
+    bits,
+    length: window.length,
+    data: Array.from(toResolution(window.data, bits))
+  };
+}
+
+/**
+ * audiowaveform binary .dat format (little-endian)
+ * @param {Object} window - Result of readWindow()
+ * @param {Object} options - { bits: 8|16, version: 1|2 }
+ * @returns {Buffer}
+ */
+function toAudiowaveformDat(window, options = {}) {
+  const bits = options.bits || 16;
+  const version = options.version || 2;
+  const headerSize = version === 2 ? 24 : 20;
+  const samples = toResolution(window.data, bits);
+  const buffer = Buffer.alloc(headerSize + samples.length * (bits / 8));
+
+  buffer.writeInt32LE(version, 0);
+  buffer.writeUInt32LE(bits === 8 ? DAT_FLAG_8_BIT : 0, 4);
+  buffer.writeInt32LE(window.sampleRate, 8);
+  buffer.writeInt32LE(window.samplesPerPixel, 12);
+  buffer.writeUInt32LE(window.length, 16);
+  if (version === 2) buffer.writeInt32LE(window.channels, 20);
+
+  for (let i = 0; i < samples.length; i++) {
+    if (bits === 8) {
+      buffer.writeInt8(samples[i], headerSize + i);
+    } else {
+      buffer.writeInt16LE(samples[i], headerSize + i * 2);
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * WaveSurfer peaks: one array per channel of interleaved [min, max] values in -1..1,
+ * ready for WaveSurfer.create({ peaks, duration })
+ * @param {Object} window - Result of readWindow()
+ * @returns {Object}
+ */
+function toWaveSurfer(window) {
+  const peaks = [];
+  for (let c = 0; c < window.channels; c++) {
+    const channel = new Array(window.length * 2);
+    for (let i = 0; i < window.length; i++) {
+      const offset = (i * window.channels + c) * 2;
+      channel[i * 2] = Math.round((window.data[offset] / 32768) * 10000) / 10000;
+      channel[i * 2 + 1] = Math.round((window.data[offset + 1] / 32768) * 10000) / 10000;
+    }
+    peaks.push(channel);
+  }
+
+  return {
+    peaks,
+    duration: window.end - window.start,
+    start: window.start,
+    end: window.end,
+    sampleRate: window.sampleRate,
+    samplesPerPixel: window.samplesPerPixel
+  };
+}
+
+module.exports = {
+  validateVersion,
+  toAudiowaveformJson,
+  toAudiowaveformDat,
+  toWaveSurfer
+};
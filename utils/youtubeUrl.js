@@ -0,0 +1,39 @@
+// YouTube URL parsing shared by the audio source providers
+// Usage:
+// const { extractVideoId, isValidYouTubeUrl } = require('../utils/youtubeUrl');
+// const videoId = extractVideoId('https://youtu.be/dQw4w9WgXcQ'); // 'dQw4w9WgXcQ'
+
+'use strict';
+
+const logger = require('./logger');
+
+/**
+ * Extract video ID from YouTube URL
+ * @param {string} url - YouTube URL
+ * @returns {string|null} - Video ID or null if invalid
+ */
+function extractVideoId(url) {
+  try {
+    const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/;
+    const match = url.match(regex);
+    return match ? match[1] : null;
+  } catch (error) {
+    logger.warn('Error extracting video ID', { error });
+    return null;
+  }
+}
+
+/**
+ * Validate YouTube URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} - Whether URL is valid
+ */
+function isValidYouTubeUrl(url) {
+  const youtubeRegex = /^(https?:\/\/)?(www\.)?(youtube\.com\/(watch\?v=|embed\/|v\/)|youtu\.be\/)[\w-]{11}(&.*)?$/;
+  return youtubeRegex.test(url);
+}
+
+module.exports = {
+  extractVideoId,
+  isValidYouTubeUrl
+};